@@ -4,7 +4,8 @@
  * Converts a distance matrix into 2D coordinates that preserve
  * the relative distances as well as possible.
  *
- * Uses numeric.js for matrix operations (SVD)
+ * The top eigenvectors come from a Lanczos solver (topEigen), so no linear
+ * algebra library is needed. Landmark MDS (landmark) handles large airport sets.
  */
 
 const MDS = {
@@ -20,12 +21,88 @@ const MDS = {
         if (n === 0) return [];
         if (n === 1) return [[0, 0]];
 
-        // Step 1: Square distances and multiply by -0.5
+        // Step 1: Double-centered matrix of squared distances
+        const B = this.doubleCenter(distances);
+
+        // Step 2: Largest eigenvalues and their eigenvectors
+        const { values, vectors } = this.topEigen(B, dimensions);
+
+        // Step 3: Coordinate = eigenvector * sqrt(eigenvalue)
+        return distances.map((_, i) => {
+            const coords = [];
+            for (let d = 0; d < dimensions; d++) {
+                const scale = Math.sqrt(Math.max(0, values[d] || 0));
+                coords.push(vectors[d] ? vectors[d][i] * scale : 0);
+            }
+            return coords;
+        });
+    },
+
+    /**
+     * Landmark MDS (de Silva & Tenenbaum)
+     * Classical MDS on a few spread-out landmarks, then every airport placed from
+     * its distances to them. Far cheaper than classic for large airport sets; the
+     * landmarks land exactly where classic would put them.
+     * @param {number[][]} distances - NxN distance matrix
+     * @param {number} landmarkCount - Landmarks to use (classic if >= N)
+     * @param {number} dimensions - Output dimensions (default 2)
+     * @returns {number[][]} Nx2 array of [x, y] coordinates
+     */
+    landmark(distances, landmarkCount, dimensions = 2) {
+        if (landmarkCount >= distances.length) return this.classic(distances, dimensions);
+
+        const landmarks = this.chooseLandmarks(distances, landmarkCount);
+        const landmarkDistances = landmarks.map(a => landmarks.map(b => distances[a][b]));
+        const { values, vectors } = this.topEigen(this.doubleCenter(landmarkDistances), dimensions);
+
+        // Mean squared distance to each landmark from the other landmarks
+        const meanSquared = landmarks.map((_, k) =>
+            landmarkDistances.reduce((sum, row) => sum + row[k] * row[k], 0) / landmarks.length
+        );
+
+        return distances.map(row => {
+            const coords = [];
+            for (let d = 0; d < dimensions; d++) {
+                if (!vectors[d] || !(values[d] > 0)) {
+                    coords.push(0);
+                    continue;
+                }
+                let sum = 0;
+                landmarks.forEach((l, k) => {
+                    sum += vectors[d][k] * (row[l] * row[l] - meanSquared[k]);
+                });
+                coords.push(-0.5 * sum / Math.sqrt(values[d]));
+            }
+            return coords;
+        });
+    },
+
+    /**
+     * Pick landmarks evenly through the airport list
+     * Airports come sorted by traffic, so this mixes hubs and small airports.
+     * (Picking the airports farthest apart instead favors the outliers, whose
+     * travel times fit a plane worst, and places the rest far less accurately.)
+     * @param {number[][]} distances - NxN distance matrix
+     * @param {number} count - Landmarks to pick
+     * @returns {number[]} Landmark indices
+     */
+    chooseLandmarks(distances, count) {
+        const n = distances.length;
+        return Array.from({ length: Math.min(count, n) }, (_, k) => Math.floor(k * n / count));
+    },
+
+    /**
+     * Double-center the squared distances: B = -1/2 * J * D^2 * J
+     * @param {number[][]} distances - NxN distance matrix
+     * @returns {number[][]} NxN symmetric matrix B
+     */
+    doubleCenter(distances) {
+        const n = distances.length;
         const D2 = distances.map(row =>
             row.map(d => -0.5 * d * d)
         );
 
-        // Step 2: Double centering (subtract row/col means, add grand mean)
+        // Subtract row/col means, add grand mean
         const rowMeans = D2.map(row =>
             row.reduce((sum, val) => sum + val, 0) / n
         );
@@ -41,42 +118,167 @@ const MDS = {
 
         const grandMean = rowMeans.reduce((sum, val) => sum + val, 0) / n;
 
-        // Build centered matrix B
-        const B = [];
-        for (let i = 0; i < n; i++) {
-            B[i] = [];
-            for (let j = 0; j < n; j++) {
-                B[i][j] = D2[i][j] - rowMeans[i] - colMeans[j] + grandMean;
+        return D2.map((row, i) =>
+            row.map((val, j) => val - rowMeans[i] - colMeans[j] + grandMean)
+        );
+    },
+
+    /**
+     * Largest eigenvalues and eigenvectors of a symmetric matrix (Lanczos)
+     * Grows an orthonormal Krylov basis from a fixed start vector, fully
+     * reorthogonalized so it stays orthonormal, and solves the small tridiagonal
+     * problem it spans (jacobiEigen) until the top k pairs converge.
+     * @param {number[][]} matrix - Symmetric NxN matrix
+     * @param {number} k - Eigenpairs to find
+     * @param {Object} options - { tolerance: residual relative to the largest
+     *   eigenvalue (default 1e-8), checkEvery: basis vectors between checks (default 10) }
+     * @returns {Object} { values: largest first, vectors: unit eigenvectors }
+     */
+    topEigen(matrix, k = 2, options = {}) {
+        const { tolerance = 1e-8, checkEvery = 10 } = options;
+        const n = matrix.length;
+        const basis = [];
+        const alpha = [];
+        const beta = [];
+
+        // Uneven start vector: a constant one is in the null space of a centered matrix
+        let q = this.normalize(Array.from({ length: n }, (_, i) => Math.sin(i + 1)));
+        let ritz = null;
+
+        for (let j = 0; j < n; j++) {
+            basis.push(q);
+            const w = matrix.map(row => this.dot(row, q));
+            alpha.push(this.dot(q, w));
+
+            // Orthogonalize against the whole basis (twice, for rounding errors)
+            for (let pass = 0; pass < 2; pass++) {
+                for (const b of basis) {
+                    const c = this.dot(b, w);
+                    for (let i = 0; i < n; i++) w[i] -= c * b[i];
+                }
+            }
+            const norm = Math.sqrt(this.dot(w, w));
+            beta.push(norm);
+
+            // The basis spans an invariant subspace, or the whole space
+            const exhausted = j === n - 1 || norm <= 1e-12 * Math.max(1, ...alpha.map(Math.abs));
+            if (exhausted || (basis.length >= k && basis.length % checkEvery === 0)) {
+                ritz = this.ritzPairs(alpha, beta, basis, k);
+                const limit = tolerance * Math.max(Math.abs(ritz.values[0]), 1e-12);
+                if (exhausted || ritz.residuals.every(r => r <= limit)) break;
             }
-        }
 
-        // Step 3: Eigendecomposition via SVD
-        let svd;
-        try {
-            svd = numeric.svd(B);
-        } catch (e) {
-            console.error('SVD failed:', e);
-            // Fallback: return original positions scaled
-            return distances.map((_, i) => [
-                Math.cos(2 * Math.PI * i / n) * 100,
-                Math.sin(2 * Math.PI * i / n) * 100
-            ]);
+            q = w.map(v => v / norm);
         }
 
-        // Step 4: Extract coordinates from top eigenvectors
-        const result = [];
-        for (let i = 0; i < n; i++) {
-            result[i] = [];
-            for (let d = 0; d < dimensions; d++) {
-                // Eigenvalue is singular value squared for symmetric matrix
-                // Coordinate = U * sqrt(eigenvalue)
-                const eigenValue = svd.S[d] || 0;
-                const scale = Math.sqrt(Math.max(0, eigenValue));
-                result[i][d] = (svd.U[i][d] || 0) * scale;
+        return { values: ritz.values, vectors: ritz.vectors };
+    },
+
+    /**
+     * Top k eigenpairs of a Lanczos basis (its tridiagonal matrix lifted back
+     * to the full space), with their residual norms
+     */
+    ritzPairs(alpha, beta, basis, k) {
+        const m = alpha.length;
+        const T = alpha.map((a, i) => alpha.map((_, j) => {
+            if (i === j) return a;
+            if (Math.abs(i - j) === 1) return beta[Math.min(i, j)];
+            return 0;
+        }));
+
+        const eigen = this.jacobiEigen(T);
+        const order = eigen.values.map((_, i) => i)
+            .sort((a, b) => eigen.values[b] - eigen.values[a])
+            .slice(0, k);
+
+        return {
+            values: order.map(i => eigen.values[i]),
+            vectors: order.map(i => {
+                const s = eigen.vectors[i];
+                const v = new Array(basis[0].length).fill(0);
+                basis.forEach((b, r) => {
+                    for (let c = 0; c < v.length; c++) v[c] += s[r] * b[c];
+                });
+                return v;
+            }),
+            residuals: order.map(i => Math.abs(beta[m - 1] * eigen.vectors[i][m - 1]))
+        };
+    },
+
+    /**
+     * All eigenvalues and eigenvectors of a small symmetric matrix (cyclic Jacobi)
+     * @param {number[][]} matrix - Symmetric MxM matrix
+     * @returns {Object} { values, vectors: vectors[i] belongs to values[i] }
+     */
+    jacobiEigen(matrix) {
+        const m = matrix.length;
+        const a = matrix.map(row => row.slice());
+        const v = a.map((_, i) => a.map((_, j) => (i === j ? 1 : 0)));
+
+        for (let sweep = 0; sweep < 50; sweep++) {
+            let off = 0;
+            let total = 0;
+            for (let p = 0; p < m; p++) {
+                for (let r = 0; r < m; r++) {
+                    total += a[p][r] * a[p][r];
+                    if (p !== r) off += a[p][r] * a[p][r];
+                }
+            }
+            if (off <= 1e-24 * total) break;
+
+            for (let p = 0; p < m - 1; p++) {
+                for (let r = p + 1; r < m; r++) {
+                    if (a[p][r] === 0) continue;
+
+                    // Rotation that zeroes a[p][r]
+                    const theta = (a[r][r] - a[p][p]) / (2 * a[p][r]);
+                    const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const cos = 1 / Math.sqrt(t * t + 1);
+                    const sin = t * cos;
+
+                    for (let i = 0; i < m; i++) {
+                        const aip = a[i][p];
+                        const air = a[i][r];
+                        a[i][p] = cos * aip - sin * air;
+                        a[i][r] = sin * aip + cos * air;
+                    }
+                    for (let i = 0; i < m; i++) {
+                        const api = a[p][i];
+                        const ari = a[r][i];
+                        a[p][i] = cos * api - sin * ari;
+                        a[r][i] = sin * api + cos * ari;
+                    }
+                    for (let i = 0; i < m; i++) {
+                        const vip = v[i][p];
+                        const vir = v[i][r];
+                        v[i][p] = cos * vip - sin * vir;
+                        v[i][r] = sin * vip + cos * vir;
+                    }
+                }
             }
         }
 
-        return result;
+        return {
+            values: a.map((row, i) => row[i]),
+            vectors: a.map((_, i) => v.map(row => row[i]))
+        };
+    },
+
+    /**
+     * Dot product of two vectors
+     */
+    dot(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+        return sum;
+    },
+
+    /**
+     * Scale a vector to unit length
+     */
+    normalize(v) {
+        const norm = Math.sqrt(this.dot(v, v)) || 1;
+        return v.map(x => x / norm);
     },
 
     /**
@@ -285,35 +487,223 @@ const MDS = {
     },
 
     /**
-     * Full MDS pipeline: sanitize, scale times, compute MDS, scale to viewport, align
+     * Compute the flight time layout around an origin
      * @param {number[][]} travelTimes - Travel time matrix
      * @param {Object[]} geoPositions - Geographic positions for alignment
      * @param {number} originIndex - Index of selected origin
      * @param {Object} viewport - {width, height, padding}
+     * @param {string} direction - 'from', 'to' or 'roundTrip' (see travelVector)
+     * @param {string} layout - 'radial' (see computeRadialPositions) or 'stress'
+     *   (see computeStressPositions)
      * @returns {Object[]} Final positions {x, y}
      */
-    computePositions(travelTimes, geoPositions, originIndex, viewport) {
-        // Use radial distortion instead of MDS
-        // This keeps cities in the same direction from origin but adjusts distance based on travel time
-        return this.computeRadialPositions(travelTimes, geoPositions, originIndex, viewport);
+    computePositions(travelTimes, geoPositions, originIndex, viewport, direction = 'from', layout = 'radial') {
+        if (layout === 'stress') {
+            return this.computeStressPositions(travelTimes, geoPositions, originIndex, viewport, direction);
+        }
+        // Radial distortion keeps cities in the same direction from origin but adjusts distance based on travel time
+        return this.computeRadialPositions(travelTimes, geoPositions, originIndex, viewport, direction);
+    },
+
+    /**
+     * Compute positions by stress majorization around an origin
+     * The radial layout only sets each airport's distance from the origin, so
+     * distances between destinations mean nothing. This layout fits the screen
+     * distances of all pairs to their travel times, weighting the pairs with the
+     * origin far above the rest (CONFIG.mds.stress.originWeight). It starts from
+     * the radial layout and moves one airport at a time to its best position
+     * given the others, until the stress stops improving or the iteration budget
+     * runs out.
+     *
+     * The origin stays in place and unreachable airports keep their geographic
+     * positions. Inset airports take part like the rest, but only continental
+     * airports set the scale, as in the radial layout. Pairs use the average of
+     * both directions; the origin pairs follow the chosen direction.
+     * @param {number[][]} travelTimes - Travel time matrix
+     * @param {Object[]} geoPositions - Geographic positions
+     * @param {number} originIndex - Index of selected origin
+     * @param {Object} viewport - {width, height, padding}
+     * @param {string} direction - 'from', 'to' or 'roundTrip' (see travelVector)
+     * @param {Object} options - Overrides of CONFIG.mds.stress
+     * @returns {Object[]} Positions {x, y}
+     */
+    computeStressPositions(travelTimes, geoPositions, originIndex, viewport, direction = 'from', options = {}) {
+        const settings = { ...CONFIG.mds.stress, ...options };
+        const positions = this.computeRadialPositions(travelTimes, geoPositions, originIndex, viewport, direction);
+
+        const timesFromOrigin = this.travelVector(travelTimes, originIndex, direction);
+        const pairTimes = this.symmetrize(travelTimes);
+
+        // Lay out the origin and the reachable airports
+        const moving = geoPositions.map((_, i) => i).filter(i => i !== originIndex &&
+            timesFromOrigin[i] !== null && isFinite(timesFromOrigin[i]));
+        const continental = moving.filter(i => !geoPositions[i].inset);
+        if (moving.length < 2 || continental.length === 0) return positions;
+        const members = [originIndex, ...moving];
+
+        // Screen units per minute, as in the radial layout
+        const origin = geoPositions[originIndex];
+        const maxGeoDist = Math.max(...continental.map(i =>
+            Math.hypot(geoPositions[i].geoX - origin.geoX, geoPositions[i].geoY - origin.geoY)));
+        const maxTime = Math.max(...continental.map(i => timesFromOrigin[i]));
+        const scale = maxGeoDist / maxTime;
+
+        const originWeight = settings.originWeight * (members.length - 2);
+        const distances = members.map(() => new Array(members.length).fill(0));
+        const weights = members.map(() => new Array(members.length).fill(0));
+        for (let a = 0; a < members.length; a++) {
+            for (let b = a + 1; b < members.length; b++) {
+                const time = a === 0 ? timesFromOrigin[members[b]] : pairTimes[members[a]][members[b]];
+                if (!isFinite(time)) continue;
+                distances[a][b] = distances[b][a] = time * scale;
+                weights[a][b] = weights[b][a] = a === 0 ? originWeight : 1;
+            }
+        }
+
+        const points = members.map(i => ({ ...positions[i] }));
+        let stress = this.weightedStress(points, distances, weights);
+
+        for (let iteration = 0; iteration < settings.iterations && stress > 0; iteration++) {
+            // Move each airport (not the origin) to the weighted average of where
+            // every other airport would put it
+            for (let a = 1; a < points.length; a++) {
+                let sumX = 0;
+                let sumY = 0;
+                let sumWeight = 0;
+                for (let b = 0; b < points.length; b++) {
+                    const w = weights[a][b];
+                    if (!w) continue;
+                    const dx = points[a].x - points[b].x;
+                    const dy = points[a].y - points[b].y;
+                    const dist = Math.hypot(dx, dy) || 1e-6;
+                    sumX += w * (points[b].x + distances[a][b] * dx / dist);
+                    sumY += w * (points[b].y + distances[a][b] * dy / dist);
+                    sumWeight += w;
+                }
+                if (sumWeight > 0) {
+                    points[a] = { x: sumX / sumWeight, y: sumY / sumWeight };
+                }
+            }
+
+            const next = this.weightedStress(points, distances, weights);
+            const converged = (stress - next) / stress < settings.tolerance;
+            stress = next;
+            if (converged) break;
+        }
+
+        members.forEach((index, k) => {
+            positions[index] = points[k];
+        });
+        return positions;
+    },
+
+    /**
+     * Weighted stress of a layout: the sum over pairs of w * (screen distance - target)^2
+     * @param {Object[]} points - Positions {x, y}
+     * @param {number[][]} distances - Target distances
+     * @param {number[][]} weights - Pair weights (0 = ignore the pair)
+     * @returns {number}
+     */
+    weightedStress(points, distances, weights) {
+        let stress = 0;
+        for (let a = 0; a < points.length; a++) {
+            for (let b = a + 1; b < points.length; b++) {
+                if (!weights[a][b]) continue;
+                const dist = Math.hypot(points[a].x - points[b].x, points[a].y - points[b].y);
+                stress += weights[a][b] * (dist - distances[a][b]) ** 2;
+            }
+        }
+        return stress;
+    },
+
+    /**
+     * Compute positions from the whole travel time matrix, without an origin
+     * Classical MDS on the times between every pair (landmark MDS for large
+     * airport sets, see CONFIG.mds.landmarks), scaled to the viewport and
+     * aligned to geography. Inset airports (Alaska, Hawaii, Puerto Rico) keep
+     * their inset positions and are left out of the layout.
+     * @param {number[][]} travelTimes - Travel time matrix
+     * @param {Object[]} geoPositions - Geographic positions
+     * @param {Object} viewport - {width, height, padding}
+     * @returns {Object[]} Positions {x, y}
+     */
+    computeNetworkPositions(travelTimes, geoPositions, viewport) {
+        const positions = geoPositions.map(p => ({ x: p.geoX, y: p.geoY }));
+        const included = geoPositions.map((_, i) => i).filter(i => !geoPositions[i].inset);
+        if (included.length < 3) return positions;
+
+        const times = included.map(i => included.map(j => travelTimes[i][j]));
+        const distances = this.sanitize(this.symmetrize(times));
+
+        const { minAirports, count } = CONFIG.mds.landmarks;
+        const coords = included.length > minAirports ?
+            this.landmark(distances, count) :
+            this.classic(distances);
+        const scaled = this.scaleToViewport(coords, viewport.width, viewport.height, viewport.padding);
+        const aligned = this.alignToGeography(scaled, included.map(i => positions[i]));
+
+        included.forEach((index, k) => {
+            positions[index] = aligned[k];
+        });
+        return positions;
+    },
+
+    /**
+     * Make a travel time matrix symmetric for MDS
+     * Each pair gets the average of both directions, or the one direction that
+     * has a time; pairs with neither become Infinity (see sanitize).
+     * @param {Array<Array<number|null>>} times - Travel time matrix
+     * @returns {number[][]}
+     */
+    symmetrize(times) {
+        return times.map((row, i) => row.map((out, j) => {
+            const back = times[j][i];
+            if (out === null || out === undefined) return back ?? Infinity;
+            if (back === null || back === undefined) return out;
+            return (out + back) / 2;
+        }));
+    },
+
+    /**
+     * Get the travel times between the origin and every airport
+     * @param {number[][]} travelTimes - Travel time matrix
+     * @param {number} originIndex - Index of selected origin
+     * @param {string} direction - 'from' (the origin's row), 'to' (its column)
+     *   or 'roundTrip' (the average of both; null unless both are reachable)
+     * @returns {Array<number|null>}
+     */
+    travelVector(travelTimes, originIndex, direction = 'from') {
+        if (direction === 'to') return travelTimes.map(row => row[originIndex]);
+        if (direction === 'roundTrip') {
+            return travelTimes[originIndex].map((out, j) => {
+                const back = travelTimes[j][originIndex];
+                return out === null || back === null ? null : (out + back) / 2;
+            });
+        }
+        return travelTimes[originIndex];
     },
 
     /**
      * Compute positions using radial distortion from origin
-     * Cities stay in the same direction from origin, but distance is based on travel time
+     * Cities stay in the same direction from origin, but distance is based on travel time.
+     * Inset airports (Alaska, Hawaii, Puerto Rico) don't count toward the scaling:
+     * their panels are nowhere near their real location, so they move toward or
+     * away from the origin in the direction of their panel, to their travel time
+     * on the continental scale.
      * @param {number[][]} travelTimes - Travel time matrix
      * @param {Object[]} geoPositions - Geographic positions
      * @param {number} originIndex - Index of selected origin
      * @param {Object} viewport - {width, height, padding}
+     * @param {string} direction - 'from', 'to' or 'roundTrip' (see travelVector)
      * @returns {Object[]} Distorted positions
      */
-    computeRadialPositions(travelTimes, geoPositions, originIndex, viewport) {
+    computeRadialPositions(travelTimes, geoPositions, originIndex, viewport, direction = 'from') {
         const origin = geoPositions[originIndex];
         const originX = origin.geoX;
         const originY = origin.geoY;
 
-        // Get travel times from origin to all airports
-        const timesFromOrigin = travelTimes[originIndex];
+        // Get travel times between the origin and all airports
+        const timesFromOrigin = this.travelVector(travelTimes, originIndex, direction);
 
         // Calculate geographic distances from origin
         const geoDistances = geoPositions.map(p =>
@@ -321,8 +711,9 @@ const MDS = {
         );
 
         // Find max geographic distance and max travel time for scaling
-        const maxGeoDist = Math.max(...geoDistances.filter(d => d > 0));
-        const maxTime = Math.max(...timesFromOrigin.filter(t => t > 0 && isFinite(t)));
+        const scaled = geoPositions.map(p => !p.inset);
+        const maxGeoDist = Math.max(...geoDistances.filter((d, i) => scaled[i] && d > 0));
+        const maxTime = Math.max(...timesFromOrigin.filter((t, i) => scaled[i] && t > 0 && isFinite(t)));
 
         // Calculate new positions
         const positions = geoPositions.map((pos, i) => {
@@ -334,7 +725,8 @@ const MDS = {
             const geoDist = geoDistances[i];
             const travelTime = timesFromOrigin[i];
 
-            if (geoDist < 1 || !isFinite(travelTime)) {
+            // Airports the network cannot reach (null) keep their geographic position
+            if (geoDist < 1 || travelTime === null || !isFinite(travelTime)) {
                 return { x: pos.geoX, y: pos.geoY };
             }
 
@@ -343,6 +735,14 @@ const MDS = {
             const dy = pos.geoY - originY;
             const angle = Math.atan2(dy, dx);
 
+            if (pos.inset) {
+                const insetDist = travelTime * maxGeoDist / maxTime;
+                return {
+                    x: originX + Math.cos(angle) * insetDist,
+                    y: originY + Math.sin(angle) * insetDist
+                };
+            }
+
             // Calculate new distance based on travel time
             // Normalize travel time relative to geographic distance
             // If travel time is short relative to distance, move closer
@@ -357,7 +757,7 @@ const MDS = {
             const timeRatio = travelTime / expectedTime;
 
             // Apply ratio to distance (with some dampening to avoid extreme distortion)
-            const dampening = 0.6; // 0 = no distortion, 1 = full distortion
+            const dampening = CONFIG.mds.radialDampening; // 0 = no distortion, 1 = full distortion
             const distortionFactor = 1 + (timeRatio - 1) * dampening;
             const newDist = geoDist * distortionFactor;
 
@@ -368,5 +768,148 @@ const MDS = {
         });
 
         return positions;
+    },
+
+    /**
+     * Measure how faithfully a layout shows travel times
+     * Compares screen distances with travel times over every pair of airports
+     * (both directions averaged) and, with an origin, over the pairs with the
+     * origin alone, which is what the flight time view is about. Inset airports
+     * and pairs without a time are left out.
+     * - stress: Kruskal's stress-1 after the best scale from minutes to screen
+     *   units; 0 is a perfect fit, above 0.2 a poor one
+     * - rankCorrelation: Spearman correlation of screen distance and travel
+     *   time; 1 means every longer trip is drawn farther apart
+     * - worst: the airports whose own pairs are furthest off, relative to the
+     *   distances their travel times call for
+     * @param {Object[]} positions - Positions {x, y}
+     * @param {number[][]} travelTimes - Travel time matrix
+     * @param {Object[]} geoPositions - Geographic positions (for the inset flags)
+     * @param {Object} options - { originIndex (-1 = none), direction (see
+     *   travelVector), worstCount (default 3) }
+     * @returns {Object} { pairs, origin } as { stress, rankCorrelation,
+     *   worst: [{ index, stress }], count }, null without enough pairs
+     */
+    evaluateLayout(positions, travelTimes, geoPositions, options = {}) {
+        const { originIndex = -1, direction = 'from', worstCount = 3 } = options;
+        const included = geoPositions.map(p => !p.inset);
+        const pair = (a, b, time) => ({
+            a,
+            b,
+            time,
+            distance: Math.hypot(positions[a].x - positions[b].x, positions[a].y - positions[b].y)
+        });
+
+        const pairTimes = this.symmetrize(travelTimes);
+        const pairs = [];
+        for (let a = 0; a < positions.length; a++) {
+            for (let b = a + 1; b < positions.length; b++) {
+                if (included[a] && included[b] && isFinite(pairTimes[a][b])) {
+                    pairs.push(pair(a, b, pairTimes[a][b]));
+                }
+            }
+        }
+
+        let origin = null;
+        if (originIndex >= 0) {
+            const times = this.travelVector(travelTimes, originIndex, direction);
+            const originPairs = [];
+            times.forEach((time, j) => {
+                if (j !== originIndex && included[j] && time !== null && isFinite(time)) {
+                    originPairs.push(pair(originIndex, j, time));
+                }
+            });
+            origin = this.fitMetrics(originPairs, worstCount, originIndex);
+        }
+
+        return { pairs: this.fitMetrics(pairs, worstCount), origin };
+    },
+
+    /**
+     * Stress, rank correlation and worst airports of a set of pairs (see evaluateLayout)
+     * @param {Object[]} pairs - { a, b, distance, time }
+     * @param {number} worstCount - Airports to list
+     * @param {number} skipIndex - Airport left out of the worst list (the origin)
+     * @returns {Object|null}
+     */
+    fitMetrics(pairs, worstCount, skipIndex = -1) {
+        if (pairs.length < 2) return null;
+
+        // Screen units per minute that fit the distances best
+        let distanceTime = 0;
+        let timeSquared = 0;
+        let distanceSquared = 0;
+        for (const p of pairs) {
+            distanceTime += p.distance * p.time;
+            timeSquared += p.time * p.time;
+            distanceSquared += p.distance * p.distance;
+        }
+        const scale = timeSquared > 0 ? distanceTime / timeSquared : 0;
+
+        let error = 0;
+        const airports = new Map(); // index -> { error, total }
+        for (const p of pairs) {
+            const e = (p.distance - scale * p.time) ** 2;
+            error += e;
+            for (const index of [p.a, p.b]) {
+                if (index === skipIndex) continue;
+                const entry = airports.get(index) || { error: 0, total: 0 };
+                entry.error += e;
+                entry.total += (scale * p.time) ** 2;
+                airports.set(index, entry);
+            }
+        }
+
+        const worst = [...airports]
+            .map(([index, entry]) => ({
+                index,
+                stress: entry.total > 0 ? Math.sqrt(entry.error / entry.total) : Infinity
+            }))
+            .sort((x, y) => y.stress - x.stress)
+            .slice(0, worstCount);
+
+        return {
+            stress: distanceSquared > 0 ? Math.sqrt(error / distanceSquared) : 0,
+            rankCorrelation: this.rankCorrelation(pairs.map(p => p.distance), pairs.map(p => p.time)),
+            worst,
+            count: pairs.length
+        };
+    },
+
+    /**
+     * Spearman rank correlation of two equally long lists
+     * @returns {number} -1 to 1 (0 when either list is constant)
+     */
+    rankCorrelation(xs, ys) {
+        const rx = this.ranks(xs);
+        const ry = this.ranks(ys);
+        const mean = (rx.length + 1) / 2;
+
+        let covariance = 0;
+        let varX = 0;
+        let varY = 0;
+        for (let i = 0; i < rx.length; i++) {
+            covariance += (rx[i] - mean) * (ry[i] - mean);
+            varX += (rx[i] - mean) ** 2;
+            varY += (ry[i] - mean) ** 2;
+        }
+        return varX > 0 && varY > 0 ? covariance / Math.sqrt(varX * varY) : 0;
+    },
+
+    /**
+     * Ranks of a list (1 = smallest), ties sharing their average rank
+     */
+    ranks(values) {
+        const order = values.map((_, i) => i).sort((a, b) => values[a] - values[b]);
+        const ranks = new Array(values.length);
+
+        for (let start = 0; start < order.length;) {
+            let end = start;
+            while (end + 1 < order.length && values[order[end + 1]] === values[order[start]]) end++;
+            const rank = (start + end) / 2 + 1;
+            for (let k = start; k <= end; k++) ranks[order[k]] = rank;
+            start = end + 1;
+        }
+        return ranks;
     }
 };
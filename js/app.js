@@ -18,9 +18,14 @@ function getURLParams() {
         origin: params.get('origin'),
         embed: params.get('embed') === 'true',
         waitForViewport: params.get('waitForViewport') === 'true',
-        mode: params.get('mode'), // 'geographic' or 'flightTime'
+        mode: params.get('mode'), // 'geographic', 'flightTime' or 'networkShape'
         airports: params.get('airports') ? parseInt(params.get('airports'), 10) : null, // 32, 69, 150, 315
-        directOnly: params.get('directOnly') === 'true'
+        directOnly: params.get('directOnly') === 'true',
+        metric: params.get('metric'), // 'scheduled' or 'effective'
+        doorToDoor: params.get('doorToDoor') === 'true',
+        direction: params.get('direction'), // 'from', 'to' or 'roundTrip'
+        insets: params.get('insets') === 'true',
+        layout: params.get('layout') // 'radial' or 'stress'
     };
 }
 
@@ -65,6 +70,11 @@ function updateURL(key, value) {
     if (key === 'mode' && value === 'geographic') url.searchParams.delete('mode');
     if (key === 'airports' && value === 150) url.searchParams.delete('airports');
     if (key === 'directOnly' && value === false) url.searchParams.delete('directOnly');
+    if (key === 'metric' && value === 'scheduled') url.searchParams.delete('metric');
+    if (key === 'doorToDoor' && value === false) url.searchParams.delete('doorToDoor');
+    if (key === 'direction' && value === 'from') url.searchParams.delete('direction');
+    if (key === 'insets' && value === false) url.searchParams.delete('insets');
+    if (key === 'layout' && value === 'radial') url.searchParams.delete('layout');
 
     window.history.replaceState({}, '', url);
 }
@@ -82,7 +92,7 @@ async function initApp() {
     if (embedMode) {
         document.body.classList.add('embed-mode');
         // Also hide elements directly via JS for reliability
-        const hideIds = ['origin-control', 'visual-style-control', 'airport-filter-control', 'view-controls'];
+        const hideIds = ['origin-control', 'visual-style-control', 'airport-filter-control', 'view-controls', 'timeline-control', 'carrier-control', 'metric-control', 'door-to-door-control', 'direction-control', 'insets-control', 'layout-control'];
         hideIds.forEach(id => {
             const el = document.getElementById(id);
             if (el) el.style.display = 'none';
@@ -108,6 +118,7 @@ async function initApp() {
         if (!embedMode) {
             legend = new Legend('legend');
             window.legend = legend; // Make accessible to mapRenderer
+            mapRenderer.getLayoutMetrics(); // Measure the first layout now that there's a legend
             // Fit to airports on initial load
             mapRenderer.fitToAirports();
         } else {
@@ -119,31 +130,62 @@ async function initApp() {
         // Apply URL parameters in correct order
         const urlParams = getURLParams();
 
-        // 1. Apply airport filter first (affects which airports are visible)
+        // 1. Apply insets and airport filter first (affects which airports are visible)
+        if (urlParams.insets && DataLoader.hasInsetAirports()) {
+            d3.select('#insets-toggle').property('checked', true);
+            mapRenderer.setShowInsets(true);
+        }
         if (urlParams.airports && [32, 69, 150, 315].includes(urlParams.airports)) {
             d3.select('#airport-filter').property('value', urlParams.airports);
             mapRenderer.applyAirportFilter(urlParams.airports);
             mapRenderer.render();
         }
 
-        // 2. Set origin (must be after airport filter)
+        // 2. Apply travel time metric, door-to-door model, direction and layout (before any colors are drawn)
+        if (urlParams.metric === 'effective' && DataLoader.hasEffectiveMetric()) {
+            DataLoader.setMetric('effective');
+            d3.select('#btn-scheduled').classed('active', false);
+            d3.select('#btn-effective').classed('active', true);
+        }
+        if (urlParams.doorToDoor) {
+            DataLoader.setDoorToDoor(true);
+            d3.select('#btn-gate-to-gate').classed('active', false);
+            d3.select('#btn-door-to-door').classed('active', true);
+        }
+        if (['to', 'roundTrip'].includes(urlParams.direction)) {
+            DataLoader.setDirection(urlParams.direction);
+            d3.select('#btn-direction-from').classed('active', false);
+            d3.select(urlParams.direction === 'to' ? '#btn-direction-to' : '#btn-direction-round-trip').classed('active', true);
+        }
+        if (urlParams.layout === 'stress') {
+            mapRenderer.setLayout('stress');
+            d3.select('#btn-layout-radial').classed('active', false);
+            d3.select('#btn-layout-stress').classed('active', true);
+        }
+
+        // 3. Set origin (must be after airport filter)
         if (urlParams.origin && mapRenderer.allAirports.some(a => a.code === urlParams.origin)) {
             mapRenderer.setOrigin(urlParams.origin);
         }
 
-        // 3. Apply direct only (before mode change)
+        // 4. Apply direct only (before mode change)
         if (urlParams.directOnly && mapRenderer.selectedOrigin) {
             mapRenderer.showDirectOnly = true;
             d3.select('#direct-only-toggle').property('checked', true);
             mapRenderer.updateAirportColors();
         }
 
-        // 4. Apply view mode (requires origin to be set for flightTime)
+        // 5. Apply view mode (requires origin to be set for flightTime)
         // Skip if waitForViewport is set — embed mode handles the timing
         if (urlParams.mode === 'flightTime' && mapRenderer.selectedOrigin && !urlParams.waitForViewport) {
             mapRenderer.setMode('flightTime');
             d3.select('#btn-distance').classed('active', false);
             d3.select('#btn-flight-time').classed('active', true);
+        } else if (urlParams.mode === 'networkShape' && !urlParams.waitForViewport) {
+            // Network shape needs no origin
+            mapRenderer.setMode('networkShape');
+            d3.select('#btn-distance').classed('active', false);
+            d3.select('#btn-network-shape').classed('active', true);
         }
 
         // In embed mode, fit to airports and handle display
@@ -154,10 +196,11 @@ async function initApp() {
                 // Add minimal legend for embed mode
                 const originAirport = mapRenderer.allAirports.find(a => a.code === urlParams.origin);
                 if (originAirport) {
+                    const titlePrefix = { to: 'To', roundTrip: 'Round trips from' }[DataLoader.direction] || 'From';
                     const miniLegend = d3.select('body').append('div')
                         .attr('class', 'embed-legend')
                         .html(`
-                            <div class="embed-legend-title">From ${originAirport.city}</div>
+                            <div class="embed-legend-title">${titlePrefix} ${originAirport.city}</div>
                             <div class="embed-legend-items">
                                 <span class="embed-legend-item"><span class="dot direct"></span> Direct</span>
                                 <span class="embed-legend-item"><span class="dot connection"></span> Connection</span>
@@ -18,6 +18,11 @@ const CONFIG = {
         small: 4
     },
     airportRadiusHover: 10,
+    // Dot radius range when the matrix has passenger counts (area follows passengers)
+    airportRadiusByPassengers: {
+        min: 2.5,
+        max: 12
+    },
 
     // Colors
     colors: {
@@ -28,6 +33,7 @@ const CONFIG = {
         direct: '#2a9d8f',
         connection: '#e9c46a',
         noRoute: '#adb5bd',
+        drive: '#264653',
         text: '#333333',
         textMuted: '#666666'
     },
@@ -42,7 +48,9 @@ const CONFIG = {
     defaults: {
         airportCount: 150,
         mode: 'geographic',
-        visualStyle: 'rubberSheet'
+        visualStyle: 'rubberSheet',
+        // Flight time layout: 'radial' or 'stress'
+        layout: 'radial'
     },
 
     // Data URLs
@@ -50,7 +58,34 @@ const CONFIG = {
         // Use unprojected TopoJSON so we can apply our own projection
         usMap: 'https://cdn.jsdelivr.net/npm/us-atlas@3/states-10m.json',
         airports: 'data/airports.json',
-        matrix: 'data/matrix.json'
+        matrix: 'data/matrix.json',
+        // Compact binary matrix, loaded in preference to the JSON when present
+        matrixBinary: 'data/matrix.bin',
+        // Optional per-month matrices written by the BTS pipeline
+        slices: 'data/slices/index.json'
+    },
+
+    // Timeline playback settings
+    timeline: {
+        // Time each month is shown while playing (ms)
+        playInterval: 2500
+    },
+
+    // Alaska, Hawaii and Puerto Rico (off unless turned on; drawn in inset panels)
+    insets: {
+        // FIPS code of each inset state in the US map
+        states: { AK: '02', HI: '15', PR: '72' },
+        labels: { AK: 'Alaska', HI: 'Hawaii', PR: 'Puerto Rico' },
+        // Space between an inset's outline and its panel frame (px)
+        panelPadding: 12
+    },
+
+    // Door-to-door model, used when the matrix has no per-airport parameters
+    doorToDoor: {
+        // Getting to the airport, check-in and security by hub size (minutes)
+        departureOverhead: { large: 90, medium: 75, small: 60 },
+        // Deplaning, baggage and leaving the airport (minutes)
+        arrivalBuffer: 30
     },
 
     // MDS settings
@@ -58,7 +93,26 @@ const CONFIG = {
         // Scale factor for travel times before MDS (sqrt helps with outliers like HNL)
         timeScaleFactor: 0.7, // Use time^0.7 to compress large values
         // Padding from edge of viewport
-        padding: 60
+        padding: 60,
+        // How far the radial layout follows travel time (0 = geographic, 1 = fully)
+        radialDampening: 0.6,
+        // Airports listed as worst represented in the layout fit metrics
+        worstAirports: 3,
+        // Network shape view of more than minAirports airports: landmark MDS
+        // on `count` landmarks instead of classical MDS on all of them
+        landmarks: {
+            minAirports: 500,
+            count: 100
+        },
+        // Stress layout of the flight time view
+        stress: {
+            // Weight of an origin-destination pair, as a multiple of all that
+            // destination's other pairs together (higher = closer to the origin times)
+            originWeight: 1,
+            // Iteration budget, and the relative stress change that ends it early
+            iterations: 50,
+            tolerance: 1e-4
+        }
     },
 
     // Rubber-sheet mode settings
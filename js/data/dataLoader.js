@@ -1,15 +1,48 @@
 /**
  * Data Loader Module
  * Handles loading and caching of all data files
+ *
+ * Matrices load from either the compact binary format (see
+ * scripts/data-pipeline/matrix-format.js) or plain JSON. Binary matrices keep
+ * their NxN values in typed arrays under `packed`; JSON matrices keep nested arrays.
  */
 
+// Binary matrix format
+const MATRIX_MAGIC = 'APFM';
+const MATRIX_NO_VALUE = { uint16: 0xFFFF, uint8: 0xFF };
+
 const DataLoader = {
     cache: {
         usMap: null,
         airports: null,
-        matrix: null
+        matrix: null,       // Active matrix (full period or a time slice)
+        baseMatrix: null,   // Full-period matrix
+        sliceIndex: null,
+        slices: {}
     },
 
+    // Id of the active time slice (null = full period)
+    activeSlice: null,
+
+    // Counts setActiveSlice calls; a load that finishes after a newer call is dropped
+    sliceRequest: 0,
+
+    // Travel time metric: 'scheduled' or 'effective' (delays and cancellations included)
+    metric: 'scheduled',
+
+    // Add airport access and security time to every trip (door-to-door instead of gate-to-gate)
+    doorToDoor: false,
+
+    // Keep Alaska, Hawaii and Puerto Rico airports (drawn in inset panels)
+    includeInsets: false,
+
+    // Which trips the origin's travel times describe: 'from' the origin, 'to' the origin,
+    // or 'roundTrip' (the average of both)
+    direction: 'from',
+
+    // Per-index door-to-door minutes for the active matrix (built on demand)
+    accessTimes: null,
+
     /**
      * Load all required data files
      * @returns {Promise<Object>} Object containing usMap, airports, and matrix
@@ -20,6 +53,7 @@ const DataLoader = {
             this.loadAirports(),
             this.loadMatrix()
         ]);
+        this.applyAirportTraffic();
 
         return { usMap, airports, matrixData };
     },
@@ -41,33 +75,107 @@ const DataLoader = {
 
     /**
      * Load airports data
+     * @returns {Promise<Object[]>} The airports to show (see getAirports)
      */
     async loadAirports() {
-        if (this.cache.airports) return this.cache.airports;
+        if (this.cache.airports) return this.getAirports();
 
         try {
-            const allAirports = await d3.json(CONFIG.dataUrls.airports);
-            // Filter out Hawaii, Alaska, and Puerto Rico - they don't work well
-            // with the "flying makes the country smaller" concept
-            const excludedStates = ['HI', 'AK', 'PR'];
-            this.cache.airports = allAirports.filter(
-                airport => !excludedStates.includes(airport.state)
-            );
-            return this.cache.airports;
+            this.cache.airports = await d3.json(CONFIG.dataUrls.airports);
+            return this.getAirports();
         } catch (error) {
             console.error('Failed to load airports:', error);
             throw error;
         }
     },
 
+    /**
+     * Get the airports to show
+     * Hawaii, Alaska, and Puerto Rico are left out unless insets are on - they
+     * don't work well with the "flying makes the country smaller" concept
+     * @returns {Object[]}
+     */
+    getAirports() {
+        return this.cache.airports.filter(airport => this.includeInsets || !this.isInsetAirport(airport));
+    },
+
+    /**
+     * Copy T-100 passenger counts and hub sizes from the matrix onto the airports
+     * (matrices built with process-bts-data.js --t100 have them)
+     */
+    applyAirportTraffic() {
+        const traffic = this.getBaseMatrix() && this.getBaseMatrix().airportTraffic;
+        if (!traffic || !this.cache.airports) return;
+
+        for (const airport of this.cache.airports) {
+            if (!traffic[airport.code]) continue;
+            airport.passengers = traffic[airport.code].passengers;
+            airport.hub = traffic[airport.code].hub;
+        }
+    },
+
+    /**
+     * Check whether the matrix has T-100 passenger counts
+     * @returns {boolean}
+     */
+    hasPassengerData() {
+        return !!(this.getBaseMatrix() && this.getBaseMatrix().airportTraffic);
+    },
+
+    /**
+     * Get the full-period matrix (time slices don't carry T-100 data)
+     * @returns {Object|null}
+     */
+    getBaseMatrix() {
+        return this.cache.baseMatrix || this.cache.matrix;
+    },
+
+    /**
+     * Check whether an airport belongs in an inset panel (Alaska, Hawaii, Puerto Rico)
+     * @param {Object} airport
+     * @returns {boolean}
+     */
+    isInsetAirport(airport) {
+        return Object.prototype.hasOwnProperty.call(CONFIG.insets.states, airport.state);
+    },
+
+    /**
+     * Check whether the airports file has any inset airports to show
+     * (the pipeline only keeps them when run with --insets)
+     * @returns {boolean}
+     */
+    hasInsetAirports() {
+        return (this.cache.airports || []).some(airport => this.isInsetAirport(airport));
+    },
+
+    /**
+     * Show or hide the Alaska, Hawaii and Puerto Rico airports
+     * @param {boolean} enabled
+     * @returns {Object[]} The airports to show
+     */
+    setIncludeInsets(enabled) {
+        this.includeInsets = enabled;
+        return this.getAirports();
+    },
+
     /**
      * Load travel time matrix
+     * Prefers the binary matrix and falls back to JSON when it isn't available.
      */
     async loadMatrix() {
         if (this.cache.matrix) return this.cache.matrix;
 
+        if (CONFIG.dataUrls.matrixBinary) {
+            try {
+                this.cache.matrix = await this.fetchMatrix(CONFIG.dataUrls.matrixBinary);
+                return this.cache.matrix;
+            } catch (error) {
+                console.warn('Binary matrix not available, loading JSON:', error.message);
+            }
+        }
+
         try {
-            this.cache.matrix = await d3.json(CONFIG.dataUrls.matrix);
+            this.cache.matrix = await this.fetchMatrix(CONFIG.dataUrls.matrix);
             return this.cache.matrix;
         } catch (error) {
             console.error('Failed to load travel time matrix:', error);
@@ -75,13 +183,360 @@ const DataLoader = {
         }
     },
 
+    /**
+     * Fetch a matrix file in either format
+     * @param {string} url - Binary or JSON matrix
+     * @returns {Promise<Object>} Decoded matrix
+     */
+    async fetchMatrix(url) {
+        const buffer = await d3.buffer(url);
+
+        if (this.isBinaryMatrix(buffer)) {
+            return this.decodeBinaryMatrix(buffer);
+        }
+        return JSON.parse(new TextDecoder().decode(buffer));
+    },
+
+    /**
+     * Check whether a buffer starts with the binary matrix magic
+     * @param {ArrayBuffer} buffer
+     * @returns {boolean}
+     */
+    isBinaryMatrix(buffer) {
+        if (buffer.byteLength < 8) return false;
+        const magic = new Uint8Array(buffer, 0, 4);
+        return String.fromCharCode(...magic) === MATRIX_MAGIC;
+    },
+
+    /**
+     * Decode a binary matrix into its header fields plus typed arrays
+     * @param {ArrayBuffer} buffer
+     * @returns {Object} Header fields with `packed` typed arrays by section name
+     */
+    decodeBinaryMatrix(buffer) {
+        const headerLength = new DataView(buffer).getUint32(4, true);
+        const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 8, headerLength)));
+        const dataStart = 8 + headerLength;
+
+        const packed = {};
+        for (const section of header.format.sections) {
+            const start = dataStart + section.offset;
+            packed[section.name] = section.type === 'uint16'
+                ? new Uint16Array(buffer, start, section.byteLength / 2)
+                : new Uint8Array(buffer, start, section.byteLength);
+        }
+
+        const matrix = { ...header, packed };
+        delete matrix.format;
+        return matrix;
+    },
+
+    /**
+     * Load the index of time-slice matrices (e.g. one per month)
+     * Slices are optional, so a missing index resolves to an empty list.
+     * @returns {Promise<Object>} { slices: [{id, type, label, file}] }
+     */
+    async loadSliceIndex() {
+        if (this.cache.sliceIndex) return this.cache.sliceIndex;
+
+        try {
+            this.cache.sliceIndex = await d3.json(CONFIG.dataUrls.slices);
+        } catch (error) {
+            this.cache.sliceIndex = { slices: [] };
+        }
+        return this.cache.sliceIndex;
+    },
+
+    /**
+     * Get the URL of a slice matrix
+     * Index entries give the file relative to the index itself.
+     * @param {Object} entry - Slice index entry
+     * @returns {string}
+     */
+    getSliceUrl(entry) {
+        return new URL(entry.file, new URL(CONFIG.dataUrls.slices, document.baseURI)).href;
+    },
+
+    /**
+     * Switch the active matrix to a time slice
+     * All lookups (travel times, direct flights, sub-matrices) use the active matrix.
+     * Slices load asynchronously; if another switch (or cancelSliceLoad) comes
+     * in while one loads, the older one is cached but not applied.
+     * @param {string|null} sliceId - Slice id from the index, or null for the full period
+     * @returns {Promise<boolean>} false if a newer switch superseded this one
+     */
+    async setActiveSlice(sliceId) {
+        const request = ++this.sliceRequest;
+
+        if (!this.cache.baseMatrix) {
+            this.cache.baseMatrix = this.cache.matrix;
+        }
+
+        if (!sliceId) {
+            this.cache.matrix = this.cache.baseMatrix;
+            this.activeSlice = null;
+            return true;
+        }
+
+        if (!this.cache.slices[sliceId]) {
+            const index = await this.loadSliceIndex();
+            const entry = index.slices.find(s => s.id === sliceId);
+            if (!entry) throw new Error(`Unknown time slice: ${sliceId}`);
+
+            try {
+                this.cache.slices[sliceId] = await this.fetchMatrix(this.getSliceUrl(entry));
+            } catch (error) {
+                console.error(`Failed to load time slice ${sliceId}:`, error);
+                if (request !== this.sliceRequest) return false;
+                throw error;
+            }
+        }
+
+        if (request !== this.sliceRequest) return false;
+
+        this.cache.matrix = this.cache.slices[sliceId];
+        this.activeSlice = sliceId;
+        return true;
+    },
+
+    /**
+     * Drop any slice still loading, so it doesn't replace the active matrix
+     */
+    cancelSliceLoad() {
+        this.sliceRequest++;
+    },
+
+    /**
+     * Set the travel time metric used by all lookups
+     * @param {string} metric - 'scheduled' or 'effective'
+     */
+    setMetric(metric) {
+        this.metric = metric;
+    },
+
+    /**
+     * Switch between gate-to-gate and door-to-door travel times
+     * @param {boolean} enabled - true for door-to-door
+     */
+    setDoorToDoor(enabled) {
+        this.doorToDoor = enabled;
+    },
+
+    /**
+     * Set which way travel times are measured relative to the origin
+     * @param {string} direction - 'from', 'to' or 'roundTrip'
+     */
+    setDirection(direction) {
+        this.direction = direction;
+    },
+
+    /**
+     * Get the door-to-door overhead at an airport
+     * Uses the matrix's per-airport parameters, falling back to defaults by hub size.
+     * @param {string} code - Airport code
+     * @returns {Object} { departure, arrival } in minutes
+     */
+    getAccessTime(code) {
+        const params = this.cache.matrix && this.cache.matrix.doorToDoor;
+        if (params && params[code]) return params[code];
+
+        const airport = this.cache.airports && this.cache.airports.find(a => a.code === code);
+        const overhead = CONFIG.doorToDoor.departureOverhead;
+        return {
+            departure: (airport && overhead[airport.hub]) || overhead.small,
+            arrival: CONFIG.doorToDoor.arrivalBuffer
+        };
+    },
+
+    /**
+     * Get door-to-door overheads by matrix index for the active matrix
+     * @returns {Object} { departure: number[], arrival: number[] }
+     */
+    getAccessTimes() {
+        const matrix = this.cache.matrix;
+        if (!this.accessTimes || this.accessTimes.matrix !== matrix) {
+            const params = matrix.airports.map(code => this.getAccessTime(code));
+            this.accessTimes = {
+                matrix,
+                departure: params.map(p => p.departure),
+                arrival: params.map(p => p.arrival)
+            };
+        }
+        return this.accessTimes;
+    },
+
+    /**
+     * Check whether the loaded data has effective travel times
+     * @returns {boolean}
+     */
+    hasEffectiveMetric() {
+        const matrix = this.cache.matrix;
+        if (!matrix) return false;
+        return !!(matrix.packed ? matrix.packed.effectiveMatrix : matrix.effectiveMatrix);
+    },
+
+    /**
+     * Get the name of the matrix field holding a metric's travel times
+     * Falls back to scheduled times for data without an effective matrix.
+     * @param {string} metric - 'scheduled' or 'effective'
+     * @returns {string} 'matrix' or 'effectiveMatrix'
+     */
+    timesField(metric) {
+        return metric === 'effective' && this.hasEffectiveMetric() ? 'effectiveMatrix' : 'matrix';
+    },
+
+    /**
+     * Get the gate-to-gate travel time between two matrix indices
+     * @param {number} i - Origin index
+     * @param {number} j - Destination index
+     * @param {string} metric - 'scheduled' or 'effective' (defaults to the active metric)
+     * @returns {number|null} Travel time in minutes, or null if unreachable
+     */
+    gateTimeAt(i, j, metric = this.metric) {
+        const matrix = this.cache.matrix;
+        const field = this.timesField(metric);
+
+        if (matrix.packed) {
+            const value = matrix.packed[field][i * matrix.airports.length + j];
+            return value === MATRIX_NO_VALUE.uint16 ? null : value;
+        }
+        return matrix[field][i][j];
+    },
+
+    /**
+     * Read a boolean NxN field (bitset in binary matrices, nested arrays in JSON)
+     * @param {string} field - e.g. 'directFlights' or 'driving'
+     * @returns {boolean} false when the matrix doesn't have the field
+     */
+    flagAt(field, i, j) {
+        const matrix = this.cache.matrix;
+
+        if (matrix.packed) {
+            const bits = matrix.packed[field];
+            if (!bits) return false;
+            const k = i * matrix.airports.length + j;
+            return (bits[k >> 3] & (1 << (k & 7))) !== 0;
+        }
+        return !!(matrix[field] && matrix[field][i][j]);
+    },
+
+    /**
+     * Get the driving time between two matrix indices
+     * @returns {number|null} Minutes, or null if the matrix has no drive time for the pair
+     */
+    driveTimeAt(i, j) {
+        const matrix = this.cache.matrix;
+
+        if (matrix.packed) {
+            const drives = matrix.packed.driveMatrix;
+            if (!drives) return null;
+            const value = drives[i * matrix.airports.length + j];
+            return value === MATRIX_NO_VALUE.uint16 ? null : value;
+        }
+        return matrix.driveMatrix ? matrix.driveMatrix[i][j] : null;
+    },
+
+    /**
+     * Get the fastest trip between two matrix indices
+     * The matrix already holds the faster of flying and driving. With the
+     * door-to-door model, flights also pay the airport overhead, so a drive
+     * can overtake them.
+     * @param {number} i - Origin index
+     * @param {number} j - Destination index
+     * @param {string} metric - 'scheduled' or 'effective' (defaults to the active metric)
+     * @returns {Object} { time: minutes or null if unreachable, mode: 'fly' or 'drive' }
+     */
+    tripAt(i, j, metric = this.metric) {
+        const time = this.gateTimeAt(i, j, metric);
+        const drivingField = this.timesField(metric) === 'effectiveMatrix' ? 'effectiveDriving' : 'driving';
+
+        if (i !== j && this.flagAt(drivingField, i, j)) {
+            return { time, mode: 'drive' };
+        }
+        if (!this.doorToDoor || time === null || i === j) {
+            return { time, mode: 'fly' };
+        }
+
+        const access = this.getAccessTimes();
+        const flyTime = time + access.departure[i] + access.arrival[j];
+        const driveTime = this.driveTimeAt(i, j);
+        return driveTime !== null && driveTime < flyTime
+            ? { time: driveTime, mode: 'drive' }
+            : { time: flyTime, mode: 'fly' };
+    },
+
+    /**
+     * Get the travel time between two matrix indices
+     * Includes the door-to-door overhead when that model is active.
+     * @param {number} i - Origin index
+     * @param {number} j - Destination index
+     * @param {string} metric - 'scheduled' or 'effective' (defaults to the active metric)
+     * @returns {number|null} Travel time in minutes, or null if unreachable
+     */
+    timeAt(i, j, metric = this.metric) {
+        return this.tripAt(i, j, metric).time;
+    },
+
+    /**
+     * Get all travel times from a matrix index
+     * @param {number} i - Origin index
+     * @param {string} metric - 'scheduled' or 'effective' (defaults to the active metric)
+     * @returns {Array<number|null>}
+     */
+    rowAt(i, metric = this.metric) {
+        const matrix = this.cache.matrix;
+        if (!matrix.packed && !this.doorToDoor) return matrix[this.timesField(metric)][i];
+
+        const n = matrix.airports.length;
+        return Array.from({ length: n }, (_, j) => this.timeAt(i, j, metric));
+    },
+
+    /**
+     * Get the travel time between an origin index and another index in the active direction
+     * Round trips average the two directions and need both to be reachable.
+     * @param {number} originIdx - Origin index
+     * @param {number} j - Other airport index
+     * @param {string} metric - 'scheduled' or 'effective' (defaults to the active metric)
+     * @returns {number|null} Travel time in minutes, or null if unreachable
+     */
+    directionalTimeAt(originIdx, j, metric = this.metric) {
+        if (this.direction === 'to') return this.timeAt(j, originIdx, metric);
+        if (this.direction === 'roundTrip') {
+            const out = this.timeAt(originIdx, j, metric);
+            const back = this.timeAt(j, originIdx, metric);
+            return out === null || back === null ? null : (out + back) / 2;
+        }
+        return this.timeAt(originIdx, j, metric);
+    },
+
+    /**
+     * Get the missed-connection risk at an airport
+     * @param {string} code - Airport code
+     * @returns {number|null} Share of arrivals late enough to miss a connection
+     */
+    getMissedConnectionRisk(code) {
+        const risk = this.cache.matrix && this.cache.matrix.missedConnectionRisk;
+        if (!risk || risk[code] === undefined) return null;
+        return risk[code];
+    },
+
+    /**
+     * Get the description of the active slice
+     * @returns {Object|null} { id, type, label, ... } or null for the full period
+     */
+    getActiveSlice() {
+        if (!this.activeSlice || !this.cache.matrix) return null;
+        return this.cache.matrix.slice || null;
+    },
+
     /**
      * Get travel time between two airports
      * @param {string} fromCode - Origin airport code
      * @param {string} toCode - Destination airport code
+     * @param {string} metric - Optional metric (defaults to the active metric)
      * @returns {number|null} Travel time in minutes, or null if not found
      */
-    getTravelTime(fromCode, toCode) {
+    getTravelTime(fromCode, toCode, metric = this.metric) {
         if (!this.cache.matrix) return null;
 
         const fromIdx = this.cache.matrix.airports.indexOf(fromCode);
@@ -89,7 +544,57 @@ const DataLoader = {
 
         if (fromIdx < 0 || toIdx < 0) return null;
 
-        return this.cache.matrix.matrix[fromIdx][toIdx];
+        return this.timeAt(fromIdx, toIdx, metric);
+    },
+
+    /**
+     * Get the trips between an origin and another airport in the active direction
+     * @param {string} originCode - Origin airport code
+     * @param {string} code - Other airport code
+     * @returns {Array<string[]>} [fromCode, toCode] pairs (two for round trips)
+     */
+    getDirectionLegs(originCode, code) {
+        if (this.direction === 'to') return [[code, originCode]];
+        if (this.direction === 'roundTrip') return [[originCode, code], [code, originCode]];
+        return [[originCode, code]];
+    },
+
+    /**
+     * Get the travel time between an origin and another airport in the active direction
+     * @param {string} originCode - Origin airport code
+     * @param {string} code - Other airport code
+     * @param {string} metric - Optional metric (defaults to the active metric)
+     * @returns {number|null} Travel time in minutes, or null if not found
+     */
+    getDirectionalTime(originCode, code, metric = this.metric) {
+        if (!this.cache.matrix) return null;
+
+        const originIdx = this.cache.matrix.airports.indexOf(originCode);
+        const idx = this.cache.matrix.airports.indexOf(code);
+
+        if (originIdx < 0 || idx < 0) return null;
+
+        return this.directionalTimeAt(originIdx, idx, metric);
+    },
+
+    /**
+     * Check whether every trip in the active direction is a direct flight
+     * @param {string} originCode - Origin airport code
+     * @param {string} code - Other airport code
+     * @returns {boolean}
+     */
+    hasDirectFlightFor(originCode, code) {
+        return this.getDirectionLegs(originCode, code).every(([from, to]) => this.hasDirectFlight(from, to));
+    },
+
+    /**
+     * Check whether driving is the fastest way for every trip in the active direction
+     * @param {string} originCode - Origin airport code
+     * @param {string} code - Other airport code
+     * @returns {boolean}
+     */
+    isFasterByCarFor(originCode, code) {
+        return this.getDirectionLegs(originCode, code).every(([from, to]) => this.isFasterByCar(from, to));
     },
 
     /**
@@ -106,7 +611,97 @@ const DataLoader = {
 
         if (fromIdx < 0 || toIdx < 0) return false;
 
-        return this.cache.matrix.directFlights[fromIdx][toIdx];
+        return this.flagAt('directFlights', fromIdx, toIdx);
+    },
+
+    /**
+     * Check whether driving is the fastest way between two airports
+     * @param {string} fromCode - Origin airport code
+     * @param {string} toCode - Destination airport code
+     * @returns {boolean}
+     */
+    isFasterByCar(fromCode, toCode) {
+        if (!this.cache.matrix) return false;
+
+        const fromIdx = this.cache.matrix.airports.indexOf(fromCode);
+        const toIdx = this.cache.matrix.airports.indexOf(toCode);
+
+        if (fromIdx < 0 || toIdx < 0 || fromIdx === toIdx) return false;
+
+        return this.tripAt(fromIdx, toIdx).mode === 'drive';
+    },
+
+    /**
+     * Get the travel time distribution for a direct route
+     * @param {string} fromCode - Origin airport code
+     * @param {string} toCode - Destination airport code
+     * @returns {Object|null} {median, p10, p90, stdDev, count, cancelRate, avgDelay, perDay},
+     *   or null if not available
+     */
+    getRouteStats(fromCode, toCode) {
+        if (!this.cache.matrix || !this.cache.matrix.routeStats) return null;
+
+        return this.cache.matrix.routeStats[`${fromCode}-${toCode}`] || null;
+    },
+
+    /**
+     * Get T-100 seat capacity for a route (full period)
+     * @param {string} fromCode - Origin airport code
+     * @param {string} toCode - Destination airport code
+     * @returns {Object|null} {seats, passengers, departures, avgSeats, loadFactor, seatsPerDay},
+     *   or null if not available
+     */
+    getRouteCapacity(fromCode, toCode) {
+        const matrix = this.getBaseMatrix();
+        if (!matrix || !matrix.routeCapacity) return null;
+
+        return matrix.routeCapacity[`${fromCode}-${toCode}`] || null;
+    },
+
+    /**
+     * Get the connecting hubs for a non-direct route
+     * Uses the effective itinerary when it differs and the effective metric is active.
+     * @param {string} fromCode - Origin airport code
+     * @param {string} toCode - Destination airport code
+     * @returns {string[]|null} Hub codes in travel order, or null if not available
+     */
+    getItinerary(fromCode, toCode) {
+        if (!this.cache.matrix || !this.cache.matrix.itineraries) return null;
+
+        const key = `${fromCode}-${toCode}`;
+        const effective = this.cache.matrix.effectiveItineraries;
+        if (this.metric === 'effective' && effective && effective[key]) {
+            return effective[key];
+        }
+        return this.cache.matrix.itineraries[key] || null;
+    },
+
+    /**
+     * Get the layover the pipeline assumed for connections at a hub
+     * Hubs with their own minimum connect time have their own layover.
+     * @param {string} code - Hub airport code
+     * @returns {number|null} Minutes, or null if the matrix doesn't record layovers
+     */
+    getLayoverTime(code) {
+        const matrix = this.cache.matrix;
+        if (!matrix) return null;
+        if (matrix.hubLayoverMin && matrix.hubLayoverMin[code] !== undefined) return matrix.hubLayoverMin[code];
+        return matrix.layoverMin || null;
+    },
+
+    /**
+     * Get the flight time of a single direct leg
+     * @param {string} fromCode - Origin airport code
+     * @param {string} toCode - Destination airport code
+     * @returns {number|null} Typical flight time in minutes, or null if not a direct route
+     */
+    getLegTime(fromCode, toCode) {
+        const stats = this.getRouteStats(fromCode, toCode);
+        if (stats) return stats.median;
+
+        if (!this.hasDirectFlight(fromCode, toCode)) return null;
+        const airports = this.cache.matrix.airports;
+        return this.gateTimeAt(airports.indexOf(fromCode), airports.indexOf(toCode), 'scheduled');
     },
 
     /**
@@ -120,18 +715,20 @@ const DataLoader = {
         const originIdx = this.cache.matrix.airports.indexOf(originCode);
         if (originIdx < 0) return {};
 
+        const row = this.rowAt(originIdx);
         const times = {};
         this.cache.matrix.airports.forEach((code, idx) => {
-            times[code] = this.cache.matrix.matrix[originIdx][idx];
+            times[code] = row[idx];
         });
 
         return times;
     },
 
     /**
-     * Get the travel time matrix row for an origin
+     * Get the travel times between an origin and every airport in the active direction
+     * 'from' is the origin's matrix row, 'to' its column.
      * @param {string} originCode - Origin airport code
-     * @returns {number[]} Array of travel times
+     * @returns {number[]} Array of travel times in matrix order
      */
     getMatrixRow(originCode) {
         if (!this.cache.matrix) return [];
@@ -139,7 +736,10 @@ const DataLoader = {
         const originIdx = this.cache.matrix.airports.indexOf(originCode);
         if (originIdx < 0) return [];
 
-        return this.cache.matrix.matrix[originIdx];
+        if (this.direction === 'from') return this.rowAt(originIdx);
+
+        const n = this.cache.matrix.airports.length;
+        return Array.from({ length: n }, (_, j) => this.directionalTimeAt(originIdx, j));
     },
 
     /**
@@ -151,16 +751,18 @@ const DataLoader = {
         if (!this.cache.matrix) return [];
 
         if (!airportCodes) {
-            return this.cache.matrix.matrix;
+            return this.cache.matrix.airports.map((_, i) => this.rowAt(i));
         }
 
-        // Extract submatrix for specified airports
+        // Extract submatrix for specified airports. Airports the matrix doesn't
+        // have (e.g. inset airports with an older matrix) keep their row and
+        // column, with no travel times, so indices still line up.
         const indices = airportCodes.map(code =>
             this.cache.matrix.airports.indexOf(code)
-        ).filter(idx => idx >= 0);
+        );
 
         return indices.map(i =>
-            indices.map(j => this.cache.matrix.matrix[i][j])
+            indices.map(j => (i < 0 || j < 0 ? null : this.timeAt(i, j)))
         );
     }
 };
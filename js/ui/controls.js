@@ -4,8 +4,14 @@
  * Handles all user interface interactions including:
  * - Origin airport selector
  * - View mode toggle (Geographic / Flight Time)
+ * - Travel time metric toggle (Scheduled / Effective)
+ * - Trip toggle (Gate-to-gate / Door-to-door)
+ * - Direction toggle (From origin / To origin / Round trip)
  * - Visual style toggle (Points / Map Distortion)
  * - Airport count filter
+ * - Alaska / Hawaii / Puerto Rico insets switch
+ * - Month timeline slider
+ * - Carrier network selector
  */
 
 class Controls {
@@ -20,10 +26,16 @@ class Controls {
     init() {
         this.populateOriginSelect();
         this.initModeToggles();
+        this.initMetricToggles();
+        this.initDoorToDoorToggles();
+        this.initDirectionToggles();
         this.initDirectOnlyToggle();
         this.initStyleToggles();
+        this.initLayoutToggles();
         this.initAirportFilter();
+        this.initInsetsToggle();
         this.initZoomControls();
+        this.initSliceControls();
     }
 
     /**
@@ -81,30 +93,102 @@ class Controls {
      * Initialize view mode toggle buttons
      */
     initModeToggles() {
-        const btnDistance = d3.select('#btn-distance');
-        const btnFlightTime = d3.select('#btn-flight-time');
+        const buttons = {
+            geographic: d3.select('#btn-distance'),
+            flightTime: d3.select('#btn-flight-time'),
+            networkShape: d3.select('#btn-network-shape')
+        };
 
-        btnDistance.on('click', () => {
-            this.setActiveButton(btnDistance, btnFlightTime);
-            this.renderer.setMode('geographic');
+        Object.entries(buttons).forEach(([mode, btn]) => {
+            btn.on('click', () => {
+                // Only flight time is measured from an origin
+                if (mode === 'flightTime' && !this.renderer.selectedOrigin) {
+                    this.showMessage('Please select a starting city first');
+                    return;
+                }
+                Object.values(buttons).forEach(b => b.classed('active', b === btn));
+                this.renderer.setMode(mode);
+                if (typeof updateURL === 'function') {
+                    updateURL('mode', mode);
+                }
+            });
+        });
+    }
+
+    /**
+     * Initialize scheduled / effective travel time toggle buttons
+     * Only shown when the matrix has effective (delay-aware) travel times.
+     */
+    initMetricToggles() {
+        if (!DataLoader.hasEffectiveMetric()) return;
+
+        const btnScheduled = d3.select('#btn-scheduled');
+        const btnEffective = d3.select('#btn-effective');
+
+        d3.select('#metric-control').style('display', null);
+
+        btnScheduled.on('click', () => {
+            this.setActiveButton(btnScheduled, btnEffective);
+            this.renderer.setMetric('scheduled');
             if (typeof updateURL === 'function') {
-                updateURL('mode', 'geographic');
+                updateURL('metric', 'scheduled');
             }
         });
 
-        btnFlightTime.on('click', () => {
-            if (!this.renderer.selectedOrigin) {
-                this.showMessage('Please select a starting city first');
-                return;
+        btnEffective.on('click', () => {
+            this.setActiveButton(btnEffective, btnScheduled);
+            this.renderer.setMetric('effective');
+            if (typeof updateURL === 'function') {
+                updateURL('metric', 'effective');
+            }
+        });
+    }
+
+    /**
+     * Initialize gate-to-gate / door-to-door toggle buttons
+     */
+    initDoorToDoorToggles() {
+        const btnGate = d3.select('#btn-gate-to-gate');
+        const btnDoor = d3.select('#btn-door-to-door');
+
+        btnGate.on('click', () => {
+            this.setActiveButton(btnGate, btnDoor);
+            this.renderer.setDoorToDoor(false);
+            if (typeof updateURL === 'function') {
+                updateURL('doorToDoor', false);
             }
-            this.setActiveButton(btnFlightTime, btnDistance);
-            this.renderer.setMode('flightTime');
+        });
+
+        btnDoor.on('click', () => {
+            this.setActiveButton(btnDoor, btnGate);
+            this.renderer.setDoorToDoor(true);
             if (typeof updateURL === 'function') {
-                updateURL('mode', 'flightTime');
+                updateURL('doorToDoor', true);
             }
         });
     }
 
+    /**
+     * Initialize from / to / round-trip direction toggle buttons
+     */
+    initDirectionToggles() {
+        const buttons = {
+            from: d3.select('#btn-direction-from'),
+            to: d3.select('#btn-direction-to'),
+            roundTrip: d3.select('#btn-direction-round-trip')
+        };
+
+        Object.entries(buttons).forEach(([direction, btn]) => {
+            btn.on('click', () => {
+                Object.values(buttons).forEach(b => b.classed('active', b === btn));
+                this.renderer.setDirection(direction);
+                if (typeof updateURL === 'function') {
+                    updateURL('direction', direction);
+                }
+            });
+        });
+    }
+
     /**
      * Initialize Direct Only toggle switch
      */
@@ -142,6 +226,60 @@ class Controls {
         });
     }
 
+    /**
+     * Initialize radial / stress layout toggle buttons
+     */
+    initLayoutToggles() {
+        const btnRadial = d3.select('#btn-layout-radial');
+        const btnStress = d3.select('#btn-layout-stress');
+
+        btnRadial.on('click', () => {
+            this.setActiveButton(btnRadial, btnStress);
+            this.renderer.setLayout('radial');
+            if (typeof updateURL === 'function') {
+                updateURL('layout', 'radial');
+            }
+        });
+
+        btnStress.on('click', () => {
+            this.setActiveButton(btnStress, btnRadial);
+            this.renderer.setLayout('stress');
+            if (typeof updateURL === 'function') {
+                updateURL('layout', 'stress');
+            }
+        });
+    }
+
+    /**
+     * Initialize the Alaska / Hawaii / Puerto Rico insets switch
+     * Only shown when the airports data includes them (fetch-airports --insets).
+     */
+    initInsetsToggle() {
+        if (!DataLoader.hasInsetAirports()) return;
+
+        const toggle = d3.select('#insets-toggle');
+        d3.select('#insets-control').style('display', null);
+        toggle.property('checked', this.renderer.showInsets);
+
+        toggle.on('change', () => {
+            const enabled = toggle.property('checked');
+            this.renderer.setShowInsets(enabled);
+            this.populateOriginSelect();
+            this.updateOriginSelectForFilter(this.renderer.airportFilter);
+            d3.select('#origin-select').property('value', this.renderer.selectedOrigin || '');
+
+            // The origin may have left the top airports (or was an inset airport)
+            const origin = this.renderer.selectedOrigin;
+            if (origin && !this.renderer.airports.some(a => a.code === origin)) {
+                this.renderer.clearOrigin();
+            }
+
+            if (typeof updateURL === 'function') {
+                updateURL('insets', enabled);
+            }
+        });
+    }
+
     /**
      * Initialize airport filter dropdown
      */
@@ -168,14 +306,16 @@ class Controls {
                 if (!stillVisible) {
                     this.renderer.selectedOrigin = null;
                     d3.select('#origin-select').property('value', '');
-                    this.renderer.setMode('geographic');
-                    d3.select('#btn-distance').classed('active', true);
-                    d3.select('#btn-flight-time').classed('active', false);
+                    if (this.renderer.currentMode === 'flightTime') {
+                        this.renderer.setMode('geographic');
+                        d3.select('#btn-distance').classed('active', true);
+                        d3.select('#btn-flight-time').classed('active', false);
+                    }
                 }
             }
 
-            // Re-render if in flight time mode
-            if (this.renderer.currentMode === 'flightTime' && this.renderer.selectedOrigin) {
+            // Re-render if in flight time or network shape mode
+            if (this.renderer.isMorphedMode()) {
                 this.renderer.updateFlightTimeView();
             }
         });
@@ -213,6 +353,159 @@ class Controls {
         });
     }
 
+    /**
+     * Initialize the controls that switch between pipeline slices
+     * Months and carrier networks are separate matrices, so only one applies at a time.
+     */
+    async initSliceControls() {
+        const index = await DataLoader.loadSliceIndex();
+        this.initTimeline(index);
+        this.initCarrierSelect(index);
+    }
+
+    /**
+     * Initialize the month timeline slider and play button
+     * Only shown when the pipeline has written per-month matrices.
+     * @param {Object} index - Slice index from DataLoader.loadSliceIndex
+     */
+    initTimeline(index) {
+        const months = index.slices
+            .filter(s => s.type === 'month')
+            .sort((a, b) => a.month - b.month);
+
+        if (months.length === 0) return;
+
+        // Step 0 is the full period, then one step per month
+        this.timelineSteps = [{ id: null, label: 'All months' }, ...months];
+        this.timelineTimer = null;
+
+        const slider = d3.select('#timeline-slider');
+        const playBtn = d3.select('#btn-timeline-play');
+
+        slider.attr('max', this.timelineSteps.length - 1);
+        d3.select('#timeline-control').style('display', null);
+
+        slider.on('input', (event) => {
+            this.stopTimeline();
+            this.showTimelineStep(parseInt(event.target.value, 10));
+        });
+
+        playBtn.on('click', () => {
+            if (this.timelineTimer) {
+                this.stopTimeline();
+                return;
+            }
+            // Network shape plays without an origin
+            if (!this.renderer.selectedOrigin && this.renderer.currentMode !== 'networkShape') {
+                this.showMessage('Please select a starting city first');
+                return;
+            }
+
+            playBtn.text('❚❚').classed('active', true);
+            const advance = () => {
+                // Loop over the months, skipping the full-period step
+                const current = parseInt(slider.property('value'), 10);
+                const next = current >= this.timelineSteps.length - 1 ? 1 : current + 1;
+                this.showTimelineStep(next).then(applied => {
+                    // Wait for this month to be on screen before timing the next one
+                    if (applied && this.timelineTimer) {
+                        this.timelineTimer = setTimeout(advance, CONFIG.timeline.playInterval);
+                    }
+                });
+            };
+            this.timelineTimer = true; // Playing; a timeout id once a month is shown
+            advance();
+        });
+    }
+
+    /**
+     * Show one step of the timeline
+     * The slider and label move once the month's matrix is loaded, so they
+     * always match the map.
+     * @param {number} step - Index into timelineSteps
+     * @returns {Promise<boolean>} false if it failed or a newer switch superseded it
+     */
+    showTimelineStep(step) {
+        const entry = this.timelineSteps[step];
+        if (!entry) return Promise.resolve(false);
+
+        d3.select('#carrier-select').property('value', '');
+        return this.renderer.setSlice(entry.id)
+            .then(applied => {
+                if (applied) {
+                    d3.select('#timeline-slider').property('value', step);
+                    d3.select('#timeline-label').text(entry.label);
+                }
+                return applied;
+            })
+            .catch(() => {
+                this.stopTimeline();
+                this.showMessage(`No data available for ${entry.label}`);
+                return false;
+            });
+    }
+
+    /**
+     * Stop timeline playback, dropping a month that is still loading
+     */
+    stopTimeline() {
+        if (this.timelineTimer) {
+            clearTimeout(this.timelineTimer);
+            this.timelineTimer = null;
+            DataLoader.cancelSliceLoad();
+        }
+        d3.select('#btn-timeline-play').text('▶').classed('active', false);
+    }
+
+    /**
+     * Initialize the carrier network dropdown
+     * Only shown when the pipeline has written per-carrier matrices.
+     * @param {Object} index - Slice index from DataLoader.loadSliceIndex
+     */
+    initCarrierSelect(index) {
+        const byLabel = (a, b) => a.label.localeCompare(b.label);
+        const alliances = index.slices.filter(s => s.type === 'alliance').sort(byLabel);
+        const carriers = index.slices.filter(s => s.type === 'carrier').sort(byLabel);
+
+        if (alliances.length === 0 && carriers.length === 0) return;
+
+        const select = d3.select('#carrier-select');
+
+        if (alliances.length > 0) {
+            select.append('optgroup').attr('label', 'Alliances')
+                .selectAll('option')
+                .data(alliances)
+                .join('option')
+                .attr('value', d => d.id)
+                .text(d => d.label);
+        }
+
+        if (carriers.length > 0) {
+            select.append('optgroup').attr('label', 'Airlines')
+                .selectAll('option')
+                .data(carriers)
+                .join('option')
+                .attr('value', d => d.id)
+                .text(d => `${d.label} only`);
+        }
+
+        d3.select('#carrier-control').style('display', null);
+
+        select.on('change', (event) => {
+            // Carrier matrices cover the full period
+            if (this.timelineSteps) {
+                this.stopTimeline();
+                d3.select('#timeline-slider').property('value', 0);
+                d3.select('#timeline-label').text(this.timelineSteps[0].label);
+            }
+
+            const sliceId = event.target.value || null;
+            this.renderer.setSlice(sliceId).catch(() => {
+                this.showMessage('No data available for this carrier');
+            });
+        });
+    }
+
     /**
      * Show a temporary message to the user
      */
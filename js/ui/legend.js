@@ -4,6 +4,7 @@
  * Renders the map legend showing:
  * - Airport type indicators
  * - Travel time color scale
+ * - How well the layout fits the travel times
  */
 
 class Legend {
@@ -24,7 +25,8 @@ class Legend {
         const items = [
             { class: 'origin', label: 'Selected Origin' },
             { class: 'direct-example', label: 'Direct Flight' },
-            { class: 'connection-example', label: 'Connection Required' }
+            { class: 'connection-example', label: 'Connection Required' },
+            { class: 'drive-example', label: 'Faster by Car' }
         ];
 
         items.forEach(item => {
@@ -33,14 +35,66 @@ class Legend {
             row.append('span').text(item.label);
         });
 
+        // Dot sizes follow passengers when the matrix has T-100 data
+        if (DataLoader.hasPassengerData()) {
+            this.container.append('div')
+                .attr('class', 'legend-item legend-note')
+                .text('Dot size = passengers boarded');
+        }
+
         // Time scale container (will be populated when origin is selected)
         this.container.append('div').attr('id', 'time-scale');
+
+        // Layout fit (populated by the renderer whenever the layout changes)
+        this.container.append('div').attr('id', 'layout-metrics');
+    }
+
+    /**
+     * Show how faithfully the current layout represents travel times
+     * @param {Object} metrics - From MapRenderer.getLayoutMetrics
+     */
+    updateLayoutMetrics(metrics) {
+        const section = this.container.select('#layout-metrics');
+        section.html('');
+        if (!metrics || !metrics.pairs) return;
+
+        const names = {
+            geographic: 'Geographic',
+            radial: 'Radial',
+            stress: 'Stress',
+            networkShape: 'Network shape'
+        };
+
+        section.append('div')
+            .attr('class', 'layout-metrics-title')
+            .text(`Layout fit · ${names[metrics.layout] || metrics.layout}`);
+
+        const addRow = (label, fit) => {
+            section.append('div')
+                .attr('class', 'layout-metrics-row')
+                .attr('title', 'Stress: 0 = screen distances match travel times exactly, above 0.2 is a poor fit. ' +
+                    'Rank: 1 = every longer trip is drawn farther apart')
+                .html(`<strong>${label}:</strong> stress ${fit.stress.toFixed(2)} · rank ${fit.rankCorrelation.toFixed(2)}`);
+        };
+
+        addRow('All pairs', metrics.pairs);
+        if (metrics.fromOrigin) {
+            addRow(this.getDirectionTitle(metrics.origin), metrics.fromOrigin);
+        }
+
+        // Worst airports of the pairs the view is about
+        const focus = metrics.fromOrigin || metrics.pairs;
+        if (focus.worst.length > 0) {
+            section.append('div')
+                .attr('class', 'legend-note')
+                .text(`Least faithful: ${focus.worst.map(w => w.code).join(', ')}`);
+        }
     }
 
     /**
-     * Update legend to show travel time scale from selected origin
+     * Update legend to show travel time scale for the selected origin
      * @param {string} originCode - Selected origin airport code
-     * @param {number[]} travelTimes - Array of travel times from origin
+     * @param {number[]} travelTimes - Travel times for the origin in the active direction
      * @param {Object[]} geoPositions - Airport positions for geographic distance calc
      */
     updateForOrigin(originCode, travelTimes, geoPositions) {
@@ -63,7 +117,7 @@ class Legend {
         travelTimes.forEach((time, i) => {
             if (time > 0 && isFinite(time) && i < matrixAirports.length) {
                 const destCode = matrixAirports[i];
-                if (DataLoader.hasDirectFlight(originCode, destCode)) {
+                if (DataLoader.hasDirectFlightFor(originCode, destCode)) {
                     directCount++;
                 } else {
                     connectionCount++;
@@ -80,7 +134,7 @@ class Legend {
             .style('font-weight', '600')
             .style('color', '#333')
             .style('margin-bottom', '0.25rem')
-            .text(`From ${originCode}`);
+            .text(this.getDirectionTitle(originCode));
 
         // Flight stats
         scaleContainer.append('div')
@@ -111,7 +165,7 @@ class Legend {
             .style('font-size', '0.75rem')
             .style('color', '#888')
             .style('margin-bottom', '0.35rem')
-            .text('Travel time');
+            .text(this.getTimeLabel());
 
         // Create gradient bar
         const width = 180;
@@ -170,6 +224,30 @@ class Legend {
             .text(`${Math.round(maxHours / 2)}h`);
     }
 
+    /**
+     * Title for the origin's travel times in the active direction
+     * @param {string} originCode - Selected origin airport code
+     * @returns {string} e.g. 'From LAX'
+     */
+    getDirectionTitle(originCode) {
+        if (DataLoader.direction === 'to') return `To ${originCode}`;
+        if (DataLoader.direction === 'roundTrip') return `Round trips from ${originCode}`;
+        return `From ${originCode}`;
+    }
+
+    /**
+     * Describe the travel times being shown
+     * @returns {string} Label for the time scale
+     */
+    getTimeLabel() {
+        const base = DataLoader.metric === 'effective' ? 'Effective travel time' : 'Travel time';
+        const parts = [];
+        if (DataLoader.direction === 'roundTrip') parts.push('avg each way');
+        if (DataLoader.metric === 'effective') parts.push('delays included');
+        parts.push(DataLoader.doorToDoor ? 'door to door' : 'gate to gate');
+        return `${base} (${parts.join(', ')})`;
+    }
+
     /**
      * Clear the travel time scale
      */
@@ -212,7 +290,10 @@ class Legend {
                 closestByFlight = destCode;
             }
 
-            // Check geographic distance (using screen coordinates from projection)
+            // Check geographic distance (using screen coordinates from projection);
+            // inset panels aren't where their airports really are
+            const insetApart = (destGeo.inset || originGeo.inset) && destGeo.state !== originGeo.state;
+            if (insetApart) return;
             const geoDist = Math.hypot(destGeo.geoX - originGeo.geoX, destGeo.geoY - originGeo.geoY);
             if (geoDist > 0 && geoDist < minGeoDist) {
                 minGeoDist = geoDist;
@@ -4,7 +4,7 @@
  * Main orchestrator for the visualization. Handles:
  * - SVG setup and layer management
  * - Data loading and projection
- * - Coordinating between modes (geographic, flight time)
+ * - Coordinating between modes (geographic, flight time, network shape)
  * - Coordinating between visual styles (points, rubber-sheet)
  */
 
@@ -22,17 +22,34 @@ class MapRenderer {
         // Map projection - scale based on container size
         const baseScale = 1300;
         const scaleFactor = Math.min(this.width / CONFIG.width, this.height / CONFIG.height);
+        const scale = baseScale * scaleFactor;
         this.projection = d3.geoAlbersUsa()
-            .scale(baseScale * scaleFactor)
+            .scale(scale)
             .translate([this.width / 2, this.height / 2]);
         this.pathGenerator = d3.geoPath().projection(this.projection);
 
+        // geoAlbersUsa insets Alaska and Hawaii but not Puerto Rico, so it gets
+        // its own projection placed east of Florida
+        this.puertoRicoProjection = d3.geoConicEqualArea()
+            .rotate([66, 0])
+            .center([0, 18])
+            .parallels([8, 18])
+            .scale(scale)
+            .translate([this.width / 2 + 0.35 * scale, this.height / 2 + 0.224 * scale]);
+        this.puertoRicoPath = d3.geoPath().projection(this.puertoRicoProjection);
+
         // State
         this.currentMode = CONFIG.defaults.mode;
         this.visualStyle = CONFIG.defaults.visualStyle;
+        this.layout = CONFIG.defaults.layout; // Flight time layout: 'radial' or 'stress'
+        this.layoutMetrics = null; // Fit of the current layout to the travel times (see getLayoutMetrics)
+        this.pendingMetrics = null; // Layout waiting to be measured { positions, matrix }
+        this.metricsTimer = null;
         this.selectedOrigin = null;
         this.airportFilter = CONFIG.defaults.airportCount;
         this.showDirectOnly = false;
+        this.showInsets = DataLoader.includeInsets;
+        this.passengerRadius = null; // Dot size scale when the matrix has passenger counts
         this.embedMode = false;
 
         // Data
@@ -52,6 +69,7 @@ class MapRenderer {
         this.connectionsLayer = null;
         this.airportsLayer = null;
         this.labelsLayer = null;
+        this.insetLayer = null;
 
         // Zoom behavior
         this.zoom = null;
@@ -101,6 +119,14 @@ class MapRenderer {
         this.allAirports = airports;
         this.matrixData = matrixData;
 
+        // Size dots by passengers (area proportional), scaled over every airport
+        if (DataLoader.hasPassengerData()) {
+            const maxPassengers = d3.max(DataLoader.cache.airports, a => a.passengers || 0);
+            this.passengerRadius = d3.scaleSqrt()
+                .domain([0, maxPassengers || 1])
+                .range([CONFIG.airportRadiusByPassengers.min, CONFIG.airportRadiusByPassengers.max]);
+        }
+
         // Apply initial filter
         this.applyAirportFilter(this.airportFilter);
     }
@@ -114,17 +140,18 @@ class MapRenderer {
 
         // Calculate geographic positions
         this.geoPositions = this.airports.map(airport => {
-            const projected = this.projection([airport.lon, airport.lat]);
+            const projected = this.projectPoint([airport.lon, airport.lat]);
             if (projected) {
                 return {
                     x: projected[0],
                     y: projected[1],
                     geoX: projected[0],
                     geoY: projected[1],
+                    inset: DataLoader.isInsetAirport(airport),
                     ...airport
                 };
             }
-            // Handle airports outside continental US (HNL, ANC, SJU)
+            // Handle airports outside the projection (e.g. Guam)
             return {
                 x: this.width / 2,
                 y: this.height / 2,
@@ -139,6 +166,78 @@ class MapRenderer {
         this.currentPositions = this.geoPositions.map(p => ({ x: p.x, y: p.y }));
     }
 
+    /**
+     * Get the dot radius of an airport
+     * By passengers when the matrix has them, otherwise by hub size.
+     * @param {Object} airport
+     * @returns {number}
+     */
+    airportRadius(airport) {
+        if (this.passengerRadius && airport.passengers !== undefined) {
+            return this.passengerRadius(airport.passengers);
+        }
+        return CONFIG.airportRadius[airport.hub] || 5;
+    }
+
+    /**
+     * Project a [lon, lat] point, including Puerto Rico
+     * @returns {number[]|null} [x, y], or null outside the map
+     */
+    projectPoint(coords) {
+        const projected = this.projection(coords);
+        if (projected) return projected;
+
+        const [lon, lat] = coords;
+        if (lon >= -68 && lon <= -65 && lat >= 17.5 && lat <= 18.6) {
+            return this.puertoRicoProjection(coords);
+        }
+        return null;
+    }
+
+    /**
+     * Get the SVG path of a state (Puerto Rico uses its own projection)
+     * @param {Object} feature - State feature
+     * @returns {string|null}
+     */
+    statePath(feature) {
+        return feature.id === CONFIG.insets.states.PR
+            ? this.puertoRicoPath(feature)
+            : this.pathGenerator(feature);
+    }
+
+    /**
+     * Check whether a state is drawn in an inset panel (Alaska, Hawaii, Puerto Rico)
+     * @param {Object} feature - State feature
+     */
+    isInsetState(feature) {
+        return Object.values(CONFIG.insets.states).includes(feature.id);
+    }
+
+    /**
+     * Get the postal code of an inset state
+     * @param {Object} feature - State feature
+     * @returns {string|undefined} 'AK', 'HI' or 'PR'
+     */
+    insetStateCode(feature) {
+        return Object.keys(CONFIG.insets.states).find(key => CONFIG.insets.states[key] === feature.id);
+    }
+
+    /**
+     * Get the state features to draw
+     * The Northern Mariana Islands (69) are never drawn; Alaska, Hawaii and
+     * Puerto Rico only when insets are on.
+     * @param {Object} options - { continentalOnly: leave out the inset states }
+     * @returns {Object[]}
+     */
+    getStateFeatures(options = {}) {
+        const states = topojson.feature(this.usMap, this.usMap.objects.states);
+        return states.features.filter(f => {
+            if (f.id === '69') return false;
+            if (!this.isInsetState(f)) return true;
+            return this.showInsets && !options.continentalOnly;
+        });
+    }
+
     /**
      * Initialize SVG and layers
      */
@@ -173,6 +272,7 @@ class MapRenderer {
         this.meshLayer = this.mainGroup.append('g').attr('class', 'mesh-layer');
         this.connectionsLayer = this.mainGroup.append('g').attr('class', 'connections-layer');
         this.hoverLineLayer = this.mainGroup.append('g').attr('class', 'hover-line-layer');
+        this.insetLayer = this.mainGroup.append('g').attr('class', 'inset-layer');
         this.airportsLayer = this.mainGroup.append('g').attr('class', 'airports-layer');
         this.labelsLayer = this.mainGroup.append('g').attr('class', 'labels-layer');
     }
@@ -191,20 +291,21 @@ class MapRenderer {
      */
     render() {
         this.renderStates();
+        this.renderInsets();
         this.renderAirports();
         this.renderLabels();
+
+        // Morphed views measure their layout when they compute it
+        if (!this.isMorphedMode()) {
+            this.updateLayoutMetrics(this.currentPositions);
+        }
     }
 
     /**
      * Render US state boundaries
      */
     renderStates() {
-        const states = topojson.feature(this.usMap, this.usMap.objects.states);
-        // Filter out Alaska (02), Hawaii (15), Northern Mariana Islands (69), and Puerto Rico (72)
-        const excludedFips = ['02', '15', '69', '72'];
-        const filteredStates = states.features.filter(
-            f => !excludedFips.includes(f.id)
-        );
+        const filteredStates = this.getStateFeatures();
 
         // FIPS to state name mapping
         const fipsToState = {
@@ -230,25 +331,110 @@ class MapRenderer {
             .attr('class', 'state')
             .attr('data-fips', d => d.id)
             .attr('data-state', d => fipsToState[d.id] || d.id)
-            .attr('d', this.pathGenerator);
+            .attr('d', d => this.statePath(d));
+    }
+
+    /**
+     * Render the frames around the Alaska, Hawaii and Puerto Rico insets
+     * With an origin selected, each panel is labeled with the fastest trip to
+     * an airport inside it.
+     */
+    renderInsets() {
+        if (!this.insetLayer) return;
+
+        const padding = CONFIG.insets.panelPadding;
+        const panels = !this.showInsets ? [] : this.getStateFeatures()
+            .filter(f => this.isInsetState(f))
+            .map(feature => {
+                const state = this.insetStateCode(feature);
+                const [[x0, y0], [x1, y1]] = d3.geoPath()
+                    .projection(state === 'PR' ? this.puertoRicoProjection : this.projection)
+                    .bounds(feature);
+                return {
+                    state,
+                    x: x0 - padding,
+                    y: y0 - padding,
+                    width: x1 - x0 + padding * 2,
+                    height: y1 - y0 + padding * 2,
+                    label: this.insetLabel(state)
+                };
+            });
+
+        const groups = this.insetLayer.selectAll('.inset-panel')
+            .data(panels, d => d.state)
+            .join(enter => {
+                const g = enter.append('g').attr('class', 'inset-panel');
+                g.append('rect');
+                g.append('text').attr('class', 'inset-label');
+                return g;
+            })
+            .attr('data-state', d => d.state);
+
+        groups.select('rect')
+            .attr('x', d => d.x)
+            .attr('y', d => d.y)
+            .attr('width', d => d.width)
+            .attr('height', d => d.height);
+
+        groups.select('text')
+            .attr('x', d => d.x + 4)
+            .attr('y', d => d.y - 4)
+            .text(d => d.label);
+    }
+
+    /**
+     * Label an inset panel, with the fastest trip between the origin and the
+     * panel's airports when an origin outside the panel is selected
+     * @param {string} state - 'AK', 'HI' or 'PR'
+     * @returns {string} e.g. "Hawaii · 5h 40m (HNL)"
+     */
+    insetLabel(state) {
+        const name = CONFIG.insets.labels[state];
+        const origin = this.airports.find(a => a.code === this.selectedOrigin);
+        if (!origin || origin.state === state) return name;
+
+        let best = null;
+        for (const airport of this.airports) {
+            if (airport.state !== state) continue;
+            const time = DataLoader.getDirectionalTime(origin.code, airport.code);
+            if (time !== null && isFinite(time) && (!best || time < best.time)) {
+                best = { code: airport.code, time };
+            }
+        }
+        if (!best) return name;
+
+        const formatTime = (m) => `${Math.floor(m / 60)}h ${String(Math.round(m % 60)).padStart(2, '0')}m`;
+        return `${name} · ${formatTime(best.time)} (${best.code})`;
+    }
+
+    /**
+     * Show or hide Alaska, Hawaii and Puerto Rico
+     * @param {boolean} enabled
+     */
+    setShowInsets(enabled) {
+        this.showInsets = enabled;
+        this.allAirports = DataLoader.setIncludeInsets(enabled);
+        this.applyAirportFilter(this.airportFilter);
+
+        this.render();
+        if (this.visualStyle === 'rubberSheet') {
+            this.renderGhostStates();
+        }
+
+        if (this.selectedOrigin || this.isMorphedMode()) {
+            this.refreshTravelTimes();
+        }
     }
 
     /**
      * Render ghost (reference) state boundaries for rubber-sheet mode
      */
     renderGhostStates() {
-        const states = topojson.feature(this.usMap, this.usMap.objects.states);
-        // Filter out Alaska (02), Hawaii (15), Northern Mariana Islands (69), and Puerto Rico (72)
-        const excludedFips = ['02', '15', '69', '72'];
-        const filteredStates = states.features.filter(
-            f => !excludedFips.includes(f.id)
-        );
-
         this.ghostLayer.selectAll('.state-ghost')
-            .data(filteredStates)
+            .data(this.getStateFeatures())
             .join('path')
             .attr('class', 'state-ghost')
-            .attr('d', this.pathGenerator);
+            .attr('d', d => this.statePath(d));
     }
 
     /**
@@ -282,7 +468,7 @@ class MapRenderer {
         airports.enter()
             .append('circle')
             .attr('class', 'airport')
-            .attr('r', d => CONFIG.airportRadius[d.hub] || 5)
+            .attr('r', d => this.airportRadius(d))
             .attr('cx', d => d.x)
             .attr('cy', d => d.y)
             .on('click', function(event, d) {
@@ -298,7 +484,7 @@ class MapRenderer {
             })
             .on('mouseenter', function(event, d) {
                 self.showTooltip(event, d);
-                d3.select(this).attr('r', CONFIG.airportRadiusHover);
+                d3.select(this).attr('r', Math.max(CONFIG.airportRadiusHover, self.airportRadius(d) + 3));
                 // Show label on hover for non-always-visible labels
                 self.labelsLayer.selectAll('.airport-label')
                     .filter(l => l.code === d.code)
@@ -310,7 +496,7 @@ class MapRenderer {
             })
             .on('mouseleave', function(event, d) {
                 self.hideTooltip();
-                d3.select(this).attr('r', CONFIG.airportRadius[d.hub] || 5);
+                d3.select(this).attr('r', self.airportRadius(d));
                 // Hide label when not hovering
                 self.labelsLayer.selectAll('.airport-label')
                     .filter(l => l.code === d.code)
@@ -327,9 +513,11 @@ class MapRenderer {
     }
 
     /**
-     * Update airport colors based on travel time from origin
+     * Update airport colors based on travel time between the origin and each
+     * airport in the active direction
      * Direct flights: solid fill with travel time color
      * Connections: ring (white fill, colored stroke)
+     * Faster by car: solid fill with a dashed dark outline
      */
     updateAirportColors() {
         if (!this.selectedOrigin) {
@@ -340,57 +528,71 @@ class MapRenderer {
                 .style('opacity', null)
                 .classed('origin', false)
                 .classed('direct', false)
-                .classed('connection', false);
+                .classed('connection', false)
+                .classed('drive', false)
+                .classed('no-route', false)
+                .style('stroke-dasharray', null);
             this.labelsLayer.selectAll('.airport-label')
                 .style('opacity', null);
             return;
         }
 
         const self = this;
+        const byCar = (d) => d.code !== this.selectedOrigin && DataLoader.isFasterByCarFor(this.selectedOrigin, d.code);
 
         this.airportsLayer.selectAll('.airport')
             .classed('origin', d => d.code === this.selectedOrigin)
             .classed('direct', d => {
-                if (d.code === this.selectedOrigin) return false;
-                return DataLoader.hasDirectFlight(this.selectedOrigin, d.code);
+                if (d.code === this.selectedOrigin || byCar(d)) return false;
+                return DataLoader.hasDirectFlightFor(this.selectedOrigin, d.code);
             })
             .classed('connection', d => {
+                if (d.code === this.selectedOrigin || byCar(d)) return false;
+                if (!DataLoader.getDirectionalTime(this.selectedOrigin, d.code)) return false;
+                return !DataLoader.hasDirectFlightFor(this.selectedOrigin, d.code);
+            })
+            .classed('drive', byCar)
+            .classed('no-route', d => {
                 if (d.code === this.selectedOrigin) return false;
-                return !DataLoader.hasDirectFlight(this.selectedOrigin, d.code);
+                return !DataLoader.getDirectionalTime(this.selectedOrigin, d.code);
             })
             .style('fill', d => {
                 if (d.code === this.selectedOrigin) return CONFIG.colors.origin;
-                const travelTime = DataLoader.getTravelTime(this.selectedOrigin, d.code);
+                const travelTime = DataLoader.getDirectionalTime(this.selectedOrigin, d.code);
                 if (!travelTime) return CONFIG.colors.noRoute;
                 const color = this.timeColorScale(travelTime);
                 // Connections get white fill (ring style)
-                if (!DataLoader.hasDirectFlight(this.selectedOrigin, d.code)) {
+                if (!byCar(d) && !DataLoader.hasDirectFlightFor(this.selectedOrigin, d.code)) {
                     return '#ffffff';
                 }
                 return color;
             })
             .style('stroke', d => {
                 if (d.code === this.selectedOrigin) return null;
-                const travelTime = DataLoader.getTravelTime(this.selectedOrigin, d.code);
+                const travelTime = DataLoader.getDirectionalTime(this.selectedOrigin, d.code);
                 if (!travelTime) return null;
+                // Airports reached faster by car get a dark outline
+                if (byCar(d)) return CONFIG.colors.drive;
                 // Connections get colored stroke
-                if (!DataLoader.hasDirectFlight(this.selectedOrigin, d.code)) {
+                if (!DataLoader.hasDirectFlightFor(this.selectedOrigin, d.code)) {
                     return this.timeColorScale(travelTime);
                 }
                 return null;
             })
             .style('stroke-width', d => {
                 if (d.code === this.selectedOrigin) return null;
-                if (!DataLoader.hasDirectFlight(this.selectedOrigin, d.code)) {
+                if (byCar(d)) return 2;
+                if (!DataLoader.hasDirectFlightFor(this.selectedOrigin, d.code)) {
                     return 2.5;
                 }
                 return null;
             })
+            .style('stroke-dasharray', d => byCar(d) ? '2 1.5' : null)
             .style('opacity', d => {
                 if (d.code === this.selectedOrigin) return 1;
                 if (!this.showDirectOnly) return 1;
                 // Fade connections when Direct Only is active
-                if (!DataLoader.hasDirectFlight(this.selectedOrigin, d.code)) {
+                if (!DataLoader.hasDirectFlightFor(this.selectedOrigin, d.code)) {
                     return 0.3;
                 }
                 return 1;
@@ -401,7 +603,7 @@ class MapRenderer {
             .style('opacity', d => {
                 if (d.code === this.selectedOrigin) return null; // Let CSS handle origin
                 if (!this.showDirectOnly) return null; // Let CSS handle normal state
-                if (!DataLoader.hasDirectFlight(this.selectedOrigin, d.code)) {
+                if (!DataLoader.hasDirectFlightFor(this.selectedOrigin, d.code)) {
                     return 0.3;
                 }
                 return null;
@@ -561,6 +763,7 @@ class MapRenderer {
 
         // Update label visibility
         this.updateLabelVisibility();
+        this.renderInsets();
 
         // Update legend (skip in embed mode)
         if (window.legend && typeof window.legend.updateForOrigin === 'function') {
@@ -571,6 +774,8 @@ class MapRenderer {
         // If in flight-time mode, recalculate positions
         if (this.currentMode === 'flightTime') {
             this.updateFlightTimeView();
+        } else {
+            this.updateLayoutMetrics(this.currentPositions);
         }
     }
 
@@ -593,6 +798,7 @@ class MapRenderer {
 
         // Update labels
         this.renderLabels();
+        this.renderInsets();
 
         // Clear legend (skip in embed mode)
         if (window.legend && typeof window.legend.clearTimeScale === 'function') {
@@ -605,6 +811,8 @@ class MapRenderer {
             d3.select('#btn-distance').classed('active', true);
             d3.select('#btn-flight-time').classed('active', false);
             this.transitionToGeographic();
+        } else {
+            this.updateLayoutMetrics(this.currentPositions);
         }
 
         // Reset direct-only filter
@@ -629,27 +837,148 @@ class MapRenderer {
     }
 
     /**
-     * Set the view mode (geographic or flightTime)
+     * Set the view mode
+     * - geographic: airports at their map positions
+     * - flightTime: distances from the selected origin follow travel time
+     * - networkShape: every airport laid out by the travel times between all
+     *   pairs (classical MDS), no origin needed
      */
     setMode(mode) {
         if (mode === this.currentMode) return;
 
+        // Flight time needs an origin; stay in the current mode without one
+        if (mode === 'flightTime' && !this.selectedOrigin) {
+            alert('Please select a starting city first');
+            return;
+        }
+
         this.currentMode = mode;
 
         if (mode === 'geographic') {
             this.transitionToGeographic();
-        } else if (mode === 'flightTime') {
-            if (!this.selectedOrigin) {
-                alert('Please select a starting city first');
-                this.currentMode = 'geographic';
-                d3.select('#btn-distance').classed('active', true);
-                d3.select('#btn-flight-time').classed('active', false);
-                return;
-            }
+        } else {
             this.updateFlightTimeView();
         }
     }
 
+    /**
+     * Check whether airports are laid out by travel time (any mode but geographic)
+     */
+    isMorphedMode() {
+        return this.currentMode !== 'geographic';
+    }
+
+    /**
+     * Compute the airport positions of the current morphed mode, and measure
+     * their fit (see updateLayoutMetrics)
+     * @returns {Object[]|null} Positions {x, y}, or null without an origin in flight time mode
+     */
+    computeLayout() {
+        const matrix = this.getCurrentMatrix();
+        const viewport = {
+            width: this.width,
+            height: this.height,
+            padding: CONFIG.mds.padding
+        };
+
+        let positions = null;
+        if (this.currentMode === 'networkShape') {
+            positions = MDS.computeNetworkPositions(matrix, this.geoPositions, viewport);
+        } else if (this.selectedOrigin && this.getOriginIndex() >= 0) {
+            positions = MDS.computePositions(matrix, this.geoPositions, this.getOriginIndex(), viewport,
+                DataLoader.direction, this.layout);
+        }
+
+        if (positions) this.updateLayoutMetrics(positions, matrix);
+        return positions;
+    }
+
+    /**
+     * Name of the layout on screen
+     * @returns {string} 'geographic', 'radial', 'stress' or 'networkShape'
+     */
+    getLayoutName() {
+        if (this.currentMode === 'flightTime') return this.layout;
+        return this.currentMode;
+    }
+
+    /**
+     * Queue a new layout for measuring (see getLayoutMetrics)
+     * Comparing every pair of airports takes a noticeable fraction of a second
+     * at the larger airport filters, so the legend is updated once the layout
+     * has settled rather than on every origin click or timeline step, and
+     * nothing is measured without a legend to show it.
+     * @param {Object[]} positions - Airport positions {x, y}
+     * @param {number[][]} matrix - Travel times the layout was computed from
+     *   (default: the current matrix, looked up when measured)
+     */
+    updateLayoutMetrics(positions, matrix = null) {
+        this.pendingMetrics = { positions, matrix };
+        clearTimeout(this.metricsTimer);
+
+        // After the transition, so measuring doesn't stall the animation
+        if (window.legend) {
+            this.metricsTimer = setTimeout(() => this.getLayoutMetrics(), CONFIG.transitionDuration);
+        }
+    }
+
+    /**
+     * Measure how well the layout shows the travel times (see MDS.evaluateLayout)
+     * and show it in the legend, if it changed since the last call. The result
+     * is kept in layoutMetrics, so it can also be read from the console to
+     * compare layouts:
+     *   { layout, origin: code or null, pairs: { stress, rankCorrelation,
+     *     worst: [{ code, stress }], count }, fromOrigin: same or null }
+     * @returns {Object|null} The metrics, or null before the first layout
+     */
+    getLayoutMetrics() {
+        if (!this.pendingMetrics) return this.layoutMetrics;
+
+        const { positions, matrix } = this.pendingMetrics;
+        this.pendingMetrics = null;
+        clearTimeout(this.metricsTimer);
+
+        const originIndex = this.selectedOrigin ? this.getOriginIndex() : -1;
+        const metrics = MDS.evaluateLayout(positions, matrix || this.getCurrentMatrix(), this.geoPositions, {
+            originIndex,
+            direction: DataLoader.direction,
+            worstCount: CONFIG.mds.worstAirports
+        });
+
+        // Airport codes instead of indexes
+        const named = fit => fit && {
+            ...fit,
+            worst: fit.worst.map(w => ({ code: this.airports[w.index].code, stress: w.stress }))
+        };
+
+        this.layoutMetrics = {
+            layout: this.getLayoutName(),
+            origin: originIndex >= 0 ? this.selectedOrigin : null,
+            pairs: named(metrics.pairs),
+            fromOrigin: named(metrics.origin)
+        };
+
+        if (window.legend && typeof window.legend.updateLayoutMetrics === 'function') {
+            window.legend.updateLayoutMetrics(this.layoutMetrics);
+        }
+        return this.layoutMetrics;
+    }
+
+    /**
+     * Set the flight time layout
+     * - radial: airports keep their bearing from the origin, only the distance changes
+     * - stress: screen distances fit the travel times of all pairs, the origin pairs most
+     * @param {string} layout - 'radial' or 'stress'
+     */
+    setLayout(layout) {
+        if (layout === this.layout) return;
+        this.layout = layout;
+
+        if (this.currentMode === 'flightTime') {
+            this.updateFlightTimeView({ fromCurrent: true });
+        }
+    }
+
     /**
      * Set the visual style (points or rubberSheet)
      * - points: Only airport dots move, states stay fixed
@@ -665,7 +994,7 @@ class MapRenderer {
             // Show ghost reference of original map
             this.renderGhostStates();
 
-            if (this.currentMode === 'flightTime') {
+            if (this.isMorphedMode()) {
                 // Switching to Map Distortion - morph the states
                 this.rubberSheetMode.activate();
                 this.rubberSheetMode.update();
@@ -674,7 +1003,7 @@ class MapRenderer {
             // Hide ghost overlay
             this.hideGhostStates();
 
-            if (this.currentMode === 'flightTime') {
+            if (this.isMorphedMode()) {
                 // Switching to Points Only - restore states to geographic
                 this.rubberSheetMode.deactivate();
             }
@@ -689,6 +1018,7 @@ class MapRenderer {
             x: p.geoX,
             y: p.geoY
         }));
+        this.updateLayoutMetrics(targetPositions);
 
         this.transitionManager.transition(targetPositions, () => {
             this.currentPositions = targetPositions;
@@ -701,15 +1031,77 @@ class MapRenderer {
     }
 
     /**
-     * Update flight time view positions
+     * Update flight time (or network shape) view positions
+     * @param {Object} options - { fromCurrent: morph states from their current shape }
      */
-    updateFlightTimeView() {
-        if (!this.selectedOrigin) return;
+    updateFlightTimeView(options = {}) {
+        if (this.currentMode === 'flightTime' && !this.selectedOrigin) return;
 
         if (this.visualStyle === 'points') {
             this.pointsMode.update();
         } else {
-            this.rubberSheetMode.update();
+            this.rubberSheetMode.update(options);
+        }
+    }
+
+    /**
+     * Switch to a time slice (e.g. a month) and morph to its travel times
+     * @param {string|null} sliceId - Slice id, or null for the full period
+     * @returns {Promise<boolean>} false if a newer switch superseded this one
+     */
+    async setSlice(sliceId) {
+        const applied = await DataLoader.setActiveSlice(sliceId);
+        if (applied) this.refreshTravelTimes();
+        return applied;
+    }
+
+    /**
+     * Switch between scheduled and effective (delay-aware) travel times
+     * @param {string} metric - 'scheduled' or 'effective'
+     */
+    setMetric(metric) {
+        DataLoader.setMetric(metric);
+        this.refreshTravelTimes();
+    }
+
+    /**
+     * Switch between gate-to-gate and door-to-door travel times
+     * @param {boolean} enabled - true for door-to-door
+     */
+    setDoorToDoor(enabled) {
+        DataLoader.setDoorToDoor(enabled);
+        this.refreshTravelTimes();
+    }
+
+    /**
+     * Switch between travel times from the origin, to the origin and round trips
+     * @param {string} direction - 'from', 'to' or 'roundTrip'
+     */
+    setDirection(direction) {
+        DataLoader.setDirection(direction);
+        this.refreshTravelTimes();
+    }
+
+    /**
+     * Re-color airports, update the legend and re-run the morph after the
+     * travel times change
+     */
+    refreshTravelTimes() {
+        if (this.selectedOrigin) {
+            this.updateAirportColors();
+            this.renderInsets();
+
+            if (window.legend && typeof window.legend.updateForOrigin === 'function') {
+                const times = DataLoader.getMatrixRow(this.selectedOrigin);
+                window.legend.updateForOrigin(this.selectedOrigin, times, this.geoPositions);
+            }
+        }
+
+        // Morph from the current layout rather than from geography
+        if (this.isMorphedMode()) {
+            this.updateFlightTimeView({ fromCurrent: true });
+        } else {
+            this.updateLayoutMetrics(this.currentPositions);
         }
     }
 
@@ -721,17 +1113,37 @@ class MapRenderer {
 
         let content = `<strong>${airport.name}</strong><br>`;
         content += `${airport.city}, ${airport.state} (${airport.code})`;
+        if (airport.passengers) {
+            const millions = airport.passengers / 1e6;
+            const count = millions >= 1 ? `${millions.toFixed(1)}M` : `${Math.round(airport.passengers / 1000)}K`;
+            content += `<div class="route-stats">${count} passengers boarded</div>`;
+        }
 
         if (this.selectedOrigin && airport.code !== this.selectedOrigin) {
-            const travelTime = DataLoader.getTravelTime(this.selectedOrigin, airport.code);
-            const isDirect = DataLoader.hasDirectFlight(this.selectedOrigin, airport.code);
+            const legs = DataLoader.getDirectionLegs(this.selectedOrigin, airport.code);
+            const travelTime = DataLoader.getDirectionalTime(this.selectedOrigin, airport.code);
+            const isDirect = DataLoader.hasDirectFlightFor(this.selectedOrigin, airport.code);
+            const byCar = DataLoader.isFasterByCarFor(this.selectedOrigin, airport.code);
+            const formatTime = (m) => `${Math.floor(m / 60)}h ${Math.round(m % 60)}m`;
 
             if (travelTime) {
-                const hours = Math.floor(travelTime / 60);
-                const mins = Math.round(travelTime % 60);
                 content += `<div class="travel-time">`;
-                content += `From ${this.selectedOrigin}: ${hours}h ${mins}m`;
-                content += isDirect ? ' (direct)' : ' (connection)';
+                content += `${this.getDirectionLabel()}: ${formatTime(travelTime)}`;
+                content += byCar ? ' (drive)' : isDirect ? ' (direct)' : ' (connection)';
+                content += `</div>`;
+
+                // Round trips describe the way out and the way back separately
+                legs.forEach(([from, to]) => {
+                    if (legs.length > 1) {
+                        content += `<div class="route-stats trip-heading">${from} → ${to}: ${formatTime(DataLoader.getTravelTime(from, to))}</div>`;
+                    }
+                    content += this.formatTripDetails(from, to);
+                });
+            } else if (DataLoader.getActiveSlice()) {
+                // Carrier networks leave airports they cannot connect empty
+                const trip = { from: 'itinerary from', to: 'itinerary to', roundTrip: 'round trip from' }[DataLoader.direction];
+                content += `<div class="travel-time no-route">`;
+                content += `No ${DataLoader.getActiveSlice().label} ${trip} ${this.selectedOrigin}`;
                 content += `</div>`;
             }
         }
@@ -768,6 +1180,148 @@ class MapRenderer {
             .style('top', top + 'px');
     }
 
+    /**
+     * Describe the origin's trips in the active direction for the tooltip
+     * @returns {string} e.g. 'From LAX'
+     */
+    getDirectionLabel() {
+        if (DataLoader.direction === 'to') return `To ${this.selectedOrigin}`;
+        if (DataLoader.direction === 'roundTrip') return `Round trip from ${this.selectedOrigin} (avg each way)`;
+        return `From ${this.selectedOrigin}`;
+    }
+
+    /**
+     * Format the details of one trip for the tooltip: driving, door-to-door
+     * overheads, delays, the itinerary and direct route statistics
+     * @param {string} from - Departure airport code
+     * @param {string} to - Arrival airport code
+     * @returns {string} HTML
+     */
+    formatTripDetails(from, to) {
+        const travelTime = DataLoader.getTravelTime(from, to);
+        if (!travelTime) return '';
+
+        const isDirect = DataLoader.hasDirectFlight(from, to);
+        const byCar = DataLoader.isFasterByCar(from, to);
+        let html = '';
+
+        if (byCar) {
+            html += `<div class="route-stats drive">`;
+            html += isDirect ? 'Driving beats the direct flight' : 'Driving beats any flight';
+            html += `</div>`;
+        }
+
+        // Door-to-door time spent getting through each airport
+        if (DataLoader.doorToDoor && !byCar) {
+            const departure = DataLoader.getAccessTime(from).departure;
+            const arrival = DataLoader.getAccessTime(to).arrival;
+            html += `<div class="route-stats">`;
+            html += `door to door: ${departure}m through ${from} before departure, ${arrival}m after landing`;
+            html += `</div>`;
+        }
+
+        // Compare a realistic trip time with the schedule
+        if (DataLoader.metric === 'effective' && !byCar) {
+            const scheduled = DataLoader.getTravelTime(from, to, 'scheduled');
+            if (scheduled && scheduled !== travelTime) {
+                const extra = Math.round(travelTime - scheduled);
+                html += `<div class="route-stats">`;
+                html += `${extra >= 0 ? '+' : ''}${extra}m over the ${Math.floor(scheduled / 60)}h ${Math.round(scheduled % 60)}m flight time for delays and disruptions`;
+                html += `</div>`;
+            }
+        }
+
+        // Legs and layovers of a connecting itinerary
+        const hubs = !isDirect && !byCar ? DataLoader.getItinerary(from, to) : null;
+        if (hubs) {
+            // The itinerary lists the gate-to-gate part of the trip
+            const accessTime = DataLoader.doorToDoor
+                ? DataLoader.getAccessTime(from).departure + DataLoader.getAccessTime(to).arrival
+                : 0;
+            html += this.formatItinerary([from, ...hubs, to], travelTime - accessTime);
+        }
+
+        // Spread of observed flight times for direct routes
+        const stats = isDirect ? DataLoader.getRouteStats(from, to) : null;
+        if (stats) {
+            const formatTime = (m) => `${Math.floor(m / 60)}h ${String(Math.round(m % 60)).padStart(2, '0')}m`;
+            html += `<div class="route-stats">`;
+            html += `typically ${formatTime(stats.median)} (${formatTime(stats.p10)} – ${formatTime(stats.p90)}), `;
+            // Daily frequency (older matrices only have the total count), and
+            // the sample the times are based on
+            const sample = `${stats.count.toLocaleString('en-US')} ${stats.count === 1 ? 'flight' : 'flights'}`;
+            if (stats.perDay !== undefined) {
+                const perDay = stats.perDay >= 10 ? Math.round(stats.perDay) : stats.perDay;
+                html += `${perDay} ${perDay === 1 ? 'flight' : 'flights'}/day (${sample})`;
+            } else {
+                html += sample;
+            }
+            html += `</div>`;
+
+            // Aircraft size and how full the flights are (T-100 data)
+            const capacity = DataLoader.getRouteCapacity(from, to);
+            if (capacity && capacity.avgSeats) {
+                html += `<div class="route-stats">`;
+                html += `${capacity.avgSeats} seats/flight, `;
+                if (capacity.seatsPerDay) {
+                    html += `${Math.round(capacity.seatsPerDay).toLocaleString('en-US')} seats/day, `;
+                }
+                html += `${Math.round(capacity.loadFactor * 100)}% full`;
+                html += `</div>`;
+            }
+
+            if (DataLoader.metric === 'effective' && stats.cancelRate !== undefined) {
+                html += `<div class="route-stats">`;
+                html += `${(stats.cancelRate * 100).toFixed(1)}% cancelled, `;
+                html += `avg departure delay ${Math.round(stats.avgDelay)}m`;
+                html += `</div>`;
+            }
+        }
+
+        return html;
+    }
+
+    /**
+     * Format the legs of an itinerary for the tooltip
+     * Time the legs and layovers don't account for (waiting for departures,
+     * delays) is shown as a remainder so the lines add up to the total.
+     * @param {string[]} stops - Airport codes from origin to destination
+     * @param {number} travelTime - Total travel time in minutes
+     * @returns {string} HTML
+     */
+    formatItinerary(stops, travelTime) {
+        const formatTime = (m) => `${Math.floor(m / 60)}h ${String(Math.round(m % 60)).padStart(2, '0')}m`;
+        let accounted = 0;
+        let html = `<div class="itinerary">`;
+
+        for (let i = 0; i < stops.length - 1; i++) {
+            const layoverMin = i > 0 ? DataLoader.getLayoverTime(stops[i]) : null;
+            if (layoverMin) {
+                html += `<div class="itinerary-layover">Layover in ${stops[i]} · ${formatTime(layoverMin)}</div>`;
+                accounted += layoverMin;
+            }
+
+            const legTime = DataLoader.getLegTime(stops[i], stops[i + 1]);
+            html += `<div class="itinerary-leg">${stops[i]} → ${stops[i + 1]}`;
+            if (legTime) {
+                html += ` · ${formatTime(legTime)}`;
+                accounted += legTime;
+            }
+            html += `</div>`;
+        }
+
+        const remainder = Math.round(travelTime - accounted);
+        if (remainder > 0) {
+            const reason = DataLoader.metric === 'effective'
+                ? 'waiting, delays and disruptions'
+                : 'waiting for departures';
+            html += `<div class="itinerary-layover">+ ${formatTime(remainder)} ${reason}</div>`;
+        }
+
+        html += `</div>`;
+        return html;
+    }
+
     /**
      * Hide tooltip
      */
@@ -776,17 +1330,79 @@ class MapRenderer {
     }
 
     /**
-     * Show curved dotted line from origin to hovered airport
+     * Show curved dotted line between origin and hovered airport
+     * Connections are drawn leg by leg through their hubs when the itinerary is known.
+     * Follows the active direction, so round trips draw the way out and the way back.
      */
     showHoverLine(targetAirport) {
-        // Get origin airport position
-        const originData = this.geoPositions.find(p => p.code === this.selectedOrigin);
-        if (!originData) return;
+        const trips = DataLoader.getDirectionLegs(this.selectedOrigin, targetAirport.code).map(([from, to]) => {
+            const hubs = DataLoader.hasDirectFlight(from, to) || DataLoader.isFasterByCar(from, to)
+                ? []
+                : DataLoader.getItinerary(from, to) || [];
+            return [from, ...hubs, to].map(code => this.getDisplayPosition(code));
+        });
+        if (trips.some(stops => stops.some(p => !p))) return;
+
+        // One path with a curved segment per leg
+        const pathData = trips
+            .map(stops => stops.slice(1).map((pos, i) => this.curveSegment(stops[i], pos)).join(' '))
+            .join(' ');
+
+        // Remove existing line and add new one
+        this.hideHoverLine();
+
+        this.hoverLineLayer.append('path')
+            .attr('class', 'hover-line')
+            .attr('d', pathData)
+            .style('fill', 'none')
+            .style('stroke', CONFIG.colors.origin)
+            .style('stroke-width', 2)
+            .style('stroke-dasharray', '6, 4')
+            .style('opacity', 0.7);
+
+        // Mark the hubs
+        const hubStops = trips.flatMap(stops => stops.slice(1, -1));
+        this.hoverLineLayer.selectAll('.hover-hub')
+            .data(hubStops)
+            .join('circle')
+            .attr('class', 'hover-hub')
+            .attr('cx', d => d.x)
+            .attr('cy', d => d.y)
+            .attr('r', 4);
+
+        this.hoverLineLayer.selectAll('.hover-hub-label')
+            .data(hubStops)
+            .join('text')
+            .attr('class', 'hover-hub-label')
+            .attr('x', d => d.x + 6)
+            .attr('y', d => d.y - 6)
+            .text(d => d.code);
+    }
 
-        // Get current positions (may be transformed in flight time mode)
-        const originPos = this.currentPositions[this.geoPositions.indexOf(originData)] || originData;
-        const targetPos = this.currentPositions[this.geoPositions.indexOf(targetAirport)] || targetAirport;
+    /**
+     * Get the on-screen position of an airport
+     * Airports hidden by the airport filter fall back to their projected location.
+     * @param {string} code - Airport code
+     * @returns {Object|null} {code, x, y}
+     */
+    getDisplayPosition(code) {
+        const index = this.geoPositions.findIndex(p => p.code === code);
+        if (index >= 0) {
+            // Current positions may be transformed in flight time mode
+            const pos = this.currentPositions[index] || this.geoPositions[index];
+            return { code, x: pos.x, y: pos.y };
+        }
+
+        const airport = this.allAirports.find(a => a.code === code);
+        const projected = airport ? this.projectPoint([airport.lon, airport.lat]) : null;
+        return projected ? { code, x: projected[0], y: projected[1] } : null;
+    }
 
+    /**
+     * Build a curved path segment between two positions
+     * @returns {string} SVG path data
+     */
+    curveSegment(originPos, targetPos) {
         // Calculate control point for quadratic bezier curve
         // Offset perpendicular to the line for a nice arc
         const midX = (originPos.x + targetPos.x) / 2;
@@ -814,27 +1430,14 @@ class MapRenderer {
         const ctrlX = midX + perpX;
         const ctrlY = midY + perpY;
 
-        // Create curved path
-        const pathData = `M ${originPos.x} ${originPos.y} Q ${ctrlX} ${ctrlY} ${targetPos.x} ${targetPos.y}`;
-
-        // Remove existing line and add new one
-        this.hoverLineLayer.selectAll('.hover-line').remove();
-
-        this.hoverLineLayer.append('path')
-            .attr('class', 'hover-line')
-            .attr('d', pathData)
-            .style('fill', 'none')
-            .style('stroke', CONFIG.colors.origin)
-            .style('stroke-width', 2)
-            .style('stroke-dasharray', '6, 4')
-            .style('opacity', 0.7);
+        return `M ${originPos.x} ${originPos.y} Q ${ctrlX} ${ctrlY} ${targetPos.x} ${targetPos.y}`;
     }
 
     /**
      * Hide the hover connection line
      */
     hideHoverLine() {
-        this.hoverLineLayer.selectAll('.hover-line').remove();
+        this.hoverLineLayer.selectAll('.hover-line, .hover-hub, .hover-hub-label').remove();
     }
 
     /**
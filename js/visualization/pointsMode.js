@@ -11,28 +11,13 @@ class PointsMode {
     }
 
     /**
-     * Update positions based on flight time from selected origin
+     * Update positions based on flight time (from the selected origin, or
+     * between all airports in network shape mode)
      */
     update() {
-        if (!this.renderer.selectedOrigin) return;
-
-        const originIndex = this.renderer.getOriginIndex();
-        if (originIndex < 0) return;
-
-        // Get travel time matrix for current airports
-        const matrix = this.renderer.getCurrentMatrix();
-
-        // Calculate new positions using MDS
-        const targetPositions = MDS.computePositions(
-            matrix,
-            this.renderer.geoPositions,
-            originIndex,
-            {
-                width: this.renderer.width,
-                height: this.renderer.height,
-                padding: CONFIG.mds.padding
-            }
-        );
+        // Positions for the current mode (flight time from the origin, or network shape)
+        const targetPositions = this.renderer.computeLayout();
+        if (!targetPositions) return;
 
         // Animate airports to new positions (states stay fixed)
         this.renderer.transitionManager.transition(targetPositions, () => {
@@ -57,7 +42,8 @@ class PointsMode {
                 width: this.renderer.width,
                 height: this.renderer.height,
                 padding: CONFIG.mds.padding
-            }
+            },
+            DataLoader.direction
         );
     }
 }
@@ -10,6 +10,7 @@ class RubberSheetMode {
         this.renderer = renderer;
         this.isActive = false;
         this.lastTargetPositions = null;
+        this.statesMorphed = false;
     }
 
     /**
@@ -29,29 +30,12 @@ class RubberSheetMode {
 
     /**
      * Update - morph both airports and states
+     * @param {Object} options - { fromCurrent: start the state morph from the last layout }
      */
-    update() {
-        if (!this.renderer.selectedOrigin) return;
-
-        const originIndex = this.renderer.getOriginIndex();
-        if (originIndex < 0) return;
-
-        // Get travel time matrix for current airports
-        const matrix = this.renderer.getCurrentMatrix();
-
-        // Calculate new positions using MDS
-        const targetPositions = MDS.computePositions(
-            matrix,
-            this.renderer.geoPositions,
-            originIndex,
-            {
-                width: this.renderer.width,
-                height: this.renderer.height,
-                padding: CONFIG.mds.padding
-            }
-        );
-
-        this.lastTargetPositions = targetPositions;
+    update(options = {}) {
+        // Positions for the current mode (flight time from the origin, or network shape)
+        const targetPositions = this.renderer.computeLayout();
+        if (!targetPositions) return;
 
         // Store original geo positions for state morphing
         const originalPositions = this.renderer.geoPositions.map(p => ({
@@ -59,6 +43,16 @@ class RubberSheetMode {
             y: p.geoY
         }));
 
+        // States either start from geography or from the previous morph
+        const previous = this.lastTargetPositions;
+        const fromPositions = options.fromCurrent && this.statesMorphed &&
+            previous && previous.length === targetPositions.length
+            ? previous
+            : originalPositions;
+
+        this.lastTargetPositions = targetPositions;
+        this.statesMorphed = true;
+
         // Animate airports to new positions
         this.renderer.transitionManager.transition(targetPositions, () => {
             this.renderer.currentPositions = targetPositions;
@@ -68,22 +62,66 @@ class RubberSheetMode {
             }
         });
 
-        // Morph the states along with the airports
-        this.morphStates(originalPositions, targetPositions);
+        // Morph the states along with the airports. Inset airports (Alaska,
+        // Hawaii, Puerto Rico) are far from their real location, so they don't
+        // pull on the continental states; their panels move with them instead.
+        const continental = this.renderer.geoPositions
+            .map((p, i) => (p.inset ? -1 : i))
+            .filter(i => i >= 0);
+        const pick = positions => continental.map(i => positions[i]);
+        this.morphStates(pick(originalPositions), pick(targetPositions), pick(fromPositions));
+        this.moveInsets(originalPositions, targetPositions);
+    }
+
+    /**
+     * Shift each inset state and its panel frame by the average displacement
+     * of the panel's airports
+     * @param {Object[]} originalPositions - Geographic airport positions
+     * @param {Object[]|null} targetPositions - Airport positions to move to (null = back to geography)
+     */
+    moveInsets(originalPositions, targetPositions) {
+        const renderer = this.renderer;
+        const offsets = {};
+
+        if (targetPositions) {
+            renderer.geoPositions.forEach((p, i) => {
+                if (!p.inset || !targetPositions[i]) return;
+                const offset = offsets[p.state] || (offsets[p.state] = { dx: 0, dy: 0, count: 0 });
+                offset.dx += targetPositions[i].x - originalPositions[i].x;
+                offset.dy += targetPositions[i].y - originalPositions[i].y;
+                offset.count++;
+            });
+        }
+
+        const translate = state => {
+            const offset = offsets[state];
+            return offset ? `translate(${offset.dx / offset.count},${offset.dy / offset.count})` : 'translate(0,0)';
+        };
+
+        renderer.mapLayer.selectAll('.state')
+            .filter(d => renderer.isInsetState(d))
+            .transition()
+            .duration(CONFIG.transitionDuration)
+            .ease(CONFIG.transitionEase)
+            .attr('transform', d => translate(renderer.insetStateCode(d)));
+
+        renderer.insetLayer.selectAll('.inset-panel')
+            .transition()
+            .duration(CONFIG.transitionDuration)
+            .ease(CONFIG.transitionEase)
+            .attr('transform', d => translate(d.state));
     }
 
     /**
      * Morph state boundaries based on airport displacements
+     * @param {Object[]} originalPositions - Geographic airport positions
+     * @param {Object[]} targetPositions - Airport positions to morph to
+     * @param {Object[]} fromPositions - Airport positions to morph from (defaults to geographic)
      */
-    morphStates(originalPositions, targetPositions) {
+    morphStates(originalPositions, targetPositions, fromPositions = originalPositions) {
         const self = this;
         const renderer = this.renderer;
-        const states = topojson.feature(renderer.usMap, renderer.usMap.objects.states);
-        // Filter out Alaska (02), Hawaii (15), Northern Mariana Islands (69), and Puerto Rico (72)
-        const excludedFips = ['02', '15', '69', '72'];
-        const filteredStates = states.features.filter(
-            f => !excludedFips.includes(f.id)
-        );
+        const filteredStates = renderer.getStateFeatures({ continentalOnly: true });
 
         renderer.mapLayer.selectAll('.state')
             .data(filteredStates, d => d.id)
@@ -92,7 +130,7 @@ class RubberSheetMode {
             .ease(CONFIG.transitionEase)
             .attrTween('d', function(d) {
                 return function(t) {
-                    return self.interpolateStatePath(d, originalPositions, targetPositions, t);
+                    return self.interpolateStatePath(d, originalPositions, fromPositions, targetPositions, t);
                 };
             });
     }
@@ -100,7 +138,7 @@ class RubberSheetMode {
     /**
      * Interpolate a state path between original and target positions
      */
-    interpolateStatePath(feature, originalPositions, targetPositions, t) {
+    interpolateStatePath(feature, originalPositions, fromPositions, targetPositions, t) {
         const renderer = this.renderer;
         const projection = renderer.projection;
         const self = this;
@@ -122,6 +160,7 @@ class RubberSheetMode {
                             projected[0],
                             projected[1],
                             originalPositions,
+                            fromPositions,
                             targetPositions,
                             t
                         );
@@ -141,8 +180,10 @@ class RubberSheetMode {
 
     /**
      * Warp a point using inverse distance weighting from airport displacements
+     * Displacements interpolate from fromPositions (t = 0) to targetPositions (t = 1);
+     * weights always use the original geographic positions.
      */
-    warpPoint(x, y, originalPositions, targetPositions, t) {
+    warpPoint(x, y, originalPositions, fromPositions, targetPositions, t) {
         const power = 2.5; // Interpolation power
         let sumWeightX = 0;
         let sumWeightY = 0;
@@ -150,6 +191,7 @@ class RubberSheetMode {
 
         for (let i = 0; i < originalPositions.length; i++) {
             const orig = originalPositions[i];
+            const from = fromPositions[i];
             const target = targetPositions[i];
 
             const dx = orig.x - x;
@@ -159,16 +201,16 @@ class RubberSheetMode {
             if (dist < 1) {
                 // Very close to airport - use interpolated airport position
                 return {
-                    x: orig.x + (target.x - orig.x) * t,
-                    y: orig.y + (target.y - orig.y) * t
+                    x: from.x + (target.x - from.x) * t,
+                    y: from.y + (target.y - from.y) * t
                 };
             }
 
             const weight = 1 / Math.pow(dist, power);
 
             // Calculate interpolated displacement
-            const dispX = (target.x - orig.x) * t;
-            const dispY = (target.y - orig.y) * t;
+            const dispX = (from.x - orig.x) + (target.x - from.x) * t;
+            const dispY = (from.y - orig.y) + (target.y - from.y) * t;
 
             sumWeightX += weight * (x + dispX);
             sumWeightY += weight * (y + dispY);
@@ -186,12 +228,8 @@ class RubberSheetMode {
      */
     transitionToGeographic() {
         const renderer = this.renderer;
-        const states = topojson.feature(renderer.usMap, renderer.usMap.objects.states);
-        // Filter out Alaska (02), Hawaii (15), Northern Mariana Islands (69), and Puerto Rico (72)
-        const excludedFips = ['02', '15', '69', '72'];
-        const filteredStates = states.features.filter(
-            f => !excludedFips.includes(f.id)
-        );
+        this.statesMorphed = false;
+        const filteredStates = renderer.getStateFeatures({ continentalOnly: true });
 
         renderer.mapLayer.selectAll('.state')
             .data(filteredStates, d => d.id)
@@ -199,5 +237,7 @@ class RubberSheetMode {
             .duration(CONFIG.transitionDuration)
             .ease(CONFIG.transitionEase)
             .attr('d', renderer.pathGenerator);
+
+        this.moveInsets(null, null);
     }
 }
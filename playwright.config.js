@@ -3,6 +3,7 @@ const { defineConfig } = require('@playwright/test');
 
 module.exports = defineConfig({
     testDir: './tests',
+    testIgnore: 'pipeline/**',
     fullyParallel: true,
     forbidOnly: !!process.env.CI,
     retries: process.env.CI ? 2 : 0,
@@ -20,7 +21,7 @@ module.exports = defineConfig({
         },
     ],
     webServer: {
-        command: 'npx serve -l 3000',
+        command: 'npm run serve',
         url: 'http://localhost:3000',
         reuseExistingServer: !process.env.CI,
         timeout: 120 * 1000,
@@ -0,0 +1,321 @@
+/**
+ * Airport Data
+ *
+ * The parsing and matching behind fetch-airports.js: parse OpenFlights and
+ * OurAirports files, merge them in precedence order, count flights per
+ * airport in BTS files (streamed with bts-reader.js) and build the airports
+ * list. Nothing here downloads or writes files.
+ *
+ * Example:
+ *   const { parseAirportSource, mergeAirportSources, buildAirportList } = require('./airport-data');
+ *   const airportData = mergeAirportSources([{ name: 'OurAirports', airports: parseAirportSource(csv) }]);
+ *   const { airports } = buildAirportList(flightCounts, airportData, locator, { excludedStates });
+ */
+
+const { streamRows, findColumn } = require('./bts-reader');
+
+// OpenFlights timezones that identify excluded states/territories
+const TIMEZONE_STATES = {
+    'Pacific/Honolulu': 'HI',
+    'America/Anchorage': 'AK',
+    'America/Juneau': 'AK',
+    'America/Sitka': 'AK',
+    'America/Yakutat': 'AK',
+    'America/Nome': 'AK',
+    'America/Metlakatla': 'AK',
+    'America/Adak': 'AK',
+    'America/Puerto_Rico': 'PR',
+    'America/St_Thomas': 'VI',
+    'Pacific/Guam': 'GU',
+    'Pacific/Saipan': 'MP',
+    'Pacific/Pago_Pago': 'AS'
+};
+
+/**
+ * Split a CSV line into fields (handling quoted fields)
+ */
+function parseCSVLine(line) {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (const char of line.replace(/\r$/, '')) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (char === ',' && !inQuotes) {
+            fields.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current);
+
+    return fields;
+}
+
+/**
+ * Parse OpenFlights CSV data
+ * Format: ID, Name, City, Country, IATA, ICAO, Lat, Lon, Alt, Timezone, DST, TzDB, Type, Source
+ */
+function parseOpenFlightsData(data) {
+    const airports = new Map();
+
+    for (const line of data.split('\n')) {
+        if (!line.trim()) continue;
+
+        const fields = parseCSVLine(line);
+        const iata = fields[4];
+        const country = fields[3];
+
+        // Only US airports with valid IATA codes
+        if (iata && iata !== '\\N' && iata.length === 3 && country === 'United States') {
+            airports.set(iata, {
+                code: iata,
+                name: fields[1],
+                city: fields[2],
+                lat: parseFloat(fields[6]),
+                lon: parseFloat(fields[7]),
+                timezone: fields[11] !== '\\N' ? fields[11] : null
+            });
+        }
+    }
+
+    return airports;
+}
+
+/**
+ * Parse OurAirports CSV data (airports.csv, with a header row)
+ * The iso_region column ("US-CA") also gives the state.
+ */
+function parseOurAirportsData(data) {
+    const airports = new Map();
+    const lines = data.split('\n');
+    const headers = parseCSVLine(lines[0]);
+    const col = (name) => headers.indexOf(name);
+    const [iataIdx, nameIdx, cityIdx, countryIdx, regionIdx, latIdx, lonIdx] =
+        ['iata_code', 'name', 'municipality', 'iso_country', 'iso_region', 'latitude_deg', 'longitude_deg'].map(col);
+
+    for (let i = 1; i < lines.length; i++) {
+        if (!lines[i].trim()) continue;
+
+        const fields = parseCSVLine(lines[i]);
+        const iata = fields[iataIdx];
+
+        // Only US airports with valid IATA codes
+        if (iata && iata.length === 3 && fields[countryIdx] === 'US') {
+            airports.set(iata, {
+                code: iata,
+                name: fields[nameIdx],
+                city: fields[cityIdx],
+                state: (fields[regionIdx] || '').replace(/^US-/, '') || null,
+                lat: parseFloat(fields[latIdx]),
+                lon: parseFloat(fields[lonIdx])
+            });
+        }
+    }
+
+    return airports;
+}
+
+/**
+ * Parse an airport file in either supported format
+ * OurAirports files have a header row with an iata_code column; OpenFlights files have no header.
+ */
+function parseAirportSource(data) {
+    const firstLine = data.slice(0, data.indexOf('\n'));
+    return firstLine.includes('iata_code') ? parseOurAirportsData(data) : parseOpenFlightsData(data);
+}
+
+/**
+ * Merge airport sources in precedence order (first source wins)
+ * Coordinates come from the first source that has the airport; missing
+ * name, city, state and timezone fields are filled from later sources.
+ * @param {Array<{name: string, airports: Map}>} sources - Highest precedence first
+ * @returns {Map} Code -> airport record with a `source` field
+ */
+function mergeAirportSources(sources) {
+    const merged = new Map();
+
+    for (const source of sources) {
+        for (const [code, record] of source.airports) {
+            const existing = merged.get(code);
+            if (!existing) {
+                merged.set(code, { ...record, source: source.name });
+                continue;
+            }
+            for (const field of ['name', 'city', 'state', 'timezone']) {
+                if (!existing[field] && record[field]) existing[field] = record[field];
+            }
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Count flights per airport in a BTS .csv or .zip file
+ * @param {string} filePath - File with Origin and Dest columns (any case)
+ * @param {Map} flightCounts - Code -> flights (updated in place)
+ * @returns {Promise<Map>} flightCounts
+ */
+async function countAirportFlights(filePath, flightCounts = new Map()) {
+    let originIdx = -1;
+    let destIdx = -1;
+
+    await streamRows(filePath, {
+        onHeader(header) {
+            originIdx = findColumn(header, 'Origin');
+            destIdx = findColumn(header, 'Dest');
+            if (originIdx === -1 || destIdx === -1) {
+                throw new Error(`${filePath} is missing the Origin and Dest columns. ` +
+                    `Found columns: ${header.join(', ')}`);
+            }
+        },
+
+        onRow(fields) {
+            const origin = (fields[originIdx] || '').trim();
+            const dest = (fields[destIdx] || '').trim();
+
+            if (origin) flightCounts.set(origin, (flightCounts.get(origin) || 0) + 1);
+            if (dest) flightCounts.set(dest, (flightCounts.get(dest) || 0) + 1);
+        }
+    });
+
+    return flightCounts;
+}
+
+/**
+ * Determine state and county from the airport's coordinates
+ * Falls back to the state given by an airport source (e.g. OurAirports) when
+ * the point is not in or near any state outline, or there is no locator.
+ * @param {Object|null} locator - Boundary locator, or null without boundaries
+ * @returns {Object|null} { state, county, fips, snappedKm, fromSource }
+ */
+function getStateForAirport(airportInfo, locator) {
+    const location = locator && locator.locate(airportInfo.lat, airportInfo.lon);
+    if (location) return location;
+
+    if (airportInfo.state) {
+        return { state: airportInfo.state, county: null, fips: null, snappedKm: null, fromSource: true };
+    }
+    return null;
+}
+
+/**
+ * Compare the boundary-based state with what the airport sources say
+ * @param {Set<string>} excludedStates - States and territories left out of the airports list
+ * @returns {string[]} Disagreements for review
+ */
+function findStateDisagreements(airportInfo, location, excludedStates) {
+    const disagreements = [];
+
+    if (airportInfo.state && airportInfo.state !== location.state) {
+        disagreements.push(`${airportInfo.source} says ${airportInfo.state}`);
+    }
+
+    // OpenFlights timezones identify the states and territories we exclude
+    const timezoneState = TIMEZONE_STATES[airportInfo.timezone];
+    if (timezoneState && timezoneState !== location.state) {
+        disagreements.push(`timezone ${airportInfo.timezone} suggests ${timezoneState}`);
+    } else if (!timezoneState && airportInfo.timezone && excludedStates.has(location.state)) {
+        disagreements.push(`timezone ${airportInfo.timezone} is not ${location.state}`);
+    }
+
+    return disagreements;
+}
+
+/**
+ * Determine hub size based on flight count
+ */
+function getHubSize(flightCount) {
+    if (flightCount >= 100000) return 'large';    // ~8000+/month
+    if (flightCount >= 30000) return 'medium';    // ~2500+/month
+    return 'small';
+}
+
+/**
+ * Build the airports list for the BTS airports, busiest first
+ * @param {Map} flightCounts - Code -> flights (from countAirportFlights)
+ * @param {Map} airportData - Code -> airport record (from mergeAirportSources)
+ * @param {Object|null} locator - Boundary locator (see state-boundaries.js), or
+ *   null to take every state from the airport sources
+ * @param {Object} options - { excludedStates: state codes to leave out }
+ * @returns {Object} { airports (with their flights and source), excluded: [{ code, state }],
+ *   missing: [{ code, flightCount, reason }], disagreements: [{ code, state, notes }] }
+ */
+function buildAirportList(flightCounts, airportData, locator, options = {}) {
+    const excludedStates = new Set(options.excludedStates || []);
+
+    // Sort by flight count
+    const sortedAirports = Array.from(flightCounts.entries())
+        .sort((a, b) => b[1] - a[1]);
+
+    const airports = [];
+    const excluded = [];
+    const missing = [];
+    const disagreements = [];
+
+    for (let i = 0; i < sortedAirports.length; i++) {
+        const [code, flightCount] = sortedAirports[i];
+        const airportInfo = airportData.get(code);
+
+        if (!airportInfo || !isFinite(airportInfo.lat) || !isFinite(airportInfo.lon)) {
+            missing.push({ code, flightCount, reason: 'no coordinates in any source' });
+            continue;
+        }
+
+        const location = getStateForAirport(airportInfo, locator);
+        if (!location) {
+            const reason = locator ? 'outside all state boundaries' : 'no state in any source';
+            missing.push({ code, flightCount, reason });
+            continue;
+        }
+
+        // Without boundaries every state is a source state; nothing to review
+        let notes = [];
+        if (location.fromSource && locator) {
+            notes = [`outside all state boundaries, using ${airportInfo.source} state`];
+        } else if (!location.fromSource) {
+            notes = findStateDisagreements(airportInfo, location, excludedStates);
+        }
+        if (location.snappedKm) notes.push(`${location.snappedKm} km outside the outline`);
+        if (notes.length > 0) disagreements.push({ code, state: location.state, notes });
+
+        // Skip excluded states/territories
+        if (excludedStates.has(location.state)) {
+            excluded.push({ code, state: location.state });
+            continue;
+        }
+
+        airports.push({
+            rank: airports.length + 1,
+            code: code,
+            name: airportInfo.name,
+            city: airportInfo.city,
+            state: location.state,
+            ...(location.fips && { county: location.county, fips: location.fips }),
+            lat: airportInfo.lat,
+            lon: airportInfo.lon,
+            hub: getHubSize(flightCount),
+            flights: flightCount,
+            source: airportInfo.source
+        });
+    }
+
+    return { airports, excluded, missing, disagreements };
+}
+
+module.exports = {
+    TIMEZONE_STATES,
+    parseCSVLine,
+    parseOpenFlightsData,
+    parseOurAirportsData,
+    parseAirportSource,
+    mergeAirportSources,
+    countAirportFlights,
+    getStateForAirport,
+    findStateDisagreements,
+    getHubSize,
+    buildAirportList
+};
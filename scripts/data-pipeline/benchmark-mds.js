@@ -0,0 +1,134 @@
+/**
+ * MDS Benchmark
+ *
+ * Times the classical MDS of js/algorithms/mds.js (Lanczos eigensolver) and
+ * landmark MDS on a travel time matrix, for each airport filter size of the
+ * page, and reports how far landmark MDS puts airports from the exact layout
+ * (mean offset as a share of the layout width).
+ *
+ * The full numeric.svd the page used before is timed too when the numeric
+ * package is installed (npm install --no-save numeric).
+ *
+ * Usage:
+ *   node benchmark-mds.js [matrix] [--runs <n>] [--landmarks <n>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { readMatrixFile } = require('./matrix-format');
+
+// Defaults
+const MATRIX_PATH = path.join(__dirname, '../../data/matrix.bin');
+const MDS_PATH = path.join(__dirname, '../../js/algorithms/mds.js');
+const SIZES = [32, 69, 150, 315]; // The page's airport filter options
+const RUNS = 20;
+const WARM_UP_RUNS = 3;           // Untimed runs first, so the JIT has compiled the code
+const LANDMARKS = 50;
+
+/**
+ * Parse command line flags
+ */
+function parseArgs(argv) {
+    const options = { matrix: MATRIX_PATH, runs: RUNS, landmarks: LANDMARKS };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--runs') options.runs = parseInt(argv[++i], 10);
+        else if (argv[i] === '--landmarks') options.landmarks = parseInt(argv[++i], 10);
+        else options.matrix = path.resolve(argv[i]);
+    }
+
+    return options;
+}
+
+/**
+ * Load the browser MDS module (a plain script that defines a global)
+ */
+function loadMDS() {
+    const context = vm.createContext({ console });
+    vm.runInContext(`${fs.readFileSync(MDS_PATH, 'utf8')}\nthis.MDS = MDS;`, context);
+    return context.MDS;
+}
+
+/**
+ * Load numeric.js if it is installed
+ */
+function loadNumeric() {
+    try {
+        return require('numeric');
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Median run time of a function in milliseconds, and its last result
+ */
+function time(fn, runs) {
+    const times = [];
+    let result;
+    for (let i = 0; i < WARM_UP_RUNS; i++) result = fn();
+    for (let i = 0; i < runs; i++) {
+        const start = process.hrtime.bigint();
+        result = fn();
+        times.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    times.sort((a, b) => a - b);
+    return { ms: times[Math.floor(times.length / 2)], result };
+}
+
+/**
+ * Mean distance between landmark and exact positions after the best rotation
+ * and reflection, as a percentage of the exact layout's width
+ */
+function landmarkOffset(MDS, landmark, exact) {
+    const toPoints = coords => coords.map(([x, y]) => ({ x, y }));
+    const exactPoints = toPoints(exact);
+    const aligned = MDS.alignToGeography(toPoints(landmark), exactPoints);
+
+    const xs = exactPoints.map(p => p.x);
+    const width = Math.max(...xs) - Math.min(...xs) || 1;
+    const offset = aligned.reduce((sum, p, i) =>
+        sum + Math.hypot(p.x - exactPoints[i].x, p.y - exactPoints[i].y), 0) / aligned.length;
+    return Math.round(offset / width * 1000) / 10;
+}
+
+/**
+ * Main
+ */
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const MDS = loadMDS();
+    const numeric = loadNumeric();
+    const data = readMatrixFile(options.matrix);
+
+    console.log(`Benchmarking MDS on ${path.relative(process.cwd(), options.matrix)}`);
+    console.log(`  Median of ${options.runs} runs, ${options.landmarks} landmarks`);
+    if (!numeric) {
+        console.log('  numeric.svd skipped (npm install --no-save numeric to include it)');
+    }
+
+    const rows = [];
+    for (const size of SIZES.filter(n => n <= data.airports.length)) {
+        const times = data.matrix.slice(0, size).map(row => row.slice(0, size));
+        const distances = MDS.sanitize(MDS.symmetrize(times));
+
+        const exact = time(() => MDS.classic(distances), options.runs);
+        const landmark = time(() => MDS.landmark(distances, options.landmarks), options.runs);
+        const svd = numeric && time(() => numeric.svd(MDS.doubleCenter(distances)), options.runs);
+
+        rows.push({
+            airports: size,
+            'Lanczos (ms)': Math.round(exact.ms * 10) / 10,
+            'landmark (ms)': Math.round(landmark.ms * 10) / 10,
+            'numeric.svd (ms)': svd ? Math.round(svd.ms * 10) / 10 : '-',
+            'landmark offset (%)': size > options.landmarks ? landmarkOffset(MDS, landmark.result, exact.result) : 0
+        });
+    }
+
+    console.table(rows);
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,355 @@
+/**
+ * BTS File Reader
+ *
+ * Streams rows out of BTS downloads without loading whole files into memory.
+ * Handles plain .csv files and the .zip archives BTS serves (every .csv entry
+ * inside the archive is read), using only Node built-ins.
+ *
+ * CSV parsing follows RFC 4180: quoted fields may contain commas, newlines
+ * and escaped ("") quotes. Column lookups ignore case and punctuation, since
+ * BTS names the same field differently between downloads.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
+const zlib = require('zlib');
+
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+const ZIP_MAX_EOCD_SEARCH = 65557; // EOCD record (22 bytes) + max comment length
+
+/**
+ * Create a streaming CSV parser
+ * @param {Function} onRow - Called with an array of field strings for every row
+ * @returns {Object} { write(chunk), end() }
+ */
+function createCSVParser(onRow) {
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let quotePending = false; // Saw a quote inside a quoted field (escaped quote or closing quote)
+
+    function emitRow() {
+        row.push(field);
+        field = '';
+        // Skip blank lines
+        if (row.length > 1 || row[0] !== '') {
+            onRow(row);
+        }
+        row = [];
+    }
+
+    return {
+        write(chunk) {
+            for (let i = 0; i < chunk.length; i++) {
+                const char = chunk[i];
+
+                if (inQuotes) {
+                    if (quotePending) {
+                        quotePending = false;
+                        if (char === '"') {
+                            field += '"';
+                            continue;
+                        }
+                        // Closing quote - handle this character as unquoted
+                        inQuotes = false;
+                    } else if (char === '"') {
+                        quotePending = true;
+                        continue;
+                    } else {
+                        field += char;
+                        continue;
+                    }
+                }
+
+                if (char === '"') {
+                    inQuotes = true;
+                } else if (char === ',') {
+                    row.push(field);
+                    field = '';
+                } else if (char === '\n') {
+                    emitRow();
+                } else if (char !== '\r') {
+                    field += char;
+                }
+            }
+        },
+
+        end() {
+            if (quotePending) {
+                inQuotes = false;
+                quotePending = false;
+            }
+            if (field !== '' || row.length > 0) {
+                emitRow();
+            }
+        }
+    };
+}
+
+/**
+ * Read a range of bytes from an open file
+ */
+async function readBytes(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * List the CSV entries in a zip archive
+ * @param {string} filePath - Path to the .zip file
+ * @returns {Promise<Object[]>} Entries {name, method, compressedSize, dataOffset}
+ */
+async function listZipEntries(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+
+    try {
+        const { size } = await handle.stat();
+
+        // Locate the end of central directory record
+        const tailLength = Math.min(size, ZIP_MAX_EOCD_SEARCH);
+        const tail = await readBytes(handle, size - tailLength, tailLength);
+        let eocd = -1;
+        for (let i = tail.length - 22; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === ZIP_EOCD_SIGNATURE) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd < 0) {
+            throw new Error(`Not a zip archive: ${filePath}`);
+        }
+
+        let entryCount = tail.readUInt16LE(eocd + 10);
+        let directoryOffset = tail.readUInt32LE(eocd + 16);
+
+        // Zip64 archives store the real values in a separate record
+        const locator = eocd - 20;
+        if (locator >= 0 && tail.readUInt32LE(locator) === ZIP64_LOCATOR_SIGNATURE) {
+            const zip64Offset = Number(tail.readBigUInt64LE(locator + 8));
+            const zip64 = await readBytes(handle, zip64Offset, 56);
+            if (zip64.readUInt32LE(0) === ZIP64_EOCD_SIGNATURE) {
+                entryCount = Number(zip64.readBigUInt64LE(32));
+                directoryOffset = Number(zip64.readBigUInt64LE(48));
+            }
+        }
+
+        const directory = await readBytes(handle, directoryOffset, size - directoryOffset);
+        const entries = [];
+        let pos = 0;
+
+        for (let e = 0; e < entryCount; e++) {
+            if (directory.readUInt32LE(pos) !== ZIP_CENTRAL_SIGNATURE) {
+                throw new Error(`Corrupt zip central directory: ${filePath}`);
+            }
+
+            const method = directory.readUInt16LE(pos + 10);
+            let compressedSize = directory.readUInt32LE(pos + 20);
+            let uncompressedSize = directory.readUInt32LE(pos + 24);
+            const nameLength = directory.readUInt16LE(pos + 28);
+            const extraLength = directory.readUInt16LE(pos + 30);
+            const commentLength = directory.readUInt16LE(pos + 32);
+            let localOffset = directory.readUInt32LE(pos + 42);
+            const name = directory.toString('utf8', pos + 46, pos + 46 + nameLength);
+
+            // Zip64 extended information extra field
+            let extra = pos + 46 + nameLength;
+            const extraEnd = extra + extraLength;
+            while (extra + 4 <= extraEnd) {
+                const id = directory.readUInt16LE(extra);
+                const length = directory.readUInt16LE(extra + 2);
+                if (id === 0x0001) {
+                    let field = extra + 4;
+                    if (uncompressedSize === 0xFFFFFFFF) {
+                        uncompressedSize = Number(directory.readBigUInt64LE(field));
+                        field += 8;
+                    }
+                    if (compressedSize === 0xFFFFFFFF) {
+                        compressedSize = Number(directory.readBigUInt64LE(field));
+                        field += 8;
+                    }
+                    if (localOffset === 0xFFFFFFFF) {
+                        localOffset = Number(directory.readBigUInt64LE(field));
+                    }
+                }
+                extra += 4 + length;
+            }
+
+            pos = extraEnd + commentLength;
+
+            // Skip non-CSV entries (readme files) and empty files
+            if (!name.toLowerCase().endsWith('.csv') || compressedSize === 0) continue;
+
+            // The local header has its own name/extra lengths
+            const local = await readBytes(handle, localOffset, 30);
+            if (local.readUInt32LE(0) !== ZIP_LOCAL_SIGNATURE) {
+                throw new Error(`Corrupt zip local header for ${name}`);
+            }
+            const dataOffset = localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+
+            entries.push({ name, method, compressedSize, dataOffset });
+        }
+
+        return entries;
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Open a readable stream of decompressed bytes for a zip entry
+ */
+function openZipEntry(filePath, entry) {
+    if (entry.method !== 0 && entry.method !== 8) {
+        throw new Error(`Unsupported zip compression method ${entry.method} for ${entry.name}`);
+    }
+
+    const raw = fs.createReadStream(filePath, {
+        start: entry.dataOffset,
+        end: entry.dataOffset + entry.compressedSize - 1
+    });
+
+    if (entry.method === 0) return { raw, stream: raw };
+
+    // pipeline passes read errors on to the inflate stream (which parseStream
+    // listens to) and closes the file if parsing stops early
+    const inflate = pipeline(raw, zlib.createInflateRaw(), () => {});
+    return { raw, stream: inflate };
+}
+
+/**
+ * Pipe a byte stream through the CSV parser
+ */
+function parseStream(stream, parser) {
+    return new Promise((resolve, reject) => {
+        stream.setEncoding('utf8');
+        stream.on('data', chunk => {
+            try {
+                parser.write(chunk);
+            } catch (error) {
+                stream.destroy(error);
+            }
+        });
+        stream.on('end', resolve);
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Stream every CSV row from a .csv or .zip file
+ *
+ * The first row of each CSV (its header) is passed to onHeader; every
+ * following row goes to onRow.
+ * @param {string} filePath - Path to a .csv or .zip file
+ * @param {Object} handlers - { onHeader(fields), onRow(fields), onProgress(bytesRead, totalBytes) }
+ * @returns {Promise<void>}
+ */
+async function streamRows(filePath, { onHeader, onRow, onProgress }) {
+    const isZip = filePath.toLowerCase().endsWith('.zip');
+
+    const sources = isZip
+        ? (await listZipEntries(filePath)).map(entry => ({
+            name: entry.name,
+            size: entry.compressedSize,
+            open: () => openZipEntry(filePath, entry)
+        }))
+        : [{
+            name: filePath,
+            size: (await fs.promises.stat(filePath)).size,
+            open: () => {
+                const raw = fs.createReadStream(filePath);
+                return { raw, stream: raw };
+            }
+        }];
+
+    const totalBytes = sources.reduce((sum, s) => sum + s.size, 0);
+    let completedBytes = 0;
+
+    for (const source of sources) {
+        let isHeader = true;
+        const parser = createCSVParser(fields => {
+            if (isHeader) {
+                isHeader = false;
+                // Strip a UTF-8 byte order mark from the first column name
+                fields[0] = fields[0].replace(/^\uFEFF/, '');
+                onHeader(fields);
+            } else {
+                onRow(fields);
+            }
+        });
+
+        const { raw, stream } = source.open();
+        if (onProgress) {
+            raw.on('data', () => onProgress(completedBytes + raw.bytesRead, totalBytes));
+        }
+
+        await parseStream(stream, parser);
+        parser.end();
+        completedBytes += source.size;
+    }
+
+    if (onProgress) onProgress(totalBytes, totalBytes);
+}
+
+/**
+ * Find a column index by name
+ * Matches both the CamelCase headers in BTS zip downloads ("ActualElapsedTime")
+ * and the upper-case headers from the field selector ("ACTUAL_ELAPSED_TIME").
+ */
+function findColumn(header, name) {
+    const normalize = (h) => h.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const target = normalize(name);
+    return header.findIndex(h => normalize(h) === target);
+}
+
+/**
+ * Find the first column matching any of several names
+ * Used for fields BTS has renamed between downloads.
+ */
+function findAnyColumn(header, names) {
+    for (const name of names) {
+        const index = findColumn(header, name);
+        if (index >= 0) return index;
+    }
+    return -1;
+}
+
+/**
+ * Collect the .csv and .zip files from file and directory arguments
+ * @param {string[]} inputs - Paths given on the command line
+ * @returns {string[]} File paths
+ */
+function collectInputFiles(inputs) {
+    const files = [];
+    for (const arg of inputs) {
+        const inputPath = path.resolve(arg);
+        const stats = fs.statSync(inputPath);
+
+        if (stats.isDirectory()) {
+            const found = fs.readdirSync(inputPath)
+                .filter(f => /\.(csv|zip)$/i.test(f))
+                .map(f => path.join(inputPath, f));
+            console.log(`Found ${found.length} CSV/ZIP files in ${inputPath}`);
+            files.push(...found);
+        } else if (stats.isFile()) {
+            files.push(inputPath);
+        } else {
+            throw new Error(`Invalid input path: ${inputPath}`);
+        }
+    }
+    return files;
+}
+
+module.exports = {
+    createCSVParser,
+    listZipEntries,
+    streamRows,
+    findColumn,
+    findAnyColumn,
+    collectInputFiles
+};
@@ -0,0 +1,259 @@
+/**
+ * Matrix Diff
+ *
+ * Compares two travel time matrices (e.g. last year's and this year's, or the
+ * real data and matrix-simulated.json) and reports what changed:
+ * - Airports added or removed
+ * - Direct routes gained or lost
+ * - Pairs that became reachable or unreachable
+ * - The biggest travel time changes, overall and per origin
+ *
+ * Prints console tables and writes the full comparison as JSON.
+ * Either matrix can be JSON or the binary format. diffMatrices is also
+ * exported for comparing matrices in-process.
+ *
+ * Usage:
+ *   node diff-matrices.js <old matrix> <new matrix> [--out <file>] [--top <n>]
+ *     [--threshold <min>] [--metric scheduled|effective]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readMatrixFile } = require('./matrix-format');
+
+// Defaults
+const OUT_PATH = path.join(__dirname, '../../reports/matrix-diff.json');
+const TOP_N = 20;                // Rows per console table and per-origin list
+const CHANGE_THRESHOLD = 15;     // Time changes below this many minutes are ignored
+
+/**
+ * Parse command line flags
+ */
+function parseArgs(argv) {
+    const options = {
+        files: [],
+        out: OUT_PATH,
+        top: TOP_N,
+        threshold: CHANGE_THRESHOLD,
+        metric: 'scheduled'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--out') options.out = path.resolve(argv[++i]);
+        else if (argv[i] === '--top') options.top = parseInt(argv[++i], 10);
+        else if (argv[i] === '--threshold') options.threshold = parseFloat(argv[++i]);
+        else if (argv[i] === '--metric') options.metric = argv[++i];
+        else options.files.push(path.resolve(argv[i]));
+    }
+
+    return options;
+}
+
+/**
+ * Pick the travel times to compare
+ * Effective times are only used when both matrices have them.
+ */
+function timesFor(oldData, newData, metric) {
+    const effective = metric === 'effective' && oldData.effectiveMatrix && newData.effectiveMatrix;
+    return effective
+        ? { field: 'effectiveMatrix', oldTimes: oldData.effectiveMatrix, newTimes: newData.effectiveMatrix }
+        : { field: 'matrix', oldTimes: oldData.matrix, newTimes: newData.matrix };
+}
+
+/**
+ * Compare two matrices
+ * @param {Object} oldData - Matrix in the matrix.json shape
+ * @param {Object} newData - Matrix in the matrix.json shape
+ * @param {Object} options - { top, threshold, metric }
+ * @returns {Object} Summary, airport, route and time changes
+ */
+function diffMatrices(oldData, newData, options = {}) {
+    const { top = TOP_N, threshold = CHANGE_THRESHOLD, metric = 'scheduled' } = options;
+    const { field, oldTimes, newTimes } = timesFor(oldData, newData, metric);
+
+    const oldIndex = new Map(oldData.airports.map((code, i) => [code, i]));
+    const newIndex = new Map(newData.airports.map((code, i) => [code, i]));
+    const common = newData.airports.filter(code => oldIndex.has(code));
+
+    const airportsAdded = newData.airports.filter(code => !oldIndex.has(code));
+    const airportsRemoved = oldData.airports.filter(code => !newIndex.has(code));
+
+    const directGained = [];
+    const directLost = [];
+    const becameReachable = [];
+    const becameUnreachable = [];
+    const changes = [];
+    let compared = 0;
+    let faster = 0;
+    let slower = 0;
+    let totalChange = 0;
+
+    for (const from of common) {
+        const oi = oldIndex.get(from);
+        const ni = newIndex.get(from);
+
+        for (const to of common) {
+            if (from === to) continue;
+            const oj = oldIndex.get(to);
+            const nj = newIndex.get(to);
+
+            const wasDirect = !!oldData.directFlights[oi][oj];
+            const isDirect = !!newData.directFlights[ni][nj];
+            if (!wasDirect && isDirect) directGained.push({ from, to, time: newTimes[ni][nj] });
+            if (wasDirect && !isDirect) directLost.push({ from, to, time: newTimes[ni][nj] });
+
+            const before = oldTimes[oi][oj];
+            const after = newTimes[ni][nj];
+            if (before === null && after !== null) becameReachable.push({ from, to, time: after });
+            if (before !== null && after === null) becameUnreachable.push({ from, to, time: before });
+            if (before === null || after === null) continue;
+
+            const change = after - before;
+            compared++;
+            totalChange += change;
+            if (Math.abs(change) < threshold) continue;
+
+            if (change < 0) faster++;
+            else slower++;
+            changes.push({ from, to, before, after, change });
+        }
+    }
+
+    const byMagnitude = (a, b) => Math.abs(b.change) - Math.abs(a.change);
+    changes.sort(byMagnitude);
+
+    // Biggest changes for each origin
+    const byOrigin = {};
+    for (const change of changes) {
+        if (!byOrigin[change.from]) byOrigin[change.from] = { changed: 0, biggest: [] };
+        const entry = byOrigin[change.from];
+        entry.changed++;
+        if (entry.biggest.length < top) entry.biggest.push(change);
+    }
+
+    const countDirect = (data) => data.directFlights
+        .reduce((sum, row, i) => sum + row.filter((d, j) => d && i !== j).length, 0);
+
+    return {
+        summary: {
+            metric: field === 'effectiveMatrix' ? 'effective' : 'scheduled',
+            threshold,
+            airports: {
+                old: oldData.airports.length,
+                new: newData.airports.length,
+                common: common.length,
+                added: airportsAdded.length,
+                removed: airportsRemoved.length
+            },
+            directRoutes: {
+                old: countDirect(oldData),
+                new: countDirect(newData),
+                gained: directGained.length,
+                lost: directLost.length
+            },
+            pairs: {
+                compared,
+                faster,
+                slower,
+                becameReachable: becameReachable.length,
+                becameUnreachable: becameUnreachable.length,
+                meanChange: compared > 0 ? Math.round(totalChange / compared * 10) / 10 : 0
+            }
+        },
+        airportsAdded,
+        airportsRemoved,
+        directGained,
+        directLost,
+        becameReachable,
+        becameUnreachable,
+        biggestChanges: changes.slice(0, top),
+        byOrigin
+    };
+}
+
+/**
+ * Print the comparison as console tables
+ */
+function printDiff(diff, top) {
+    const { summary } = diff;
+
+    console.log('\nSummary:');
+    console.table({
+        'Airports': { old: summary.airports.old, new: summary.airports.new, added: summary.airports.added, removed: summary.airports.removed },
+        'Direct routes': { old: summary.directRoutes.old, new: summary.directRoutes.new, added: summary.directRoutes.gained, removed: summary.directRoutes.lost }
+    });
+    console.log(`  ${summary.pairs.compared} pairs compared (${summary.metric} times), mean change ${summary.pairs.meanChange >= 0 ? '+' : ''}${summary.pairs.meanChange}m`);
+    console.log(`  ${summary.pairs.faster} faster and ${summary.pairs.slower} slower by ${summary.threshold}m or more`);
+    console.log(`  ${summary.pairs.becameReachable} newly reachable, ${summary.pairs.becameUnreachable} no longer reachable`);
+
+    if (diff.airportsAdded.length > 0) console.log(`\nAirports added: ${diff.airportsAdded.join(', ')}`);
+    if (diff.airportsRemoved.length > 0) console.log(`Airports removed: ${diff.airportsRemoved.join(', ')}`);
+
+    const routeRows = (routes) => routes.slice(0, top).map(r => ({ route: `${r.from}→${r.to}`, time: r.time }));
+    if (diff.directGained.length > 0) {
+        console.log(`\nDirect routes gained (${diff.directGained.length}):`);
+        console.table(routeRows(diff.directGained));
+    }
+    if (diff.directLost.length > 0) {
+        console.log(`\nDirect routes lost (${diff.directLost.length}):`);
+        console.table(routeRows(diff.directLost));
+    }
+
+    if (diff.biggestChanges.length > 0) {
+        console.log('\nBiggest time changes:');
+        console.table(diff.biggestChanges.map(c => ({
+            route: `${c.from}→${c.to}`, before: c.before, after: c.after, change: c.change
+        })));
+    }
+
+    // The largest change out of each origin, biggest first
+    const origins = Object.values(diff.byOrigin)
+        .map(entry => entry.biggest[0])
+        .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+    if (origins.length > 0) {
+        console.log('\nBiggest change per origin:');
+        console.table(origins.slice(0, top).map(c => ({
+            origin: c.from, to: c.to, before: c.before, after: c.after, change: c.change,
+            changed: diff.byOrigin[c.from].changed
+        })));
+    }
+}
+
+/**
+ * Main
+ */
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.files.length !== 2) {
+        console.log('Usage: node diff-matrices.js <old matrix> <new matrix> [--out <file>] [--top <n>] [--threshold <min>] [--metric scheduled|effective]');
+        process.exit(1);
+    }
+
+    const [oldPath, newPath] = options.files;
+    console.log('Comparing matrices...');
+    console.log(`  Old: ${oldPath}`);
+    console.log(`  New: ${newPath}`);
+
+    const oldData = readMatrixFile(oldPath);
+    const newData = readMatrixFile(newPath);
+    const diff = diffMatrices(oldData, newData, options);
+
+    printDiff(diff, options.top);
+
+    const output = {
+        old: { file: path.relative(process.cwd(), oldPath), generated: oldData.generated || null },
+        new: { file: path.relative(process.cwd(), newPath), generated: newData.generated || null },
+        ...diff
+    };
+
+    fs.mkdirSync(path.dirname(options.out), { recursive: true });
+    fs.writeFileSync(options.out, JSON.stringify(output, null, 2));
+    console.log(`\nFull diff written to ${options.out}`);
+}
+
+module.exports = { diffMatrices };
+
+if (require.main === module) {
+    main();
+}
@@ -4,32 +4,68 @@
  * Downloads airport coordinates from OpenFlights dataset and creates
  * an expanded airports.json file for all airports in the BTS data.
  *
- * Usage: node fetch-airports.js
+ * State, county and county FIPS code come from testing each airport's
+ * coordinates against US boundaries (us-atlas counties-10m.json, cached in
+ * scripts/raw-data/ or passed with --boundaries). Airports where the airport
+ * sources disagree with the boundaries are logged for review. Without a
+ * boundary file (--offline or no network) the states come from the airport
+ * sources and counties are left out.
+ *
+ * Each download is cached in scripts/raw-data/openflights-airports.dat and
+ * reused when the download fails or with --offline, so the script can run
+ * without network access.
+ *
+ * Local OpenFlights (airports.dat) or OurAirports (airports.csv) files can be
+ * passed with --source. Sources are merged in precedence order: --source files
+ * in the order given, then OpenFlights. Each airport takes its coordinates from
+ * the first source that has it; missing fields are filled from later sources.
+ *
+ * The excluded states, the BTS data directory and the output file come from
+ * pipeline.config.json (see pipeline-config.js); write elsewhere with --out.
+ * --insets keeps the inset states (Alaska, Hawaii, Puerto Rico), which the
+ * map can show in inset panels.
+ *
+ * The parsing and matching live in airport-data.js; this script handles the
+ * downloads, caches and files.
+ *
+ * Usage:
+ *   node fetch-airports.js [--source <file>]... [--boundaries <file>] [--offline]
+ *     [--insets] [--config <file.json>] [--out <file.json>]
+ *
+ * Examples:
+ *   node fetch-airports.js
+ *   node fetch-airports.js --source ../raw-data/ourairports.csv
+ *   node fetch-airports.js --offline
+ *   node fetch-airports.js --insets
  */
 
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
+const { createBoundaryLocator } = require('./state-boundaries');
+const { collectInputFiles } = require('./bts-reader');
+const { loadPipelineConfig } = require('./pipeline-config');
+const {
+    parseAirportSource,
+    parseOpenFlightsData,
+    mergeAirportSources,
+    countAirportFlights,
+    buildAirportList
+} = require('./airport-data');
+
+const { config, argv: cliArgs } = loadPipelineConfig(process.argv.slice(2), { out: 'airports' });
 
 // OpenFlights airport data URL (public domain)
 const OPENFLIGHTS_URL = 'https://raw.githubusercontent.com/jpatokal/openflights/master/data/airports.dat';
 
 // BTS data directory
-const BTS_DIR = path.join(__dirname, '../raw-data');
-const OUTPUT_PATH = path.join(__dirname, '../../data/airports.json');
-
-// US states and territories to include (continental US only)
-const CONTINENTAL_US_STATES = new Set([
-    'AL', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA',
-    'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD',
-    'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH',
-    'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA',
-    'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA',
-    'WV', 'WI', 'WY', 'DC'
-]);
-
-// Excluded states/territories
-const EXCLUDED_STATES = new Set(['HI', 'AK', 'PR', 'VI', 'GU', 'AS', 'MP']);
+const BTS_DIR = config.paths.rawData;
+const OPENFLIGHTS_CACHE_PATH = path.join(BTS_DIR, 'openflights-airports.dat');
+
+// US state and county boundaries (TopoJSON, same dataset the map draws)
+const BOUNDARIES_URL = 'https://cdn.jsdelivr.net/npm/us-atlas@3/counties-10m.json';
+const BOUNDARIES_CACHE_PATH = path.join(BTS_DIR, 'counties-10m.json');
+const OUTPUT_PATH = config.paths.airports;
 
 /**
  * Download file from URL
@@ -41,6 +77,11 @@ function downloadFile(url) {
                 downloadFile(response.headers.location).then(resolve).catch(reject);
                 return;
             }
+            if (response.statusCode !== 200) {
+                response.resume();
+                reject(new Error(`HTTP ${response.statusCode} for ${url}`));
+                return;
+            }
 
             let data = '';
             response.on('data', chunk => data += chunk);
@@ -51,273 +92,170 @@ function downloadFile(url) {
 }
 
 /**
- * Parse OpenFlights CSV data
- * Format: ID, Name, City, Country, IATA, ICAO, Lat, Lon, Alt, Timezone, DST, TzDB, Type, Source
+ * Get the OpenFlights data, from the network or the cached copy
+ * @param {boolean} offline - Use the cache without trying the network
+ * @returns {Promise<string|null>} Raw data, or null if neither is available
  */
-function parseOpenFlightsData(data) {
-    const airports = new Map();
-
-    for (const line of data.split('\n')) {
-        if (!line.trim()) continue;
-
-        // Parse CSV (handling quoted fields)
-        const fields = [];
-        let current = '';
-        let inQuotes = false;
-
-        for (const char of line) {
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                fields.push(current);
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        fields.push(current);
-
-        const iata = fields[4];
-        const country = fields[3];
-
-        // Only US airports with valid IATA codes
-        if (iata && iata !== '\\N' && iata.length === 3 && country === 'United States') {
-            airports.set(iata, {
-                code: iata,
-                name: fields[1],
-                city: fields[2],
-                lat: parseFloat(fields[6]),
-                lon: parseFloat(fields[7])
-            });
+async function loadOpenFlights(offline) {
+    if (!offline) {
+        try {
+            console.log('Downloading airport data from OpenFlights...');
+            const data = await downloadFile(OPENFLIGHTS_URL);
+            fs.writeFileSync(OPENFLIGHTS_CACHE_PATH, data);
+            console.log(`Cached download in ${OPENFLIGHTS_CACHE_PATH}`);
+            return data;
+        } catch (error) {
+            console.warn(`Download failed (${error.message}), trying the cached copy`);
         }
     }
 
-    return airports;
+    if (!fs.existsSync(OPENFLIGHTS_CACHE_PATH)) return null;
+
+    console.log(`Using cached OpenFlights data from ${OPENFLIGHTS_CACHE_PATH}`);
+    return fs.readFileSync(OPENFLIGHTS_CACHE_PATH, 'utf8');
 }
 
 /**
- * Get all unique airports from BTS CSV files with flight counts
+ * Load the state/county boundary file, downloading it once if needed
+ * @param {string|null} boundariesPath - File passed with --boundaries
+ * @param {boolean} offline - Don't try the network
+ * @returns {Promise<Object|null>} Parsed TopoJSON topology, or null when there
+ *   is no cached copy and it can't be downloaded
  */
-function getBTSAirports() {
-    const flightCounts = new Map();
-
-    const files = fs.readdirSync(BTS_DIR).filter(f => f.endsWith('.csv'));
-
-    for (const file of files) {
-        console.log(`Processing ${file}...`);
-        const content = fs.readFileSync(path.join(BTS_DIR, file), 'utf8');
-        const lines = content.split('\n');
+async function loadBoundaries(boundariesPath, offline) {
+    const filePath = boundariesPath || BOUNDARIES_CACHE_PATH;
 
-        // Find column indices
-        const headers = lines[0].split(',');
-        const originIdx = headers.indexOf('ORIGIN');
-        const destIdx = headers.indexOf('DEST');
-
-        for (let i = 1; i < lines.length; i++) {
-            const fields = lines[i].split(',');
-            const origin = fields[originIdx];
-            const dest = fields[destIdx];
-
-            if (origin) flightCounts.set(origin, (flightCounts.get(origin) || 0) + 1);
-            if (dest) flightCounts.set(dest, (flightCounts.get(dest) || 0) + 1);
+    if (!fs.existsSync(filePath)) {
+        if (boundariesPath) {
+            throw new Error(`Boundary file not found: ${filePath}`);
+        }
+        if (offline) return null;
+
+        try {
+            console.log('Downloading US state and county boundaries...');
+            fs.writeFileSync(filePath, await downloadFile(BOUNDARIES_URL));
+            console.log(`Cached download in ${filePath}`);
+        } catch (error) {
+            console.warn(`Download failed (${error.message})`);
+            return null;
         }
     }
 
-    return flightCounts;
+    console.log(`Using boundaries from ${filePath}`);
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
 }
 
 /**
- * Determine state from airport code using various heuristics
+ * Get all unique airports from the BTS .csv and .zip files with flight counts
+ * Files without Origin/Dest columns (e.g. an airport source kept next to the
+ * BTS downloads) are skipped.
  */
-function getStateForAirport(code, openFlightsData) {
-    // Manual mappings for airports where city doesn't clearly indicate state
-    const stateMap = {
-        'ATL': 'GA', 'DFW': 'TX', 'DEN': 'CO', 'ORD': 'IL', 'LAX': 'CA',
-        'JFK': 'NY', 'LAS': 'NV', 'MCO': 'FL', 'MIA': 'FL', 'CLT': 'NC',
-        'SEA': 'WA', 'PHX': 'AZ', 'EWR': 'NJ', 'SFO': 'CA', 'IAH': 'TX',
-        'BOS': 'MA', 'FLL': 'FL', 'MSP': 'MN', 'LGA': 'NY', 'DTW': 'MI',
-        'PHL': 'PA', 'SLC': 'UT', 'DCA': 'DC', 'SAN': 'CA', 'BWI': 'MD',
-        'TPA': 'FL', 'AUS': 'TX', 'IAD': 'VA', 'BNA': 'TN', 'HNL': 'HI',
-        'MDW': 'IL', 'DAL': 'TX', 'PDX': 'OR', 'STL': 'MO', 'HOU': 'TX',
-        'RDU': 'NC', 'OAK': 'CA', 'MSY': 'LA', 'SMF': 'CA', 'SJC': 'CA',
-        'RSW': 'FL', 'CLE': 'OH', 'IND': 'IN', 'PIT': 'PA', 'SAT': 'TX',
-        'CVG': 'OH', 'CMH': 'OH', 'MCI': 'MO', 'JAX': 'FL', 'SJU': 'PR',
-        'OGG': 'HI', 'ABQ': 'NM', 'ANC': 'AK', 'OMA': 'NE', 'BUR': 'CA',
-        'RNO': 'NV', 'PBI': 'FL', 'SNA': 'CA', 'MKE': 'WI', 'ONT': 'CA',
-        'BDL': 'CT', 'ELP': 'TX', 'TUS': 'AZ', 'BUF': 'NY', 'ORF': 'VA',
-        'OKC': 'OK', 'LBB': 'TX', 'TUL': 'OK', 'RIC': 'VA', 'BOI': 'ID',
-        'ALB': 'NY', 'GEG': 'WA', 'LIT': 'AR', 'SDF': 'KY', 'PVD': 'RI',
-        'GRR': 'MI', 'DSM': 'IA', 'CHS': 'SC', 'SYR': 'NY', 'BHM': 'AL',
-        'ROC': 'NY', 'SAV': 'GA', 'MEM': 'TN', 'GSP': 'SC', 'PWM': 'ME',
-        'MSN': 'WI', 'KOA': 'HI', 'GSO': 'NC', 'LIH': 'HI', 'ICT': 'KS',
-        'XNA': 'AR', 'MYR': 'SC', 'DAY': 'OH', 'HSV': 'AL', 'PSP': 'CA',
-        'FAT': 'CA', 'LFT': 'LA', 'CAK': 'OH', 'LEX': 'KY', 'AVL': 'NC',
-        // Additional airports
-        'SHV': 'LA', 'FCA': 'MT', 'GTF': 'MT', 'BIL': 'MT', 'MSO': 'MT',
-        'HLN': 'MT', 'BTM': 'MT', 'GPI': 'MT', 'BZN': 'MT',
-        'COS': 'CO', 'EGE': 'CO', 'GJT': 'CO', 'DRO': 'CO', 'MTJ': 'CO',
-        'HDN': 'CO', 'ASE': 'CO', 'PUB': 'CO',
-        'SBN': 'IN', 'FWA': 'IN', 'EVV': 'IN',
-        'FAR': 'ND', 'BIS': 'ND', 'MOT': 'ND', 'GFK': 'ND',
-        'RAP': 'SD', 'FSD': 'SD', 'PIR': 'SD', 'ABR': 'SD',
-        'CID': 'IA', 'MLI': 'IA', 'DBQ': 'IA', 'SUX': 'IA',
-        'LNK': 'NE', 'GRI': 'NE',
-        'MHK': 'KS', 'SLN': 'KS', 'GCK': 'KS',
-        'SGF': 'MO', 'JLN': 'MO', 'CGI': 'MO',
-        'FSM': 'AR', 'TXK': 'AR',
-        'SPS': 'TX', 'ABI': 'TX', 'GGG': 'TX', 'TYR': 'TX', 'ACT': 'TX',
-        'SJT': 'TX', 'MAF': 'TX', 'AMA': 'TX', 'LRD': 'TX', 'MFE': 'TX',
-        'BRO': 'TX', 'HRL': 'TX', 'CRP': 'TX', 'VPS': 'FL', 'PNS': 'FL',
-        'TLH': 'FL', 'GNV': 'FL', 'DAB': 'FL', 'MLB': 'FL', 'SRQ': 'FL',
-        'EYW': 'FL', 'ECP': 'FL',
-        'MOB': 'AL', 'MGM': 'AL', 'DHN': 'AL',
-        'GPT': 'MS', 'JAN': 'MS', 'GTR': 'MS', 'MEI': 'MS', 'PIB': 'MS',
-        'BTR': 'LA', 'MLU': 'LA', 'AEX': 'LA', 'LCH': 'LA',
-        'CHA': 'TN', 'TYS': 'TN', 'TRI': 'TN',
-        'FAY': 'NC', 'ILM': 'NC', 'OAJ': 'NC', 'PGV': 'NC', 'EWN': 'NC',
-        'CAE': 'SC', 'FLO': 'SC', 'HHH': 'SC',
-        'AGS': 'GA', 'CSG': 'GA', 'ABY': 'GA', 'VLD': 'GA', 'BQK': 'GA',
-        'CHO': 'VA', 'LYH': 'VA', 'ROA': 'VA', 'SHD': 'VA', 'PHF': 'VA',
-        'CRW': 'WV', 'CKB': 'WV', 'HTS': 'WV',
-        'AVP': 'PA', 'MDT': 'PA', 'ABE': 'PA', 'ERI': 'PA', 'IPT': 'PA',
-        'UNV': 'PA', 'SCE': 'PA', 'LBE': 'PA',
-        'BGM': 'NY', 'ELM': 'NY', 'ITH': 'NY', 'SWF': 'NY', 'PBG': 'NY',
-        'OGS': 'NY', 'IAG': 'NY',
-        'ACY': 'NJ', 'TTN': 'NJ',
-        'HPN': 'NY', 'ISP': 'NY',
-        'MHT': 'NH', 'PSM': 'NH',
-        'BTV': 'VT',
-        'BGR': 'ME', 'BHB': 'ME', 'PQI': 'ME', 'RKD': 'ME',
-        'ORH': 'MA', 'ACK': 'MA', 'MVY': 'MA', 'HYA': 'MA',
-        'HVN': 'CT',
-        'FLG': 'AZ', 'YUM': 'AZ', 'PRC': 'AZ', 'IFP': 'AZ',
-        'SBA': 'CA', 'SBP': 'CA', 'MRY': 'CA', 'ACV': 'CA', 'RDD': 'CA',
-        'STS': 'CA', 'SMX': 'CA', 'OXR': 'CA', 'BFL': 'CA', 'CEC': 'CA',
-        'CIC': 'CA', 'MOD': 'CA', 'MMH': 'CA', 'IYK': 'CA',
-        'EUG': 'OR', 'MFR': 'OR', 'RDM': 'OR', 'OTH': 'OR',
-        'GEG': 'WA', 'PSC': 'WA', 'YKM': 'WA', 'BLI': 'WA', 'ALW': 'WA',
-        'EAT': 'WA', 'PUW': 'WA',
-        'IDA': 'ID', 'LWS': 'ID', 'TWF': 'ID', 'SUN': 'ID', 'PIH': 'ID',
-        'JAC': 'WY', 'COD': 'WY', 'RIW': 'WY', 'CYS': 'WY', 'CPR': 'WY',
-        'SHR': 'WY', 'LAR': 'WY', 'GCC': 'WY',
-        'CDC': 'UT', 'SGU': 'UT', 'PVU': 'UT', 'CNY': 'UT', 'VEL': 'UT',
-        'EKO': 'NV',
-        'ROW': 'NM', 'SAF': 'NM', 'HOB': 'NM',
-        'FNT': 'MI', 'MBS': 'MI', 'AZO': 'MI', 'LAN': 'MI', 'TVC': 'MI',
-        'MQT': 'MI', 'PLN': 'MI', 'ESC': 'MI', 'CMX': 'MI', 'CIU': 'MI',
-        'APN': 'MI', 'IMT': 'MI', 'SAW': 'MI',
-        'TOL': 'OH', 'YNG': 'OH',
-        'SBN': 'IN', 'FWA': 'IN', 'EVV': 'IN', 'BMI': 'IL', 'PIA': 'IL',
-        'MLI': 'IL', 'SPI': 'IL', 'CMI': 'IL', 'MWA': 'IL', 'RFD': 'IL',
-        'DLH': 'MN', 'RST': 'MN', 'BJI': 'MN', 'BRD': 'MN', 'HIB': 'MN',
-        'INL': 'MN', 'STC': 'MN', 'AXN': 'MN',
-        'GRB': 'WI', 'ATW': 'WI', 'CWA': 'WI', 'EAU': 'WI', 'LSE': 'WI',
-        'RHI': 'WI',
-        // Alaska (will be filtered out)
-        'FAI': 'AK', 'JNU': 'AK', 'KTN': 'AK', 'SIT': 'AK', 'YAK': 'AK',
-        'CDV': 'AK', 'BET': 'AK', 'OME': 'AK', 'OTZ': 'AK', 'BRW': 'AK',
-        'SCC': 'AK', 'ADQ': 'AK', 'DLG': 'AK', 'AKN': 'AK', 'GST': 'AK',
-        'PSG': 'AK', 'WRG': 'AK', 'ADK': 'AK',
-        // Hawaii (will be filtered out)
-        'ITO': 'HI',
-        // Puerto Rico (will be filtered out)
-        'BQN': 'PR', 'PSE': 'PR',
-        // Other territories
-        'STT': 'VI', 'STX': 'VI', 'SPN': 'MP', 'GUM': 'GU', 'PPG': 'AS',
-        // Additional missing airports
-        'LGB': 'CA', 'SFB': 'FL', 'PIE': 'FL', 'PGD': 'FL', 'AZA': 'AZ',
-        'XWA': 'ND', 'COU': 'MO', 'GRK': 'TX', 'BLV': 'IL', 'LCK': 'OH',
-        'CLL': 'TX', 'GUC': 'CO', 'LAW': 'OK', 'PAE': 'WA', 'RKS': 'WY',
-        'SWO': 'OK', 'JST': 'PA', 'MGW': 'WV', 'BPT': 'TX', 'USA': 'CO',
-        'BFF': 'NE', 'SCK': 'CA', 'EFD': 'TX', 'UIN': 'IL', 'MKG': 'MI',
-        'PLN': 'MI', 'JMS': 'ND', 'TVF': 'MN', 'OWB': 'KY', 'HOT': 'AR',
-        'HRO': 'AR', 'GLH': 'MS', 'PRC': 'AZ', 'IFP': 'AZ', 'VCT': 'TX',
-        'ART': 'NY', 'OGD': 'UT', 'MFE': 'TX', 'TXK': 'AR', 'DRT': 'TX',
-        'LAR': 'WY', 'DDC': 'KS', 'LBL': 'KS', 'HYS': 'KS', 'EAR': 'NE',
-        'DIK': 'ND', 'DVL': 'ND', 'DEC': 'IL', 'FOD': 'IA', 'MCW': 'IA',
-        'LBF': 'NE', 'CLD': 'CA', 'WYS': 'MT', 'ALO': 'IA', 'HGR': 'MD',
-        'BIH': 'CA', 'GUF': 'TX', 'ATY': 'SD', 'FMN': 'NM', 'LAF': 'IN'
-    };
-
-    return stateMap[code] || null;
-}
+async function getBTSAirports() {
+    const flightCounts = new Map();
 
-/**
- * Determine hub size based on flight count
- */
-function getHubSize(flightCount) {
-    if (flightCount >= 100000) return 'large';    // ~8000+/month
-    if (flightCount >= 30000) return 'medium';    // ~2500+/month
-    return 'small';
+    for (const filePath of collectInputFiles([BTS_DIR])) {
+        console.log(`Processing ${path.basename(filePath)}...`);
+        try {
+            await countAirportFlights(filePath, flightCounts);
+        } catch (error) {
+            console.warn(`  Skipped: ${error.message}`);
+        }
+    }
+
+    return flightCounts;
 }
 
 async function main() {
-    console.log('Fetching airport data from OpenFlights...');
+    const argv = cliArgs;
+    const sourcePaths = [];
+    let boundariesPath = null;
+    let offline = false;
+    let insets = false;
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--source') {
+            sourcePaths.push(path.resolve(argv[++i]));
+        } else if (argv[i] === '--boundaries') {
+            boundariesPath = path.resolve(argv[++i]);
+        } else if (argv[i] === '--offline') {
+            offline = true;
+        } else if (argv[i] === '--insets') {
+            insets = true;
+        }
+    }
 
-    // Download OpenFlights data
-    const openFlightsRaw = await downloadFile(OPENFLIGHTS_URL);
-    const openFlightsData = parseOpenFlightsData(openFlightsRaw);
-    console.log(`Found ${openFlightsData.size} US airports in OpenFlights database`);
+    // Local sources first, in the order given
+    const sources = [];
+    for (const sourcePath of sourcePaths) {
+        const airports = parseAirportSource(fs.readFileSync(sourcePath, 'utf8'));
+        console.log(`Found ${airports.size} US airports in ${sourcePath}`);
+        sources.push({ name: path.basename(sourcePath), airports });
+    }
 
-    // Get BTS airport flight counts
-    console.log('\nScanning BTS data for airport activity...');
-    const btsFlightCounts = getBTSAirports();
-    console.log(`Found ${btsFlightCounts.size} airports in BTS data`);
+    // OpenFlights (downloaded or cached) has the lowest precedence
+    const openFlightsRaw = await loadOpenFlights(offline);
+    if (openFlightsRaw) {
+        const airports = parseOpenFlightsData(openFlightsRaw);
+        console.log(`Found ${airports.size} US airports in OpenFlights database`);
+        sources.push({ name: 'OpenFlights', airports });
+    } else {
+        console.warn('OpenFlights data not available (no download and no cached copy)');
+    }
 
-    // Sort by flight count
-    const sortedAirports = Array.from(btsFlightCounts.entries())
-        .sort((a, b) => b[1] - a[1]);
+    if (sources.length === 0) {
+        console.error('No airport sources. Pass --source <file> or run once with network access.');
+        process.exit(1);
+    }
 
-    // Build airports array
-    const airports = [];
-    const missing = [];
+    console.log(`\nSource precedence: ${sources.map(s => s.name).join(' > ')}`);
+    const airportData = mergeAirportSources(sources);
 
-    for (let i = 0; i < sortedAirports.length; i++) {
-        const [code, flightCount] = sortedAirports[i];
-        const openFlightsInfo = openFlightsData.get(code);
-        const state = getStateForAirport(code, openFlightsData);
+    const boundaries = await loadBoundaries(boundariesPath, offline);
+    if (!boundaries) {
+        console.warn('No state boundaries (pass --boundaries <file> or run once with network access); ' +
+            'using the states of the airport sources, without counties');
+    }
+    const locator = boundaries && createBoundaryLocator(boundaries);
 
-        // Skip excluded states/territories
-        if (state && EXCLUDED_STATES.has(state)) {
-            console.log(`  Skipping ${code} (${state})`);
-            continue;
-        }
+    // Get BTS airport flight counts
+    console.log('\nScanning BTS data for airport activity...');
+    const btsFlightCounts = await getBTSAirports();
+    console.log(`Found ${btsFlightCounts.size} airports in BTS data`);
 
-        if (openFlightsInfo && state) {
-            airports.push({
-                rank: airports.length + 1,
-                code: code,
-                name: openFlightsInfo.name,
-                city: openFlightsInfo.city,
-                state: state,
-                lat: openFlightsInfo.lat,
-                lon: openFlightsInfo.lon,
-                hub: getHubSize(flightCount),
-                flights: flightCount
-            });
-        } else if (!state) {
-            missing.push({ code, flightCount, reason: 'no state mapping' });
-        } else {
-            missing.push({ code, flightCount, reason: 'not in OpenFlights' });
-        }
+    // Excluded states/territories (the inset states stay with --insets)
+    const excludedStates = config.excludedStates.filter(state => !insets || !config.insetStates.includes(state));
+    const { airports, excluded, missing, disagreements } = buildAirportList(
+        btsFlightCounts, airportData, locator, { excludedStates }
+    );
+    excluded.forEach(({ code, state }) => console.log(`  Skipping ${code} (${state})`));
+
+    const region = insets ? `US airports (with ${config.insetStates.join(', ')})` : 'continental US airports';
+    console.log(`\nBuilt data for ${airports.length} ${region}`);
+    for (const source of sources) {
+        const count = airports.filter(a => a.source === source.name).length;
+        console.log(`  ${count} from ${source.name}`);
     }
 
-    console.log(`\nBuilt data for ${airports.length} continental US airports`);
+    if (disagreements.length > 0) {
+        console.log(`\nReview ${disagreements.length} state assignments:`);
+        disagreements.forEach(d => {
+            console.log(`  ${d.code}: boundaries say ${d.state}; ${d.notes.join('; ')}`);
+        });
+    }
 
+    // List every unmatched BTS airport so none are dropped silently
     if (missing.length > 0) {
-        console.log(`\nMissing ${missing.length} airports:`);
-        missing.slice(0, 20).forEach(m => {
+        console.log(`\nCould not match ${missing.length} BTS airports:`);
+        missing.forEach(m => {
             console.log(`  ${m.code}: ${m.reason} (${m.flightCount} flights)`);
         });
-        if (missing.length > 20) {
-            console.log(`  ... and ${missing.length - 20} more`);
-        }
     }
 
-    // Remove the flights field before saving (was just for sorting)
-    const cleanAirports = airports.map(({ flights, ...rest }) => rest);
+    // Remove the flights and source fields before saving (only used for sorting and reporting)
+    const cleanAirports = airports.map(({ flights, source, ...rest }) => rest);
 
     // Write output
+    fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
     fs.writeFileSync(OUTPUT_PATH, JSON.stringify(cleanAirports, null, 2));
     console.log(`\nWrote ${cleanAirports.length} airports to ${OUTPUT_PATH}`);
 
@@ -328,4 +266,9 @@ async function main() {
     console.log(`\nHub breakdown: ${large} large, ${medium} medium, ${small} small`);
 }
 
-main().catch(console.error);
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
+}
@@ -1,219 +1,105 @@
 /**
  * Travel Time Matrix Generator
  *
- * Generates a realistic 100x100 travel time matrix based on:
+ * Generates a realistic travel time matrix for the airports list based on:
  * - Geographic distance between airports
  * - Hub connectivity (large hubs have more direct flights)
  * - Connection penalties for non-direct routes
  *
- * Run with: node generate-matrix.js
+ * Other network shapes (hub-and-spoke, point-to-point, one mega-hub, fully
+ * connected) can be generated with --topology, for contrasting demo networks.
+ * Runs are reproducible: the same --seed draws the same routes.
  *
- * This simulated data can be replaced with actual BTS data later.
+ * Run with: node generate-matrix.js [--topology <name>] [--seed <n>]
+ *   [--cruise-speed <mph>] [--direct-probability <p>] [--mega-hub <code>]
+ *   [--config <file.json>] [--layover <min>] [--min-connect ATL=40,...]
+ *   [--airports <file.json>] [--out <file.json>]
+ *
+ * Examples:
+ *   node generate-matrix.js --seed 7
+ *   node generate-matrix.js --topology mega-hub --mega-hub DEN --out /tmp/mega.json
+ *
+ * Layovers and file locations come from the `simulated` and `paths` sections
+ * of pipeline.config.json (see pipeline-config.js).
+ *
+ * This simulated data can be replaced with actual BTS data later. The model
+ * itself lives in simulated-matrix.js.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { writeMatrixBinary } = require('./matrix-format');
+const { loadPipelineConfig } = require('./pipeline-config');
+const { TOPOLOGIES, buildSimulatedMatrix } = require('./simulated-matrix');
 
-// Load airports data
-const airportsPath = path.join(__dirname, '../../data/airports.json');
-const airports = JSON.parse(fs.readFileSync(airportsPath, 'utf8'));
-
-// Constants
-const EARTH_RADIUS_MILES = 3959;
-const AVG_FLIGHT_SPEED_MPH = 500;
-const GROUND_TIME_MIN = 90; // Check-in, boarding, taxi
-const MIN_LAYOVER_MIN = 90;
-const AVG_LAYOVER_MIN = 120;
-
-// Hub connectivity - probability of direct flight based on hub sizes
-const DIRECT_FLIGHT_PROBABILITY = {
-    'large-large': 0.95,
-    'large-medium': 0.85,
-    'large-small': 0.60,
-    'medium-medium': 0.50,
-    'medium-small': 0.30,
-    'small-small': 0.15
-};
-
-/**
- * Calculate distance between two points using Haversine formula
- */
-function haversineDistance(lat1, lon1, lat2, lon2) {
-    const toRad = (deg) => deg * Math.PI / 180;
-
-    const dLat = toRad(lat2 - lat1);
-    const dLon = toRad(lon2 - lon1);
-
-    const a = Math.sin(dLat / 2) ** 2 +
-              Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-              Math.sin(dLon / 2) ** 2;
-
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-    return EARTH_RADIUS_MILES * c;
-}
-
-/**
- * Calculate direct flight time in minutes
- */
-function calculateFlightTime(distanceMiles) {
-    // Flight time = distance / speed + 30 min for takeoff/landing
-    const airTime = (distanceMiles / AVG_FLIGHT_SPEED_MPH) * 60 + 30;
-    return Math.round(airTime);
-}
+const DEFAULT_SEED = 1;
 
 /**
- * Determine if there's likely a direct flight between two airports
+ * Parse the generator flags
+ * @param {string[]} argv - Arguments left over by loadPipelineConfig
+ * @returns {Object} Options for buildSimulatedMatrix
  */
-function hasDirectFlight(airport1, airport2, distance) {
-    // Same airport
-    if (airport1.code === airport2.code) return true;
-
-    // Very short distances always have direct flights
-    if (distance < 200) return true;
-
-    // Very long distances (except to/from major hubs) less likely
-    if (distance > 2500 && airport1.hub !== 'large' && airport2.hub !== 'large') {
-        return Math.random() < 0.2;
-    }
-
-    // Hawaii/Alaska special cases - only direct to large hubs
-    const remoteStates = ['HI', 'AK', 'PR'];
-    const isRemote1 = remoteStates.includes(airport1.state);
-    const isRemote2 = remoteStates.includes(airport2.state);
-
-    if (isRemote1 !== isRemote2) {
-        // One is remote, one is not
-        const mainlandAirport = isRemote1 ? airport2 : airport1;
-        if (mainlandAirport.hub !== 'large') {
-            return Math.random() < 0.1; // Very few direct flights to small mainland airports
+function parseGeneratorArgs(argv) {
+    const options = { seed: DEFAULT_SEED };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--topology') {
+            options.topology = argv[++i];
+        } else if (argv[i] === '--seed') {
+            options.seed = parseInt(argv[++i], 10);
+        } else if (argv[i] === '--cruise-speed') {
+            options.cruiseSpeed = parseFloat(argv[++i]);
+        } else if (argv[i] === '--direct-probability') {
+            options.directProbability = parseFloat(argv[++i]);
+        } else if (argv[i] === '--mega-hub') {
+            options.megaHub = argv[++i].toUpperCase();
+        } else {
+            console.error(`Unknown option ${argv[i]}`);
+            console.error(`Topologies: ${Object.keys(TOPOLOGIES).join(', ')}`);
+            process.exit(1);
         }
     }
 
-    // Use hub-based probability
-    const hubKey = [airport1.hub, airport2.hub].sort().join('-');
-    const probability = DIRECT_FLIGHT_PROBABILITY[hubKey] || 0.3;
-
-    // Adjust by distance (longer = less likely)
-    const distanceFactor = Math.max(0.5, 1 - (distance / 5000));
-
-    return Math.random() < (probability * distanceFactor);
-}
-
-/**
- * Find the best connecting hub between two airports
- */
-function findBestConnection(origin, dest, airports, distanceMatrix) {
-    let bestTime = Infinity;
-    let bestHub = null;
-
-    // Major connecting hubs
-    const majorHubs = airports.filter(a => a.hub === 'large' && a.code !== origin.code && a.code !== dest.code);
-
-    for (const hub of majorHubs) {
-        const originIdx = airports.findIndex(a => a.code === origin.code);
-        const hubIdx = airports.findIndex(a => a.code === hub.code);
-        const destIdx = airports.findIndex(a => a.code === dest.code);
-
-        const leg1Distance = distanceMatrix[originIdx][hubIdx];
-        const leg2Distance = distanceMatrix[hubIdx][destIdx];
-
-        // Skip if either leg is too long (would need another connection)
-        if (leg1Distance > 2000 || leg2Distance > 2000) continue;
-
-        const leg1Time = calculateFlightTime(leg1Distance);
-        const leg2Time = calculateFlightTime(leg2Distance);
-        const totalTime = leg1Time + leg2Time + AVG_LAYOVER_MIN;
-
-        if (totalTime < bestTime) {
-            bestTime = totalTime;
-            bestHub = hub;
+    for (const [flag, value] of [['--seed', options.seed], ['--cruise-speed', options.cruiseSpeed],
+        ['--direct-probability', options.directProbability]]) {
+        if (value !== undefined && (isNaN(value) || value < 0)) {
+            console.error(`Invalid ${flag} value`);
+            process.exit(1);
         }
     }
 
-    return { time: bestTime, hub: bestHub };
+    return options;
 }
 
 /**
- * Build the distance matrix (geographic distances)
+ * Main execution
  */
-function buildDistanceMatrix(airports) {
-    const n = airports.length;
-    const matrix = [];
-
-    for (let i = 0; i < n; i++) {
-        matrix[i] = [];
-        for (let j = 0; j < n; j++) {
-            if (i === j) {
-                matrix[i][j] = 0;
-            } else {
-                matrix[i][j] = haversineDistance(
-                    airports[i].lat, airports[i].lon,
-                    airports[j].lat, airports[j].lon
-                );
-            }
-        }
-    }
-
-    return matrix;
-}
-
-/**
- * Build the travel time matrix
- */
-function buildTravelTimeMatrix(airports, distanceMatrix) {
-    const n = airports.length;
-    const matrix = [];
-    const directFlights = []; // Track which routes have direct flights
-
-    console.log('Building travel time matrix for', n, 'airports...');
-
-    // First pass: determine direct flights and their times
-    for (let i = 0; i < n; i++) {
-        matrix[i] = [];
-        directFlights[i] = [];
-
-        for (let j = 0; j < n; j++) {
-            if (i === j) {
-                matrix[i][j] = 0;
-                directFlights[i][j] = true;
-            } else {
-                const distance = distanceMatrix[i][j];
-                const isDirect = hasDirectFlight(airports[i], airports[j], distance);
-                directFlights[i][j] = isDirect;
-
-                if (isDirect) {
-                    // Direct flight: air time + ground time
-                    matrix[i][j] = calculateFlightTime(distance) + GROUND_TIME_MIN;
-                } else {
-                    matrix[i][j] = null; // Will fill in second pass
-                }
-            }
-        }
-    }
-
-    // Second pass: fill in connection times
-    for (let i = 0; i < n; i++) {
-        for (let j = 0; j < n; j++) {
-            if (matrix[i][j] === null) {
-                const connection = findBestConnection(airports[i], airports[j], airports, distanceMatrix);
-
-                if (connection.time < Infinity) {
-                    matrix[i][j] = Math.round(connection.time + GROUND_TIME_MIN);
-                } else {
-                    // No reasonable connection found - use 2-stop estimate
-                    const directTime = calculateFlightTime(distanceMatrix[i][j]);
-                    matrix[i][j] = Math.round(directTime * 1.8 + GROUND_TIME_MIN + AVG_LAYOVER_MIN * 2);
-                }
-            }
-        }
+function main() {
+    const { config, argv } = loadPipelineConfig(process.argv.slice(2), { connections: 'simulated' });
+    const generatorOptions = parseGeneratorArgs(argv);
+
+    console.log('Loading airports data...');
+    const airports = JSON.parse(fs.readFileSync(config.paths.airports, 'utf8'));
+    console.log(`Found ${airports.length} airports`);
+
+    console.log('Building travel time matrix for', airports.length, 'airports...');
+    let output;
+    try {
+        output = buildSimulatedMatrix(airports, { config, ...generatorOptions });
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
     }
+    const { matrix: travelTimeMatrix, directFlights, generator } = output;
+    console.log(`Topology: ${generator.topology}${generator.megaHub ? ` (${generator.megaHub})` : ''}, ` +
+        `seed ${generator.seed}, cruise speed ${generator.cruiseSpeed} mph` +
+        (generator.directProbability !== null ? `, direct route probability ${generator.directProbability}` : ''));
 
     // Count direct vs connection routes
     let directCount = 0;
     let connectionCount = 0;
-    for (let i = 0; i < n; i++) {
-        for (let j = 0; j < n; j++) {
+    for (let i = 0; i < airports.length; i++) {
+        for (let j = 0; j < airports.length; j++) {
             if (i !== j) {
                 if (directFlights[i][j]) directCount++;
                 else connectionCount++;
@@ -224,51 +110,40 @@ function buildTravelTimeMatrix(airports, distanceMatrix) {
     console.log(`Direct flights: ${directCount}, Connections required: ${connectionCount}`);
     console.log(`Direct flight percentage: ${(directCount / (directCount + connectionCount) * 100).toFixed(1)}%`);
 
-    return { matrix, directFlights };
+    // Write to file (JSON for hand-editing, binary for the browser)
+    const outputPath = config.paths.matrix;
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
+    const binaryPath = outputPath.replace(/\.json$/, '') + '.bin';
+    writeMatrixBinary(binaryPath, output);
+
+    console.log(`\nMatrix saved to: ${outputPath}`);
+    console.log(`Binary matrix saved to: ${binaryPath}`);
+
+    // Print some sample routes
+    console.log('\nSample travel times:');
+    const sampleRoutes = [
+        ['SFO', 'JFK'],
+        ['SFO', 'LFT'],
+        ['LAX', 'ORD'],
+        ['ATL', 'SEA'],
+        ['HNL', 'BOS'],
+        ['LFT', 'ABQ']
+    ];
+
+    for (const [from, to] of sampleRoutes) {
+        const fromIdx = airports.findIndex(a => a.code === from);
+        const toIdx = airports.findIndex(a => a.code === to);
+        if (fromIdx >= 0 && toIdx >= 0) {
+            const time = travelTimeMatrix[fromIdx][toIdx];
+            const isDirect = directFlights[fromIdx][toIdx];
+            const hours = Math.floor(time / 60);
+            const mins = time % 60;
+            console.log(`  ${from} → ${to}: ${hours}h ${mins}m ${isDirect ? '(direct)' : '(connection)'}`);
+        }
+    }
 }
 
-// Main execution
-console.log('Loading airports data...');
-console.log(`Found ${airports.length} airports`);
-
-const distanceMatrix = buildDistanceMatrix(airports);
-const { matrix: travelTimeMatrix, directFlights } = buildTravelTimeMatrix(airports, distanceMatrix);
-
-// Create output object with metadata
-const output = {
-    generated: new Date().toISOString(),
-    description: "Simulated travel time matrix in minutes (can be replaced with BTS data)",
-    airportCount: airports.length,
-    airports: airports.map(a => a.code),
-    matrix: travelTimeMatrix,
-    directFlights: directFlights
-};
-
-// Write to file
-const outputPath = path.join(__dirname, '../../data/matrix.json');
-fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
-
-console.log(`\nMatrix saved to: ${outputPath}`);
-
-// Print some sample routes
-console.log('\nSample travel times:');
-const sampleRoutes = [
-    ['SFO', 'JFK'],
-    ['SFO', 'LFT'],
-    ['LAX', 'ORD'],
-    ['ATL', 'SEA'],
-    ['HNL', 'BOS'],
-    ['LFT', 'ABQ']
-];
-
-for (const [from, to] of sampleRoutes) {
-    const fromIdx = airports.findIndex(a => a.code === from);
-    const toIdx = airports.findIndex(a => a.code === to);
-    if (fromIdx >= 0 && toIdx >= 0) {
-        const time = travelTimeMatrix[fromIdx][toIdx];
-        const isDirect = directFlights[fromIdx][toIdx];
-        const hours = Math.floor(time / 60);
-        const mins = time % 60;
-        console.log(`  ${from} → ${to}: ${hours}h ${mins}m ${isDirect ? '(direct)' : '(connection)'}`);
-    }
+if (require.main === module) {
+    main();
 }
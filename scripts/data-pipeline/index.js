@@ -0,0 +1,35 @@
+/**
+ * Data Pipeline API
+ *
+ * The pipeline as a Node module, for building custom matrices in-process:
+ * - matrix-builder.js: BTS flight records -> travel time matrix
+ * - simulated-matrix.js: airports -> simulated matrix
+ * - airport-data.js: airport source parsing and matching
+ * - t100-data.js: seats, passengers and hub sizes from T-100 segment data
+ * - matrix-format.js: reading and writing matrix files
+ * - diff-matrices.js: comparing two matrices
+ * - pipeline-config.js: shared settings
+ *
+ * Example:
+ *   const pipeline = require('as-the-plane-flies');
+ *   const { config } = pipeline.loadPipelineConfig(['--min-flights', '30']);
+ *   const matrix = pipeline.buildMatrixFromFlights(flights, airports, { config });
+ */
+
+const { loadPipelineConfig, layoverAt } = require('./pipeline-config');
+const { readMatrixFile, writeMatrixBinary, encodeMatrix, decodeMatrix } = require('./matrix-format');
+const { diffMatrices } = require('./diff-matrices');
+
+module.exports = {
+    ...require('./matrix-builder'),
+    ...require('./simulated-matrix'),
+    ...require('./airport-data'),
+    ...require('./t100-data'),
+    loadPipelineConfig,
+    layoverAt,
+    readMatrixFile,
+    writeMatrixBinary,
+    encodeMatrix,
+    decodeMatrix,
+    diffMatrices
+};
@@ -0,0 +1,894 @@
+/**
+ * Travel Time Matrix Builder
+ *
+ * The travel time model behind process-bts-data.js, as pure functions: they
+ * take flight records (or route aggregates) and the airports list and return
+ * matrix objects in the matrix.json shape. Nothing here reads or writes files.
+ *
+ * Flight records are plain objects:
+ *   { origin, dest, elapsedTime, cancelled, depDelay, arrDelay,
+ *     year, month, dayOfWeek, flightDate, carrier }
+ * Only origin, dest and elapsedTime are required.
+ *
+ * Settings (layovers, the direct route threshold, maximum stops) come from a
+ * pipeline config object (see pipeline-config.js); functions that take an
+ * `options.config` use pipeline.config.json when it is left out.
+ *
+ * Example:
+ *   const { buildMatrixFromFlights } = require('./matrix-builder');
+ *   const output = buildMatrixFromFlights(flights, airports, { days: 31 });
+ */
+
+const { loadPipelineConfig, layoverAt } = require('./pipeline-config');
+
+// Effective travel time
+const REBOOKING_PENALTY_MIN = 240;         // Expected wait for a seat after a cancellation
+const MISSED_CONNECTION_PENALTY_MIN = 180; // Expected wait after missing a connection
+
+// Service frequency
+const SERVICE_HOURS = 18;       // Hours per day flights are spread over (6am to midnight)
+const MAX_FREQUENCY_WAIT_MIN = 180; // Cap on the expected wait for infrequent routes
+const DAYS_PER_MONTH = 30.4;    // Used when files have a Month column but no FlightDate
+
+// Driving
+const ROAD_CIRCUITY = 1.3;      // Road miles per great-circle mile
+const DRIVE_SPEED_MPH = 55;     // Average door-to-door driving speed
+const MAX_DRIVE_MIN = 8 * 60;   // Longer drives are not considered
+const ISLAND_STATES = new Set(['HI']); // No roads between the islands or to the mainland
+
+// Door-to-door model
+const DEPARTURE_OVERHEAD_MIN = { large: 90, medium: 75, small: 60 }; // Access, check-in and security by hub size
+const ARRIVAL_BUFFER_MIN = 30;  // Deplaning, baggage and leaving the airport
+
+// Time slices (one matrix per month, plus optional seasons and weekday/weekend)
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+const SEASONS = {
+    winter: [12, 1, 2],
+    spring: [3, 4, 5],
+    summer: [6, 7, 8],
+    fall: [9, 10, 11]
+};
+
+// Carrier networks (one matrix per reporting airline and per alliance)
+const CARRIER_NAMES = {
+    AA: 'American Airlines',
+    AS: 'Alaska Airlines',
+    B6: 'JetBlue',
+    DL: 'Delta Air Lines',
+    F9: 'Frontier Airlines',
+    G4: 'Allegiant Air',
+    HA: 'Hawaiian Airlines',
+    NK: 'Spirit Airlines',
+    UA: 'United Airlines',
+    WN: 'Southwest Airlines',
+    '9E': 'Endeavor Air',
+    MQ: 'Envoy Air',
+    OH: 'PSA Airlines',
+    OO: 'SkyWest Airlines',
+    QX: 'Horizon Air',
+    YV: 'Mesa Airlines',
+    YX: 'Republic Airways',
+    G7: 'GoJet Airlines',
+    C5: 'CommuteAir',
+    ZW: 'Air Wisconsin'
+};
+
+// Default alliance groupings. Regional carriers that fly for a single
+// mainline partner are included; those flying for several (SkyWest,
+// Republic) are left out. Override with --alliances <file.json> using the
+// same shape.
+const DEFAULT_ALLIANCES = {
+    oneworld: { label: 'oneworld', carriers: ['AA', 'AS', 'MQ', 'OH', 'QX'] },
+    star: { label: 'Star Alliance', carriers: ['UA', 'G7', 'C5'] },
+    skyteam: { label: 'SkyTeam', carriers: ['DL', '9E'] }
+};
+
+/**
+ * Get the pipeline config to use (pipeline.config.json when none is given)
+ */
+function resolveConfig(config) {
+    return config || loadPipelineConfig([]).config;
+}
+
+/**
+ * Arrival delay a layover absorbs (at every hub)
+ * @param {Object} connections - Connection settings (config.connections)
+ */
+function connectionSlack(connections) {
+    return connections.avgLayover - connections.minLayover;
+}
+
+/**
+ * Get the time slices a flight belongs to
+ * Every flight counts towards 'all'; month, season and day-type slices are
+ * added when the file has the columns to derive them.
+ * @param {number|null} month - Month number (1-12)
+ * @param {number|null} dayOfWeek - ISO day of week (1 = Monday, 7 = Sunday)
+ * @param {Object} options - { seasons, dayTypes }
+ * @returns {string[]} Slice ids
+ */
+function getSliceIds(month, dayOfWeek, options) {
+    const ids = ['all'];
+
+    if (month) {
+        ids.push(`month-${String(month).padStart(2, '0')}`);
+
+        if (options.seasons) {
+            const season = Object.keys(SEASONS).find(name => SEASONS[name].includes(month));
+            ids.push(season);
+        }
+    }
+
+    if (dayOfWeek && options.dayTypes) {
+        ids.push(dayOfWeek >= 6 ? 'weekend' : 'weekday');
+    }
+
+    return ids;
+}
+
+/**
+ * Get the carrier network slices a flight belongs to
+ * @param {string} carrier - Reporting airline code
+ * @param {Object} alliances - Alliance id -> { label, carriers }
+ * @returns {string[]} Slice ids
+ */
+function getNetworkIds(carrier, alliances) {
+    if (!carrier) return [];
+
+    const ids = [`carrier-${carrier}`];
+    for (const [allianceId, alliance] of Object.entries(alliances)) {
+        if (alliance.carriers.includes(carrier)) {
+            ids.push(`alliance-${allianceId}`);
+        }
+    }
+    return ids;
+}
+
+/**
+ * Describe a slice for the slice index
+ * @param {string} id - Slice id
+ * @param {Object} alliances - Alliance id -> { label, carriers }
+ */
+function describeSlice(id, alliances) {
+    if (id.startsWith('carrier-')) {
+        const carrier = id.slice(8);
+        return { id, type: 'carrier', carrier, label: CARRIER_NAMES[carrier] || carrier };
+    }
+    if (id.startsWith('alliance-')) {
+        const alliance = alliances[id.slice(9)];
+        return { id, type: 'alliance', carriers: alliance.carriers, label: alliance.label };
+    }
+    if (id.startsWith('month-')) {
+        const month = parseInt(id.slice(6), 10);
+        return { id, type: 'month', month, label: MONTH_NAMES[month - 1] };
+    }
+    if (SEASONS[id]) {
+        return { id, type: 'season', months: SEASONS[id], label: id[0].toUpperCase() + id.slice(1) };
+    }
+    return { id, type: 'dayType', label: id === 'weekend' ? 'Weekends' : 'Weekdays' };
+}
+
+/**
+ * Create an empty running aggregate for a route
+ * Elapsed times are kept as a histogram of whole minutes so aggregates stay
+ * small, can be merged across workers, and still support trimmed statistics.
+ * Cancellations and delays are plain counters.
+ */
+function createRouteAggregate() {
+    return {
+        count: 0,
+        sum: 0,
+        sumSq: 0,
+        hist: {},
+        cancelled: 0,       // Cancelled departures
+        delayCount: 0,      // Flights with a departure delay value
+        depDelaySum: 0,     // Sum of departure delays (early departures count as 0)
+        arrivalCount: 0,    // Flights with an arrival delay value
+        missedCount: 0      // Arrivals late enough to miss an average connection
+    };
+}
+
+/**
+ * Add one completed flight to a route aggregate
+ * @param {Object} aggregate - Route aggregate
+ * @param {number} elapsedTime - Actual elapsed time in minutes
+ * @param {number} depDelay - Departure delay in minutes (NaN if unknown)
+ * @param {number} arrDelay - Arrival delay in minutes (NaN if unknown)
+ * @param {number} slack - Arrival delay a layover absorbs (see connectionSlack)
+ */
+function addFlight(aggregate, elapsedTime, depDelay = NaN, arrDelay = NaN, slack = Infinity) {
+    const minutes = Math.round(elapsedTime);
+    aggregate.count++;
+    aggregate.sum += minutes;
+    aggregate.sumSq += minutes * minutes;
+    aggregate.hist[minutes] = (aggregate.hist[minutes] || 0) + 1;
+
+    if (!isNaN(depDelay)) {
+        aggregate.delayCount++;
+        aggregate.depDelaySum += Math.max(0, depDelay);
+    }
+    if (!isNaN(arrDelay)) {
+        aggregate.arrivalCount++;
+        if (arrDelay > slack) aggregate.missedCount++;
+    }
+}
+
+/**
+ * Add a flight record to the aggregates of every slice it belongs to
+ * @param {Object} aggregates - { slices: slice id -> route key -> aggregate,
+ *   periods: slice id -> { dates: Set, months: Set } } (updated in place)
+ * @param {Object} flight - Flight record
+ * @param {Set<string>} airportCodes - Airports to keep flights between
+ * @param {Object} options - { seasons, dayTypes, alliances, slack }
+ * @returns {string} 'processed', 'cancelled' or 'skipped' (unknown airport or missing time)
+ */
+function recordFlight(aggregates, flight, airportCodes, options) {
+    const { origin, dest, cancelled = false, flightDate = '', carrier = '', year = '' } = flight;
+    const elapsedTime = flight.elapsedTime;
+    const depDelay = flight.depDelay ?? NaN;
+    const arrDelay = flight.arrDelay ?? NaN;
+
+    // Skip if airports not in our list
+    if (!airportCodes.has(origin) || !airportCodes.has(dest)) return 'skipped';
+
+    // Skip if missing data (cancellations are still counted below)
+    if (!cancelled && (isNaN(elapsedTime) || elapsedTime <= 0)) return 'skipped';
+
+    // Month and day of week, from their own fields or the flight date (YYYY-MM-DD)
+    let month = flight.month ?? NaN;
+    let dayOfWeek = flight.dayOfWeek ?? NaN;
+    if (isNaN(month) && flightDate) {
+        month = parseInt(flightDate.slice(5, 7), 10);
+    }
+    if (isNaN(dayOfWeek) && flightDate) {
+        const day = new Date(`${flightDate.slice(0, 10)}T00:00:00Z`).getUTCDay();
+        dayOfWeek = day === 0 ? 7 : day;
+    }
+
+    // Record the flight time in every slice it belongs to
+    const { slices, periods } = aggregates;
+    const key = `${origin}-${dest}`;
+    const sliceIds = [
+        ...getSliceIds(month || null, dayOfWeek || null, options),
+        ...getNetworkIds(carrier, options.alliances || {})
+    ];
+    for (const sliceId of sliceIds) {
+        if (!slices[sliceId]) {
+            slices[sliceId] = {};
+            periods[sliceId] = { dates: new Set(), months: new Set() };
+        }
+        if (flightDate) {
+            periods[sliceId].dates.add(flightDate.slice(0, 10));
+        } else if (month) {
+            periods[sliceId].months.add(`${year}-${month}`);
+        }
+        if (!slices[sliceId][key]) {
+            slices[sliceId][key] = createRouteAggregate();
+        }
+        if (cancelled) {
+            slices[sliceId][key].cancelled++;
+        } else {
+            addFlight(slices[sliceId][key], elapsedTime, depDelay, arrDelay, options.slack);
+        }
+    }
+
+    return cancelled ? 'cancelled' : 'processed';
+}
+
+/**
+ * Aggregate flight records into per-slice route aggregates
+ * @param {Iterable<Object>} flights - Flight records
+ * @param {Object[]} airports - Airports list (as in airports.json)
+ * @param {Object} options - { config, seasons, dayTypes, alliances } (no carrier
+ *   network slices without alliances or carrier fields)
+ * @returns {Object} { slices, periods, processedCount, skippedCount }
+ */
+function aggregateFlights(flights, airports, options = {}) {
+    const config = resolveConfig(options.config);
+    const airportCodes = new Set(airports.map(a => a.code));
+    const sliceOptions = { ...options, slack: connectionSlack(config.connections) };
+    const aggregates = { slices: {}, periods: {} };
+    let processedCount = 0;
+    let skippedCount = 0;
+
+    for (const flight of flights) {
+        if (recordFlight(aggregates, flight, airportCodes, sliceOptions) === 'processed') {
+            processedCount++;
+        } else {
+            skippedCount++;
+        }
+    }
+
+    return { ...aggregates, processedCount, skippedCount };
+}
+
+/**
+ * Merge route aggregates (e.g. from a worker) into flightData
+ * @param {Object} flightData - Slice id -> route key -> aggregate
+ * @param {Object} slices - Aggregates to merge, in the same shape
+ */
+function mergeFlightData(flightData, slices) {
+    for (const [sliceId, routes] of Object.entries(slices)) {
+        if (!flightData[sliceId]) {
+            flightData[sliceId] = {};
+        }
+        const sliceData = flightData[sliceId];
+
+        for (const [key, source] of Object.entries(routes)) {
+            if (!sliceData[key]) {
+                sliceData[key] = createRouteAggregate();
+            }
+            const target = sliceData[key];
+            for (const [field, value] of Object.entries(source)) {
+                if (field !== 'hist') target[field] += value;
+            }
+            for (const [minutes, count] of Object.entries(source.hist)) {
+                target.hist[minutes] = (target.hist[minutes] || 0) + count;
+            }
+        }
+    }
+}
+
+/**
+ * Merge the dates and months each slice covers (e.g. from a worker) into periodData
+ * @param {Object} periodData - Slice id -> { dates: Set, months: Set }
+ * @param {Object} periods - Periods to merge, in the same shape
+ */
+function mergePeriods(periodData, periods) {
+    for (const [sliceId, { dates, months }] of Object.entries(periods)) {
+        if (!periodData[sliceId]) {
+            periodData[sliceId] = { dates: new Set(), months: new Set() };
+        }
+        dates.forEach(d => periodData[sliceId].dates.add(d));
+        months.forEach(m => periodData[sliceId].months.add(m));
+    }
+}
+
+/**
+ * Count the days a slice covers
+ * @param {Object} period - { dates: Set, months: Set } for the slice
+ * @returns {number|null} Days, or null when the files carry no dates
+ */
+function countDays(period) {
+    if (!period) return null;
+    if (period.dates.size > 0) return period.dates.size;
+    if (period.months.size > 0) return period.months.size * DAYS_PER_MONTH;
+    return null;
+}
+
+/**
+ * Expected wait for a departure on a route
+ * Half the headway between flights spread over the service day.
+ * @param {number} flightsPerDay - Daily frequency
+ * @returns {number} Minutes
+ */
+function calculateFrequencyWait(flightsPerDay) {
+    if (!flightsPerDay) return 0;
+    return Math.min(MAX_FREQUENCY_WAIT_MIN, (SERVICE_HOURS * 60) / (2 * flightsPerDay));
+}
+
+/**
+ * Calculate average flight time for a route
+ * @param {Object} aggregate - Route aggregate from createRouteAggregate
+ */
+function calculateAverageTime(aggregate) {
+    if (aggregate.count === 0) return null;
+
+    // Remove outliers (beyond 2 standard deviations)
+    const mean = aggregate.sum / aggregate.count;
+    const stdDev = Math.sqrt(Math.max(0, aggregate.sumSq / aggregate.count - mean * mean));
+
+    let filteredSum = 0;
+    let filteredCount = 0;
+    for (const [minutes, count] of Object.entries(aggregate.hist)) {
+        if (Math.abs(minutes - mean) <= 2 * stdDev) {
+            filteredSum += minutes * count;
+            filteredCount += count;
+        }
+    }
+
+    if (filteredCount === 0) return Math.round(mean);
+
+    return Math.round(filteredSum / filteredCount);
+}
+
+/**
+ * Calculate the travel time distribution for a route
+ * @param {Object} aggregate - Route aggregate from createRouteAggregate
+ * @returns {Object} { median, p10, p90, stdDev, count } in minutes
+ */
+function calculateRouteStats(aggregate) {
+    const mean = aggregate.sum / aggregate.count;
+    const stdDev = Math.sqrt(Math.max(0, aggregate.sumSq / aggregate.count - mean * mean));
+
+    // Walk the histogram in minute order to find nearest-rank percentiles
+    const minutes = Object.keys(aggregate.hist).map(Number).sort((a, b) => a - b);
+    const targets = { p10: 0.1, median: 0.5, p90: 0.9 };
+    const stats = {};
+    let cumulative = 0;
+
+    for (const minute of minutes) {
+        cumulative += aggregate.hist[minute];
+        for (const [name, fraction] of Object.entries(targets)) {
+            if (stats[name] === undefined && cumulative >= fraction * aggregate.count) {
+                stats[name] = minute;
+            }
+        }
+    }
+
+    return {
+        median: stats.median,
+        p10: stats.p10,
+        p90: stats.p90,
+        stdDev: Math.round(stdDev * 10) / 10,
+        count: aggregate.count,
+        ...calculateReliability(aggregate)
+    };
+}
+
+/**
+ * Calculate cancellation rate and average departure delay for a route
+ * @param {Object} aggregate - Route aggregate from createRouteAggregate
+ * @returns {Object} { cancelRate (0-1), avgDelay (minutes) }
+ */
+function calculateReliability(aggregate) {
+    const scheduled = aggregate.count + aggregate.cancelled;
+
+    return {
+        cancelRate: scheduled > 0 ? Math.round((aggregate.cancelled / scheduled) * 1000) / 1000 : 0,
+        avgDelay: aggregate.delayCount > 0
+            ? Math.round((aggregate.depDelaySum / aggregate.delayCount) * 10) / 10
+            : 0
+    };
+}
+
+/**
+ * Calculate the missed-connection risk at every airport
+ * The share of arriving flights late by more than the layover slack.
+ * @param {Object} flightData - Route key -> aggregate
+ * @returns {Object} Airport code -> risk (0-1), for airports with arrival data
+ */
+function calculateMissedConnectionRisk(flightData) {
+    const arrivals = {};
+
+    for (const [key, data] of Object.entries(flightData)) {
+        const dest = key.split('-')[1];
+        if (!arrivals[dest]) arrivals[dest] = { count: 0, missed: 0 };
+        arrivals[dest].count += data.arrivalCount;
+        arrivals[dest].missed += data.missedCount;
+    }
+
+    const risk = {};
+    for (const [code, { count, missed }] of Object.entries(arrivals)) {
+        if (count > 0) risk[code] = Math.round((missed / count) * 1000) / 1000;
+    }
+    return risk;
+}
+
+/**
+ * Compute shortest travel times between all airports over the direct-route graph
+ *
+ * Runs a hop-limited Bellman-Ford from every origin so itineraries never use
+ * more than maxStops connections. Each connection adds layoverMin minutes.
+ * @param {Object[]} airports - Airports list (matrix order)
+ * @param {Object} directFlightTimes - Map of "ORIGIN-DEST" to direct flight minutes
+ * @param {number} maxStops - Maximum number of connections per itinerary
+ * @param {number|number[]} layoverMin - Layover cost added at every connection,
+ *   or per-airport costs indexed like the airports list
+ * @param {Object} waits - Optional map of "ORIGIN-DEST" to expected wait for a departure.
+ *   The first leg adds its wait; later legs wait for the longer of the layover and their wait.
+ * @returns {Object} { times, legs, hubs } NxN matrices (null where no itinerary exists);
+ *   hubs holds the airport indices connected through, in order
+ */
+function computeShortestPaths(airports, directFlightTimes, maxStops, layoverMin, waits = {}) {
+    const n = airports.length;
+    const indexByCode = new Map(airports.map((a, i) => [a.code, i]));
+
+    // Edge list of direct legs
+    const edges = Object.entries(directFlightTimes).map(([key, time]) => {
+        const [from, to] = key.split('-');
+        return { from: indexByCode.get(from), to: indexByCode.get(to), time, wait: waits[key] || 0 };
+    });
+
+    const layoverAt = Array.isArray(layoverMin) ? (i) => layoverMin[i] : () => layoverMin;
+
+    const times = [];
+    const legs = [];
+    const hubs = [];
+
+    for (let origin = 0; origin < n; origin++) {
+        let best = new Array(n).fill(Infinity);
+        let bestLegs = new Array(n).fill(null);
+        let bestHubs = new Array(n).fill(null);
+        best[origin] = 0;
+        bestLegs[origin] = 0;
+        bestHubs[origin] = [];
+
+        // Round k finds the best itineraries using at most k legs
+        for (let round = 1; round <= maxStops + 1; round++) {
+            const next = best.slice();
+            const nextLegs = bestLegs.slice();
+            const nextHubs = bestHubs.slice();
+            let improved = false;
+
+            for (const edge of edges) {
+                if (best[edge.from] === Infinity) continue;
+
+                // No layover before the first leg, just the wait for a departure
+                const layover = edge.from === origin
+                    ? edge.wait
+                    : Math.max(layoverAt(edge.from), edge.wait);
+                const total = best[edge.from] + layover + edge.time;
+
+                if (total < next[edge.to]) {
+                    next[edge.to] = total;
+                    nextLegs[edge.to] = bestLegs[edge.from] + 1;
+                    nextHubs[edge.to] = edge.from === origin ? [] : [...bestHubs[edge.from], edge.from];
+                    improved = true;
+                }
+            }
+
+            best = next;
+            bestLegs = nextLegs;
+            bestHubs = nextHubs;
+            if (!improved) break;
+        }
+
+        times[origin] = best.map(t => t === Infinity ? null : t);
+        legs[origin] = bestLegs;
+        hubs[origin] = bestHubs;
+    }
+
+    return { times, legs, hubs };
+}
+
+/**
+ * Great-circle distance between two airports in miles
+ */
+function greatCircleMiles(airport1, airport2) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const R = 3959; // Earth radius in miles
+
+    const dLat = toRad(airport2.lat - airport1.lat);
+    const dLon = toRad(airport2.lon - airport1.lon);
+
+    const a = Math.sin(dLat / 2) ** 2 +
+              Math.cos(toRad(airport1.lat)) * Math.cos(toRad(airport2.lat)) *
+              Math.sin(dLon / 2) ** 2;
+
+    return 2 * R * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Estimate flight time based on distance (fallback for missing routes)
+ */
+function estimateFlightTime(airport1, airport2) {
+    const distance = greatCircleMiles(airport1, airport2);
+
+    // Estimate: ~500 mph cruise + 30 min for takeoff/landing
+    return Math.round((distance / 500) * 60 + 30);
+}
+
+/**
+ * Build the driving time matrix
+ * @param {Object[]} airports - Airports list (matrix order)
+ * @param {Object} overrides - Route key ("SAN-LAX") -> minutes; also used for the
+ *   reverse direction unless that has its own entry
+ * @returns {Array<Array<number|null>>} Minutes, or null for drives over MAX_DRIVE_MIN
+ *   and to or from island states (unless overridden)
+ */
+function buildDriveMatrix(airports, overrides = {}) {
+    return airports.map((from, i) => airports.map((to, j) => {
+        if (i === j) return 0;
+
+        const override = overrides[`${from.code}-${to.code}`] ?? overrides[`${to.code}-${from.code}`];
+        if (override === undefined && (ISLAND_STATES.has(from.state) || ISLAND_STATES.has(to.state))) return null;
+        const minutes = override ?? Math.round(greatCircleMiles(from, to) * ROAD_CIRCUITY / DRIVE_SPEED_MPH * 60);
+        return minutes <= MAX_DRIVE_MIN ? minutes : null;
+    }));
+}
+
+/**
+ * Let driving compete with flying in a matrix
+ * Cells where the drive is faster take the drive time and are flagged.
+ * @param {Object} result - Output of buildMatrix (updated in place)
+ * @param {Array<Array<number|null>>} driveMatrix - Output of buildDriveMatrix
+ * @returns {number} Pairs that are faster by car
+ */
+function applyDriving(result, driveMatrix) {
+    const compete = (times) => times.map((row, i) => row.map((flyTime, j) => {
+        const driveTime = driveMatrix[i][j];
+        if (i === j || driveTime === null || (flyTime !== null && flyTime <= driveTime)) return false;
+        row[j] = driveTime;
+        return true;
+    }));
+
+    result.driving = compete(result.matrix);
+    result.effectiveDriving = compete(result.effectiveMatrix);
+    result.driveMatrix = driveMatrix;
+
+    return result.driving.flat().filter(Boolean).length;
+}
+
+/**
+ * Build the travel time matrix
+ * @param {Object} flightData - Route key -> aggregate
+ * @param {Object[]} airports - Airports list (matrix order)
+ * @param {Object} options - { config: pipeline config (default pipeline.config.json);
+ *   estimateMissing: fill unreachable pairs with a distance estimate (default)
+ *   instead of null, which carrier networks use for "not served";
+ *   days: number of days the data covers, for daily frequencies (null = unknown) }
+ * @returns {Object} Matrices, itineraries and route stats, plus a `summary` of
+ *   route counts { directRoutes, direct, connections (by stops), estimated, unreachable }
+ */
+function buildMatrix(flightData, airports, options = {}) {
+    const config = resolveConfig(options.config);
+    const { groundTime, avgLayover } = config.connections;
+    const { minFlightsForDirect, maxStops } = config.routes;
+    const estimateMissing = options.estimateMissing !== false;
+    const days = options.days || null;
+    const n = airports.length;
+    const matrix = [];
+    const effectiveMatrix = []; // Includes delays, cancellations and missed connections
+    const directFlights = [];
+    const legs = []; // Flight legs used per cell (null = distance estimate)
+    const itineraries = {}; // Connecting hubs per non-direct route
+    const effectiveItineraries = {}; // Only where the effective itinerary differs
+
+    // First, calculate average direct flight times
+    const directFlightTimes = {};
+    const effectiveFlightTimes = {};
+    const frequencyWaits = {}; // Expected wait for a departure per direct route
+    const routeStats = {}; // Travel time distribution per direct route
+
+    for (const [key, data] of Object.entries(flightData)) {
+        const avgTime = calculateAverageTime(data);
+        if (avgTime && data.count >= minFlightsForDirect) {
+            directFlightTimes[key] = avgTime;
+            routeStats[key] = calculateRouteStats(data);
+
+            // Average delay plus the expected rebooking wait
+            const { cancelRate, avgDelay } = routeStats[key];
+            effectiveFlightTimes[key] = avgTime + avgDelay + cancelRate * REBOOKING_PENALTY_MIN;
+
+            // Scheduled departures per day, including cancelled ones
+            if (days) {
+                const perDay = (data.count + data.cancelled) / days;
+                routeStats[key].perDay = Math.round(perDay * 10) / 10;
+                frequencyWaits[key] = calculateFrequencyWait(perDay);
+            }
+        }
+    }
+
+    // Hubs with their own minimum connect time get a shorter or longer layover,
+    // and connections at late-running hubs carry the expected cost of a missed connection
+    const layovers = airports.map(a => layoverAt(config.connections, a.code));
+    const missedConnectionRisk = calculateMissedConnectionRisk(flightData);
+    const effectiveLayovers = airports.map((a, i) =>
+        layovers[i] + (missedConnectionRisk[a.code] || 0) * MISSED_CONNECTION_PENALTY_MIN
+    );
+
+    // Shortest itineraries over the direct-route network
+    const paths = computeShortestPaths(airports, directFlightTimes, maxStops, layovers, frequencyWaits);
+    const effectivePaths = computeShortestPaths(airports, effectiveFlightTimes, maxStops, effectiveLayovers, frequencyWaits);
+
+    // Build the matrices
+    let directCount = 0;
+    let estimatedCount = 0;
+    let unreachableCount = 0;
+    const connectionCounts = {}; // Keyed by number of stops
+
+    for (let i = 0; i < n; i++) {
+        matrix[i] = [];
+        effectiveMatrix[i] = [];
+        directFlights[i] = [];
+        legs[i] = [];
+
+        for (let j = 0; j < n; j++) {
+            if (i === j) {
+                matrix[i][j] = 0;
+                effectiveMatrix[i][j] = 0;
+                directFlights[i][j] = true;
+                legs[i][j] = 0;
+                continue;
+            }
+
+            const key = `${airports[i].code}-${airports[j].code}`;
+
+            if (paths.times[i][j] !== null) {
+                // The faster of the direct flight (with its wait for a departure)
+                // and a connection through one or more hubs. A connection can win
+                // when the direct route only flies a few times a day.
+                matrix[i][j] = Math.round(paths.times[i][j]) + groundTime;
+                effectiveMatrix[i][j] = Math.round(effectivePaths.times[i][j]) + groundTime;
+                legs[i][j] = paths.legs[i][j];
+                directFlights[i][j] = legs[i][j] === 1;
+
+                const hubs = paths.hubs[i][j].map(h => airports[h].code);
+                const effectiveHubs = effectivePaths.hubs[i][j].map(h => airports[h].code);
+                if (effectiveHubs.join() !== hubs.join()) {
+                    effectiveItineraries[key] = effectiveHubs;
+                }
+
+                if (directFlights[i][j]) {
+                    directCount++;
+                } else {
+                    itineraries[key] = hubs;
+                    const stops = legs[i][j] - 1;
+                    connectionCounts[stops] = (connectionCounts[stops] || 0) + 1;
+                }
+            } else if (!estimateMissing) {
+                // Not reachable on this network
+                matrix[i][j] = null;
+                effectiveMatrix[i][j] = null;
+                directFlights[i][j] = false;
+                legs[i][j] = null;
+                unreachableCount++;
+            } else {
+                // Estimate based on distance
+                const estimated = estimateFlightTime(airports[i], airports[j]);
+                matrix[i][j] = estimated + groundTime + avgLayover;
+                effectiveMatrix[i][j] = matrix[i][j];
+                directFlights[i][j] = false;
+                legs[i][j] = null;
+                estimatedCount++;
+            }
+        }
+    }
+
+    return {
+        matrix,
+        effectiveMatrix,
+        directFlights,
+        legs,
+        itineraries,
+        effectiveItineraries,
+        routeStats,
+        missedConnectionRisk,
+        summary: {
+            directRoutes: Object.keys(directFlightTimes).length,
+            direct: directCount,
+            connections: connectionCounts,
+            estimated: estimatedCount,
+            unreachable: unreachableCount
+        }
+    };
+}
+
+/**
+ * Build the door-to-door parameters for every airport
+ * @param {Object[]} airports - Airports list
+ * @param {Object} options - { arrivalBuffer, overrides: { CODE: { departure, arrival } } }
+ * @returns {Object} Code -> { departure, arrival } in minutes
+ */
+function buildDoorToDoor(airports, options = {}) {
+    const { arrivalBuffer = ARRIVAL_BUFFER_MIN, overrides = {} } = options;
+    const doorToDoor = {};
+
+    for (const airport of airports) {
+        const override = overrides[airport.code] || {};
+        doorToDoor[airport.code] = {
+            departure: override.departure ?? DEPARTURE_OVERHEAD_MIN[airport.hub] ?? DEPARTURE_OVERHEAD_MIN.small,
+            arrival: override.arrival ?? arrivalBuffer
+        };
+    }
+
+    return doorToDoor;
+}
+
+/**
+ * Add the door-to-door overhead to a gate-to-gate time
+ */
+function doorToDoorTime(time, fromCode, toCode, doorToDoor) {
+    if (time === null || fromCode === toCode) return time;
+    return time + doorToDoor[fromCode].departure + doorToDoor[toCode].arrival;
+}
+
+/**
+ * Create the matrix file contents
+ * @param {Object} result - Output of buildMatrix
+ * @param {Object[]} airports - Airports list (matrix order)
+ * @param {string} description - Human readable description
+ * @param {Object} doorToDoor - Output of buildDoorToDoor
+ * @param {Object} config - Pipeline config (default pipeline.config.json)
+ */
+function createOutput(result, airports, description, doorToDoor, config) {
+    config = resolveConfig(config);
+    const airportCodes = new Set(airports.map(a => a.code));
+
+    return {
+        generated: new Date().toISOString(),
+        description: description,
+        source: "Bureau of Transportation Statistics - On-Time Performance",
+        airportCount: airports.length,
+        airports: airports.map(a => a.code),
+        maxStops: config.routes.maxStops,
+        layoverMin: config.connections.avgLayover,
+        hubLayoverMin: Object.fromEntries(Object.keys(config.connections.minConnectTimes)
+            .filter(code => airportCodes.has(code))
+            .map(code => [code, layoverAt(config.connections, code)])),
+        matrix: result.matrix,
+        effectiveMatrix: result.effectiveMatrix,
+        directFlights: result.directFlights,
+        legs: result.legs,
+        itineraries: result.itineraries,
+        effectiveItineraries: result.effectiveItineraries,
+        routeStats: result.routeStats,
+        missedConnectionRisk: result.missedConnectionRisk,
+        driving: result.driving,
+        effectiveDriving: result.effectiveDriving,
+        driveMatrix: result.driveMatrix,
+        doorToDoor: doorToDoor
+    };
+}
+
+/**
+ * Build a full-period travel time matrix from flight records
+ * The same matrix process-bts-data.js writes to matrix.json, built in memory.
+ * @param {Iterable<Object>} flights - Flight records
+ * @param {Object[]} airports - Airports list (matrix order)
+ * @param {Object} options - { config, days (default: counted from the flight dates),
+ *   driving: let driving compete (default true), driveTimes, arrivalBuffer,
+ *   doorToDoorOverrides, description }
+ * @returns {Object} Matrix in the matrix.json shape
+ */
+function buildMatrixFromFlights(flights, airports, options = {}) {
+    const config = resolveConfig(options.config);
+    const { slices, periods } = aggregateFlights(flights, airports, { config });
+
+    const result = buildMatrix(slices.all || {}, airports, {
+        config,
+        days: options.days ?? countDays(periods.all)
+    });
+    if (options.driving !== false) {
+        applyDriving(result, buildDriveMatrix(airports, options.driveTimes));
+    }
+    const doorToDoor = buildDoorToDoor(airports, {
+        arrivalBuffer: options.arrivalBuffer,
+        overrides: options.doorToDoorOverrides
+    });
+
+    return createOutput(
+        result,
+        airports,
+        options.description || 'Travel time matrix from BTS On-Time Performance data (minutes)',
+        doorToDoor,
+        config
+    );
+}
+
+module.exports = {
+    ARRIVAL_BUFFER_MIN,
+    CARRIER_NAMES,
+    DEFAULT_ALLIANCES,
+    SEASONS,
+    connectionSlack,
+    getSliceIds,
+    getNetworkIds,
+    describeSlice,
+    createRouteAggregate,
+    addFlight,
+    recordFlight,
+    aggregateFlights,
+    mergeFlightData,
+    mergePeriods,
+    countDays,
+    calculateFrequencyWait,
+    calculateAverageTime,
+    calculateRouteStats,
+    calculateReliability,
+    calculateMissedConnectionRisk,
+    computeShortestPaths,
+    greatCircleMiles,
+    estimateFlightTime,
+    buildDriveMatrix,
+    applyDriving,
+    buildMatrix,
+    buildDoorToDoor,
+    doorToDoorTime,
+    createOutput,
+    buildMatrixFromFlights
+};
@@ -0,0 +1,210 @@
+/**
+ * Binary Matrix Format
+ *
+ * A compact alternative to matrix.json for the browser to load:
+ *
+ *   bytes 0-3   Magic "APFM"
+ *   bytes 4-7   Header length in bytes (uint32, little-endian)
+ *   header      UTF-8 JSON, padded with spaces to a multiple of 4 bytes
+ *   sections    Packed arrays, each starting on a 4-byte boundary
+ *
+ * The header holds every field of matrix.json except the NxN arrays, plus a
+ * `sections` list of { name, type, offset, byteLength } (offsets relative to
+ * the end of the header). Section types:
+ * - uint16: row-major minutes, rounded; 65535 means no route (null)
+ * - uint8:  row-major small counts (legs); 255 means null
+ * - bitset: row-major booleans, cell k is bit (k % 8) of byte floor(k / 8)
+ *
+ * js/data/dataLoader.js decodes the same layout in the browser.
+ *
+ * Usage (convert a JSON matrix):
+ *   node matrix-format.js [input.json] [output.bin]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAGIC = 'APFM';
+const FORMAT_VERSION = 1;
+const NO_VALUE = { uint16: 0xFFFF, uint8: 0xFF };
+
+// NxN fields and how they are packed
+const SECTION_TYPES = {
+    matrix: 'uint16',
+    effectiveMatrix: 'uint16',
+    directFlights: 'bitset',
+    legs: 'uint8',
+    driving: 'bitset',
+    effectiveDriving: 'bitset',
+    driveMatrix: 'uint16'
+};
+
+const align4 = (n) => Math.ceil(n / 4) * 4;
+
+/**
+ * Pack an NxN array into a buffer
+ */
+function packSection(rows, type, n) {
+    if (type === 'bitset') {
+        const buffer = Buffer.alloc(Math.ceil(n * n / 8));
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                const k = i * n + j;
+                if (rows[i][j]) buffer[k >> 3] |= 1 << (k & 7);
+            }
+        }
+        return buffer;
+    }
+
+    const size = type === 'uint16' ? 2 : 1;
+    const max = NO_VALUE[type] - 1;
+    const buffer = Buffer.alloc(n * n * size);
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            const value = rows[i][j];
+            const packed = value === null || value === undefined
+                ? NO_VALUE[type]
+                : Math.min(max, Math.max(0, Math.round(value)));
+            if (size === 2) buffer.writeUInt16LE(packed, (i * n + j) * 2);
+            else buffer[i * n + j] = packed;
+        }
+    }
+    return buffer;
+}
+
+/**
+ * Unpack a section back into an NxN array
+ */
+function unpackSection(buffer, type, n) {
+    const rows = [];
+    for (let i = 0; i < n; i++) {
+        const row = new Array(n);
+        for (let j = 0; j < n; j++) {
+            const k = i * n + j;
+            if (type === 'bitset') {
+                row[j] = (buffer[k >> 3] & (1 << (k & 7))) !== 0;
+            } else {
+                const value = type === 'uint16' ? buffer.readUInt16LE(k * 2) : buffer[k];
+                row[j] = value === NO_VALUE[type] ? null : value;
+            }
+        }
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Encode a matrix object (the matrix.json shape) in the binary format
+ * @param {Object} output - Matrix object with airports and NxN arrays
+ * @returns {Buffer}
+ */
+function encodeMatrix(output) {
+    const n = output.airports.length;
+    const header = {};
+    const sections = [];
+    const buffers = [];
+    let offset = 0;
+
+    for (const [key, value] of Object.entries(output)) {
+        if (!SECTION_TYPES[key]) {
+            header[key] = value;
+            continue;
+        }
+        if (!value) continue;
+
+        const buffer = packSection(value, SECTION_TYPES[key], n);
+        sections.push({ name: key, type: SECTION_TYPES[key], offset, byteLength: buffer.length });
+        buffers.push(buffer, Buffer.alloc(align4(buffer.length) - buffer.length));
+        offset += align4(buffer.length);
+    }
+
+    header.format = { version: FORMAT_VERSION, sections };
+
+    let headerBytes = Buffer.from(JSON.stringify(header), 'utf8');
+    headerBytes = Buffer.concat([headerBytes, Buffer.alloc(align4(headerBytes.length) - headerBytes.length, ' ')]);
+
+    const prefix = Buffer.alloc(8);
+    prefix.write(MAGIC, 0, 'ascii');
+    prefix.writeUInt32LE(headerBytes.length, 4);
+
+    return Buffer.concat([prefix, headerBytes, ...buffers]);
+}
+
+/**
+ * Check whether a buffer holds a binary matrix
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function isBinaryMatrix(buffer) {
+    return buffer.length >= 8 && buffer.toString('ascii', 0, 4) === MAGIC;
+}
+
+/**
+ * Decode a binary matrix into the matrix.json shape
+ * @param {Buffer} buffer
+ * @returns {Object}
+ */
+function decodeMatrix(buffer) {
+    if (!isBinaryMatrix(buffer)) throw new Error('Not a binary matrix file');
+
+    const headerLength = buffer.readUInt32LE(4);
+    const header = JSON.parse(buffer.toString('utf8', 8, 8 + headerLength));
+    const { version, sections } = header.format;
+    if (version !== FORMAT_VERSION) throw new Error(`Unsupported binary matrix version: ${version}`);
+
+    const n = header.airports.length;
+    const dataStart = 8 + headerLength;
+    const output = { ...header };
+    delete output.format;
+
+    for (const section of sections) {
+        const start = dataStart + section.offset;
+        output[section.name] = unpackSection(buffer.subarray(start, start + section.byteLength), section.type, n);
+    }
+
+    return output;
+}
+
+/**
+ * Read a matrix file in either format
+ * @param {string} filePath - .json or binary matrix
+ * @returns {Object} Matrix in the matrix.json shape
+ */
+function readMatrixFile(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    return isBinaryMatrix(buffer) ? decodeMatrix(buffer) : JSON.parse(buffer.toString('utf8'));
+}
+
+/**
+ * Write a matrix in the binary format
+ * @param {string} filePath - Output path
+ * @param {Object} output - Matrix in the matrix.json shape
+ * @returns {number} Bytes written
+ */
+function writeMatrixBinary(filePath, output) {
+    const buffer = encodeMatrix(output);
+    fs.writeFileSync(filePath, buffer);
+    return buffer.length;
+}
+
+module.exports = {
+    encodeMatrix,
+    decodeMatrix,
+    isBinaryMatrix,
+    readMatrixFile,
+    writeMatrixBinary
+};
+
+// Convert a JSON matrix when run directly
+if (require.main === module) {
+    const inputPath = path.resolve(process.argv[2] || path.join(__dirname, '../../data/matrix.json'));
+    const outputPath = path.resolve(process.argv[3] || inputPath.replace(/\.json$/, '') + '.bin');
+
+    const output = readMatrixFile(inputPath);
+    const bytes = writeMatrixBinary(outputPath, output);
+    const jsonBytes = fs.statSync(inputPath).size;
+
+    console.log(`Packed ${inputPath}`);
+    console.log(`  -> ${outputPath}`);
+    console.log(`  ${(jsonBytes / 1024).toFixed(0)} KB -> ${(bytes / 1024).toFixed(0)} KB`);
+}
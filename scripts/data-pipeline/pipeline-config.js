@@ -0,0 +1,137 @@
+/**
+ * Pipeline Configuration
+ *
+ * Loads the settings shared by the data pipeline scripts from
+ * pipeline.config.json, then applies a variant file (--config <file>, merged
+ * over the defaults) and command line flags:
+ *
+ *   --config <file>        JSON file with any subset of pipeline.config.json
+ *   --airports <file>      Airports list (read, or written by fetch-airports)
+ *   --out <file>           Output file of the script
+ *   --min-flights <n>      Flights a route needs to count as direct
+ *   --layover <min>        Average layover per connection
+ *   --min-connect <list>   Per-hub minimum connect times, e.g. ATL=40,ORD=50
+ *
+ * Paths in config files are relative to the repository root.
+ *
+ * Connection settings (for BTS data in `connections`, for the simulated matrix
+ * in `simulated`):
+ * - groundTime: minutes added to every trip
+ * - minLayover: minimum connect time at hubs without their own entry
+ * - avgLayover: layover cost per connection at those hubs
+ * - minConnectTimes: hub code -> minimum connect time. A hub's layover cost
+ *   keeps the same buffer over its minimum, so a 40 minute minimum at ATL
+ *   makes connections there cost 40 + (avgLayover - minLayover) minutes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'pipeline.config.json');
+
+/**
+ * Merge a variant config over the defaults (objects merge, everything else replaces)
+ */
+function mergeConfig(base, overrides) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(overrides)) {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        merged[key] = isObject && base[key] ? mergeConfig(base[key], value) : value;
+    }
+    return merged;
+}
+
+/**
+ * Parse a --min-connect list ("ATL=40,ORD=50")
+ * @returns {Object} Hub code -> minutes
+ */
+function parseMinConnectTimes(list) {
+    const times = {};
+    for (const entry of list.split(',')) {
+        const [code, minutes] = entry.split('=');
+        if (!code || isNaN(parseFloat(minutes))) {
+            throw new Error(`Invalid --min-connect entry "${entry}" (expected CODE=minutes)`);
+        }
+        times[code.trim().toUpperCase()] = parseFloat(minutes);
+    }
+    return times;
+}
+
+/**
+ * Load the pipeline configuration and apply command line overrides
+ * @param {string[]} argv - Command line arguments (process.argv.slice(2))
+ * @param {Object} options - { out: config.paths key that --out sets (default 'matrix'),
+ *   connections: config section that --layover and --min-connect change (default 'connections') }
+ * @returns {Object} { config, argv: the arguments not used by the config }
+ */
+function loadPipelineConfig(argv, options = {}) {
+    const outKey = options.out || 'matrix';
+    const section = options.connections || 'connections';
+
+    let config = JSON.parse(fs.readFileSync(DEFAULT_CONFIG_PATH, 'utf8'));
+    const flags = {};
+    const rest = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--config') {
+            const variantPath = path.resolve(argv[++i]);
+            config = mergeConfig(config, JSON.parse(fs.readFileSync(variantPath, 'utf8')));
+            console.log(`Using pipeline config from ${variantPath}`);
+        } else if (argv[i] === '--airports') {
+            flags.airports = path.resolve(argv[++i]);
+        } else if (argv[i] === '--out') {
+            flags.out = path.resolve(argv[++i]);
+        } else if (argv[i] === '--min-flights') {
+            flags.minFlights = parseInt(argv[++i], 10);
+        } else if (argv[i] === '--layover') {
+            flags.layover = parseFloat(argv[++i]);
+        } else if (argv[i] === '--min-connect') {
+            flags.minConnect = parseMinConnectTimes(argv[++i]);
+        } else {
+            rest.push(argv[i]);
+        }
+    }
+
+    // Resolve config paths against the repository root; flags are relative to the working directory
+    const paths = {};
+    for (const [key, value] of Object.entries(config.paths)) {
+        paths[key] = path.resolve(ROOT_DIR, value);
+    }
+    if (flags.airports) paths.airports = flags.airports;
+    if (flags.out) {
+        paths[outKey] = flags.out;
+        // Keep the slices of a matrix written elsewhere next to it
+        if (outKey === 'matrix') paths.slices = path.join(path.dirname(flags.out), 'slices');
+    }
+    config.paths = paths;
+
+    if (flags.minFlights !== undefined) config.routes.minFlightsForDirect = flags.minFlights;
+    if (flags.layover !== undefined) config[section].avgLayover = flags.layover;
+    if (flags.minConnect) {
+        config[section].minConnectTimes = { ...config[section].minConnectTimes, ...flags.minConnect };
+    }
+
+    return { config, argv: rest };
+}
+
+/**
+ * Get the layover cost of connecting at a hub
+ * @param {Object} connections - Connection settings (config.connections or config.simulated)
+ * @param {string} code - Hub airport code
+ * @returns {number} Minutes
+ */
+function layoverAt(connections, code) {
+    const minConnect = connections.minConnectTimes[code];
+    if (minConnect === undefined) return connections.avgLayover;
+    return minConnect + connections.avgLayover - connections.minLayover;
+}
+
+/**
+ * Describe a path relative to the repository root (for messages and slice indexes)
+ */
+function repoPath(filePath) {
+    return path.relative(ROOT_DIR, filePath).split(path.sep).join('/');
+}
+
+module.exports = { loadPipelineConfig, layoverAt, repoPath, ROOT_DIR };
@@ -11,289 +11,434 @@
  * - Dest: Destination airport code
  * - ActualElapsedTime: Actual flight time in minutes
  * - Cancelled: Whether flight was cancelled (1 = yes)
+ * - DepDelay, ArrDelay: Delays in minutes (optional, used by the effective matrix)
+ *
+ * Alongside the scheduled matrix, an "effective" matrix folds in average
+ * departure delay, the chance of a cancellation (with a rebooking penalty)
+ * and the risk of missing a connection at each hub.
+ *
+ * Both matrices include the expected wait for a departure: each route's daily
+ * frequency is derived from its flight count and the number of days covered,
+ * and half the headway between flights (capped) is added to every leg.
+ *
+ * Files are streamed row by row (plain .csv or the .zip archives BTS serves)
+ * and processed in parallel across worker threads.
+ *
+ * When the data has Month/FlightDate columns, one matrix per month is also
+ * written to data/slices/ (plus optional season and weekday/weekend slices),
+ * listed in data/slices/index.json.
+ *
+ * For nearby airports, driving competes with flying: the drive time is the
+ * great-circle distance times a road circuity factor at an average speed (or
+ * a value from a --drive-times table). Each cell holds the faster of the two,
+ * with `driving` / `effectiveDriving` flags marking cells where the car won and
+ * `driveMatrix` holding the drive times. Carrier networks stay flights-only.
+ *
+ * Every matrix also carries the door-to-door parameters for each airport: the
+ * time to get through the origin airport (larger hubs take longer) and a
+ * buffer for leaving the destination airport. They only apply at the ends of a
+ * trip, so they don't change which itinerary is fastest.
+ *
+ * The full-period matrix is written as data/matrix.json and, for the browser,
+ * in the compact binary format as data/matrix.bin (see matrix-format.js).
+ * Slices are written in the binary format only.
+ *
+ * When the data has a Reporting_Airline column, a matrix per carrier and per
+ * alliance is written to data/slices/ as well. Connections in those matrices
+ * only use flights of that carrier (or of the alliance's member carriers).
+ *
+ * With --t100, BTS T-100 segment files add seats and passengers (see
+ * t100-data.js): airports take their hub size from passenger boardings instead
+ * of flight counts, and the full-period matrix gets `airportTraffic` (per
+ * airport passengers, seats, departures and hub size) and `routeCapacity` (per
+ * route seats, passengers, average seats per departure and load factor).
+ *
+ * Settings shared with the other pipeline scripts (layovers, per-hub minimum
+ * connect times, the direct route threshold, file locations) come from
+ * pipeline.config.json and can be overridden per run; see pipeline-config.js.
+ *
+ * This script reads the files and writes the results; the travel time model
+ * itself lives in matrix-builder.js, which other tools can use in-process.
  *
  * Usage:
- *   node process-bts-data.js <path-to-bts-csv-file-or-directory>
+ *   node process-bts-data.js <csv-zip-or-directory> [more paths...] [--alliances <file.json>]
+ *     [--t100 <csv-zip-or-directory>]... [--config <file.json>] [--min-flights <n>]
+ *     [--layover <min>] [--out <file.json>]
  *
  * Examples:
  *   node process-bts-data.js ../raw-data/bts-2024.csv
- *   node process-bts-data.js ../raw-data/   (processes all CSV files in directory)
+ *   node process-bts-data.js ../raw-data/bts-2024.csv --t100 ../raw-data/t100/
+ *   node process-bts-data.js ../raw-data/2024_01.zip ../raw-data/2024_02.zip
+ *   node process-bts-data.js ../raw-data/   (processes all CSV and ZIP files in directory)
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-
-// Configuration
-const GROUND_TIME_MIN = 0;         // BTS elapsed time is already gate-to-gate
-const MIN_LAYOVER_MIN = 60;        // Minimum connection time
-const AVG_LAYOVER_MIN = 90;        // Average layover time for connections
-const MIN_FLIGHTS_FOR_DIRECT = 10; // Minimum flights per month to count as "direct route"
-
-// Load airports data
-const airportsPath = path.join(__dirname, '../../data/airports.json');
-const airports = JSON.parse(fs.readFileSync(airportsPath, 'utf8'));
-const airportCodes = new Set(airports.map(a => a.code));
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { streamRows, findColumn, findAnyColumn, collectInputFiles } = require('./bts-reader');
+const { writeMatrixBinary } = require('./matrix-format');
+const { loadPipelineConfig, repoPath } = require('./pipeline-config');
+const {
+    ARRIVAL_BUFFER_MIN,
+    DEFAULT_ALLIANCES,
+    connectionSlack,
+    describeSlice,
+    recordFlight,
+    mergeFlightData,
+    mergePeriods,
+    countDays,
+    buildDriveMatrix,
+    applyDriving,
+    buildMatrix,
+    buildDoorToDoor,
+    doorToDoorTime,
+    createOutput
+} = require('./matrix-builder');
+const {
+    createCapacity,
+    recordSegment,
+    summarizeCapacity,
+    applyTrafficHubs
+} = require('./t100-data');
+
+// Configuration (pipeline.config.json plus command line overrides).
+// Worker threads get the settings the main thread resolved.
+const { config, argv: cliArgs } = isMainThread
+    ? loadPipelineConfig(process.argv.slice(2))
+    : { config: workerData.config, argv: [] };
+
+// Output locations
+const OUTPUT_PATH = config.paths.matrix;
+const BINARY_OUTPUT_PATH = OUTPUT_PATH.replace(/\.json$/, '') + '.bin';
+const SLICES_DIR = config.paths.slices;
 
 /**
- * Parse a CSV line handling quoted fields
+ * Process a single BTS .csv or .zip file
+ * @param {string} filePath - Path to the file
+ * @param {Set<string>} airportCodes - Airports to keep flights between
+ * @param {Object} options - Slice options { seasons, dayTypes, alliances }
+ * @param {Function} onProgress - Called with (bytesRead, totalBytes)
+ * @returns {Promise<Object>} { slices, periods, processedCount, skippedCount, error }
  */
-function parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-
-    for (const char of line) {
-        if (char === '"') {
-            inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-            result.push(current.trim());
-            current = '';
-        } else {
-            current += char;
-        }
-    }
-    result.push(current.trim());
-    return result;
-}
-
-/**
- * Process a single BTS CSV file
- */
-function processCSVFile(filePath, flightData) {
-    console.log(`Processing: ${path.basename(filePath)}`);
-
-    const content = fs.readFileSync(filePath, 'utf8');
-    const lines = content.split('\n');
-
-    if (lines.length < 2) {
-        console.log('  Skipping empty file');
-        return;
-    }
-
-    // Parse header to find column indices
-    const header = parseCSVLine(lines[0]);
-    const originIdx = header.findIndex(h => h.toUpperCase() === 'ORIGIN');
-    const destIdx = header.findIndex(h => h.toUpperCase() === 'DEST');
-    const elapsedIdx = header.findIndex(h => h.toUpperCase() === 'ACTUAL_ELAPSED_TIME');
-    const cancelledIdx = header.findIndex(h => h.toUpperCase() === 'CANCELLED');
-
-    if (originIdx === -1 || destIdx === -1 || elapsedIdx === -1) {
-        console.log('  Error: Missing required columns (Origin, Dest, ActualElapsedTime)');
-        console.log('  Found columns:', header.join(', '));
-        return;
-    }
-
+async function processFile(filePath, airportCodes, options, onProgress) {
+    // Slice id -> route aggregates, and slice id -> { dates, months } seen, for daily frequencies
+    const aggregates = { slices: {}, periods: {} };
+    const sliceOptions = { ...options, slack: connectionSlack(config.connections) };
+    let columns = null;
+    let error = null;
     let processedCount = 0;
     let skippedCount = 0;
 
-    // Process each flight record
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-
-        const fields = parseCSVLine(line);
-        const origin = fields[originIdx];
-        const dest = fields[destIdx];
-        const elapsedTime = parseFloat(fields[elapsedIdx]);
-        const cancelled = cancelledIdx >= 0 ? fields[cancelledIdx] === '1' : false;
-
-        // Skip if cancelled or missing data
-        if (cancelled || isNaN(elapsedTime) || elapsedTime <= 0) {
-            skippedCount++;
-            continue;
-        }
-
-        // Skip if airports not in our list
-        if (!airportCodes.has(origin) || !airportCodes.has(dest)) {
-            skippedCount++;
-            continue;
-        }
-
-        // Record the flight time
-        const key = `${origin}-${dest}`;
-        if (!flightData[key]) {
-            flightData[key] = { times: [], count: 0 };
-        }
-        flightData[key].times.push(elapsedTime);
-        flightData[key].count++;
-        processedCount++;
-    }
+    await streamRows(filePath, {
+        onHeader(header) {
+            columns = {
+                origin: findColumn(header, 'Origin'),
+                dest: findColumn(header, 'Dest'),
+                elapsed: findColumn(header, 'ActualElapsedTime'),
+                cancelled: findColumn(header, 'Cancelled'),
+                depDelay: findColumn(header, 'DepDelay'),
+                arrDelay: findColumn(header, 'ArrDelay'),
+                year: findColumn(header, 'Year'),
+                month: findColumn(header, 'Month'),
+                dayOfWeek: findColumn(header, 'DayOfWeek'),
+                flightDate: findColumn(header, 'FlightDate'),
+                carrier: findAnyColumn(header, ['Reporting_Airline', 'OP_UNIQUE_CARRIER', 'Carrier'])
+            };
+
+            if (columns.origin === -1 || columns.dest === -1 || columns.elapsed === -1) {
+                error = 'Missing required columns (Origin, Dest, ActualElapsedTime). ' +
+                    `Found columns: ${header.join(', ')}`;
+            }
+        },
+
+        onRow(fields) {
+            if (error) return;
+
+            const flight = {
+                origin: fields[columns.origin],
+                dest: fields[columns.dest],
+                elapsedTime: parseFloat(fields[columns.elapsed]),
+                cancelled: columns.cancelled >= 0 ? parseFloat(fields[columns.cancelled]) === 1 : false,
+                depDelay: columns.depDelay >= 0 ? parseFloat(fields[columns.depDelay]) : NaN,
+                arrDelay: columns.arrDelay >= 0 ? parseFloat(fields[columns.arrDelay]) : NaN,
+                year: columns.year >= 0 ? fields[columns.year] : '',
+                month: columns.month >= 0 ? parseInt(fields[columns.month], 10) : NaN,
+                dayOfWeek: columns.dayOfWeek >= 0 ? parseInt(fields[columns.dayOfWeek], 10) : NaN,
+                flightDate: columns.flightDate >= 0 ? fields[columns.flightDate] : '',
+                carrier: columns.carrier >= 0 ? fields[columns.carrier].trim() : ''
+            };
+
+            if (recordFlight(aggregates, flight, airportCodes, sliceOptions) === 'processed') {
+                processedCount++;
+            } else {
+                skippedCount++;
+            }
+        },
+        onProgress
+    });
 
-    console.log(`  Processed ${processedCount} flights, skipped ${skippedCount}`);
+    return { ...aggregates, processedCount, skippedCount, error };
 }
 
 /**
- * Calculate average flight time for a route
+ * Worker thread entry point
+ * Processes files sent by the main thread and posts back route aggregates.
  */
-function calculateAverageTime(times) {
-    if (times.length === 0) return null;
-
-    // Remove outliers (beyond 2 standard deviations)
-    const mean = times.reduce((a, b) => a + b, 0) / times.length;
-    const stdDev = Math.sqrt(times.reduce((sum, t) => sum + (t - mean) ** 2, 0) / times.length);
-
-    const filtered = times.filter(t => Math.abs(t - mean) <= 2 * stdDev);
-
-    if (filtered.length === 0) return Math.round(mean);
-
-    return Math.round(filtered.reduce((a, b) => a + b, 0) / filtered.length);
+function runWorker() {
+    const airportCodes = new Set(workerData.airportCodes);
+    let lastReported = 0;
+
+    parentPort.on('message', async ({ filePath, options }) => {
+        try {
+            const result = await processFile(filePath, airportCodes, options, (bytesRead, totalBytes) => {
+                // Throttle progress messages to roughly one per second
+                const now = Date.now();
+                if (now - lastReported >= 1000) {
+                    lastReported = now;
+                    parentPort.postMessage({ type: 'progress', filePath, bytesRead, totalBytes });
+                }
+            });
+            parentPort.postMessage({ type: 'done', filePath, ...result });
+        } catch (err) {
+            parentPort.postMessage({ type: 'done', filePath, slices: {}, periods: {}, error: err.message });
+        }
+    });
 }
 
 /**
- * Find best connection between two airports through a hub
+ * Process files in parallel across worker threads
+ * Every file is processed even after one fails, so all errors are reported;
+ * the promise then rejects instead of building a matrix from partial data.
+ * A worker that crashes or exits early stops the whole pool.
+ * @param {string[]} files - Paths of .csv/.zip files
+ * @param {string[]} airportCodes - Airports to keep flights between
+ * @param {Object} flightData - Slice aggregates to merge results into
+ * @param {Object} periodData - Slice periods to merge results into
+ * @param {Object} options - Slice options { seasons, dayTypes, alliances }
+ * @returns {Promise<void>}
  */
-function findBestConnection(originCode, destCode, directFlightTimes) {
-    let bestTime = Infinity;
-    let bestHub = null;
-
-    // Try each large hub as a potential connection point
-    const largeHubs = airports.filter(a => a.hub === 'large');
-
-    for (const hub of largeHubs) {
-        if (hub.code === originCode || hub.code === destCode) continue;
-
-        const leg1Key = `${originCode}-${hub.code}`;
-        const leg2Key = `${hub.code}-${destCode}`;
-
-        const leg1Time = directFlightTimes[leg1Key];
-        const leg2Time = directFlightTimes[leg2Key];
-
-        if (leg1Time && leg2Time) {
-            const totalTime = leg1Time + leg2Time + AVG_LAYOVER_MIN;
-            if (totalTime < bestTime) {
-                bestTime = totalTime;
-                bestHub = hub.code;
-            }
-        }
-    }
-
-    // Also try medium hubs
-    const mediumHubs = airports.filter(a => a.hub === 'medium');
-
-    for (const hub of mediumHubs) {
-        if (hub.code === originCode || hub.code === destCode) continue;
+function processFilesInParallel(files, airportCodes, flightData, periodData, options) {
+    const workerCount = Math.max(1, Math.min(files.length, os.cpus().length));
+    const queue = [...files];
+    const startTime = Date.now();
+
+    console.log(`Processing ${files.length} file(s) with ${workerCount} worker thread(s)\n`);
+
+    return new Promise((resolve, reject) => {
+        let active = workerCount;
+        let stopped = false;
+        const workers = [];
+        const failedFiles = [];
+
+        const fail = (error) => {
+            if (stopped) return;
+            stopped = true;
+            for (const worker of workers) worker.terminate();
+            reject(error);
+        };
+
+        for (let w = 0; w < workerCount; w++) {
+            const worker = new Worker(__filename, { workerData: { config, airportCodes } });
+            let finished = false; // Out of files, so exiting is expected
+            workers.push(worker);
+
+            const next = () => {
+                if (stopped) return;
+                const filePath = queue.shift();
+                if (filePath) {
+                    worker.postMessage({ filePath, options });
+                } else {
+                    finished = true;
+                    worker.terminate();
+                    if (--active > 0) return;
+                    if (failedFiles.length > 0) {
+                        reject(new Error(`Failed to process ${failedFiles.length} of ${files.length} file(s): ` +
+                            failedFiles.join(', ')));
+                    } else {
+                        resolve();
+                    }
+                }
+            };
 
-        const leg1Key = `${originCode}-${hub.code}`;
-        const leg2Key = `${hub.code}-${destCode}`;
+            worker.on('message', (message) => {
+                const name = path.basename(message.filePath);
 
-        const leg1Time = directFlightTimes[leg1Key];
-        const leg2Time = directFlightTimes[leg2Key];
+                if (message.type === 'progress') {
+                    const percent = Math.round((message.bytesRead / message.totalBytes) * 100);
+                    const elapsed = Math.round((Date.now() - startTime) / 1000);
+                    console.log(`  ${name}: ${percent}% (${elapsed}s elapsed)`);
+                    return;
+                }
 
-        if (leg1Time && leg2Time) {
-            const totalTime = leg1Time + leg2Time + AVG_LAYOVER_MIN;
-            if (totalTime < bestTime) {
-                bestTime = totalTime;
-                bestHub = hub.code;
-            }
+                if (message.error) {
+                    console.error(`  ${name}: Error: ${message.error}`);
+                    failedFiles.push(name);
+                } else {
+                    mergeFlightData(flightData, message.slices);
+                    mergePeriods(periodData, message.periods);
+                    console.log(`  ${name}: processed ${message.processedCount} flights, skipped ${message.skippedCount}`);
+                }
+                next();
+            });
+
+            worker.on('error', fail);
+            worker.on('exit', (code) => {
+                if (!finished) fail(new Error(`Worker thread exited with code ${code} before finishing its files`));
+            });
+            next();
         }
-    }
-
-    return { time: bestTime === Infinity ? null : bestTime, hub: bestHub };
+    });
 }
 
 /**
- * Estimate flight time based on distance (fallback for missing routes)
+ * Read T-100 segment files into a capacity aggregate
+ * The files are monthly summaries, small enough to read on the main thread.
+ * @param {string[]} files - Paths of .csv/.zip files
+ * @param {Set<string>} airportCodes - Airports to keep
+ * @returns {Promise<Object>} Capacity aggregate (see t100-data.js)
  */
-function estimateFlightTime(airport1, airport2) {
-    const toRad = (deg) => deg * Math.PI / 180;
-    const R = 3959; // Earth radius in miles
-
-    const dLat = toRad(airport2.lat - airport1.lat);
-    const dLon = toRad(airport2.lon - airport1.lon);
-
-    const a = Math.sin(dLat / 2) ** 2 +
-              Math.cos(toRad(airport1.lat)) * Math.cos(toRad(airport2.lat)) *
-              Math.sin(dLon / 2) ** 2;
+async function readT100Files(files, airportCodes) {
+    const capacity = createCapacity();
+
+    for (const filePath of files) {
+        let columns = null;
+        let processedCount = 0;
+
+        await streamRows(filePath, {
+            onHeader(header) {
+                columns = {
+                    origin: findColumn(header, 'Origin'),
+                    dest: findColumn(header, 'Dest'),
+                    departures: findColumn(header, 'DeparturesPerformed'),
+                    seats: findColumn(header, 'Seats'),
+                    passengers: findColumn(header, 'Passengers'),
+                    serviceClass: findColumn(header, 'Class'),
+                    year: findColumn(header, 'Year'),
+                    month: findColumn(header, 'Month')
+                };
+
+                if (columns.origin === -1 || columns.dest === -1 || columns.seats === -1 || columns.passengers === -1) {
+                    throw new Error(`${filePath} is missing T-100 columns (Origin, Dest, Seats, Passengers). ` +
+                        `Found columns: ${header.join(', ')}`);
+                }
+            },
+
+            onRow(fields) {
+                const segment = {
+                    origin: fields[columns.origin],
+                    dest: fields[columns.dest],
+                    departures: columns.departures >= 0 ? parseFloat(fields[columns.departures]) : NaN,
+                    seats: parseFloat(fields[columns.seats]),
+                    passengers: parseFloat(fields[columns.passengers]),
+                    serviceClass: columns.serviceClass >= 0 ? fields[columns.serviceClass].trim() : '',
+                    year: columns.year >= 0 ? parseInt(fields[columns.year], 10) : NaN,
+                    month: columns.month >= 0 ? parseInt(fields[columns.month], 10) : NaN
+                };
+
+                if (recordSegment(capacity, segment, airportCodes) === 'processed') processedCount++;
+            }
+        });
 
-    const distance = 2 * R * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+        console.log(`  ${path.basename(filePath)}: ${processedCount.toLocaleString()} route segments`);
+    }
 
-    // Estimate: ~500 mph cruise + 30 min for takeoff/landing
-    return Math.round((distance / 500) * 60 + 30);
+    return capacity;
 }
 
 /**
- * Build the travel time matrix
+ * Log the route counts of a matrix built by buildMatrix
+ * @param {Object} result - Output of buildMatrix
+ * @param {Object} options - The options buildMatrix was called with
  */
-function buildMatrix(flightData) {
-    const n = airports.length;
-    const matrix = [];
-    const directFlights = [];
-
-    // First, calculate average direct flight times
-    const directFlightTimes = {};
-    const directFlightCounts = {};
-
-    for (const [key, data] of Object.entries(flightData)) {
-        const avgTime = calculateAverageTime(data.times);
-        if (avgTime && data.count >= MIN_FLIGHTS_FOR_DIRECT) {
-            directFlightTimes[key] = avgTime;
-            directFlightCounts[key] = data.count;
-        }
-    }
-
-    console.log(`\nFound ${Object.keys(directFlightTimes).length} direct routes with sufficient data`);
-
-    // Build the matrices
-    let directCount = 0;
-    let connectionCount = 0;
-    let estimatedCount = 0;
-
-    for (let i = 0; i < n; i++) {
-        matrix[i] = [];
-        directFlights[i] = [];
+function logRouteBreakdown(result, options) {
+    const { summary } = result;
 
-        for (let j = 0; j < n; j++) {
-            if (i === j) {
-                matrix[i][j] = 0;
-                directFlights[i][j] = true;
-                continue;
-            }
-
-            const key = `${airports[i].code}-${airports[j].code}`;
-            const directTime = directFlightTimes[key];
-
-            if (directTime) {
-                // Direct flight exists
-                matrix[i][j] = directTime + GROUND_TIME_MIN;
-                directFlights[i][j] = true;
-                directCount++;
-            } else {
-                // Try to find a connection
-                const connection = findBestConnection(airports[i].code, airports[j].code, directFlightTimes);
-
-                if (connection.time) {
-                    matrix[i][j] = connection.time + GROUND_TIME_MIN;
-                    directFlights[i][j] = false;
-                    connectionCount++;
-                } else {
-                    // Estimate based on distance
-                    const estimated = estimateFlightTime(airports[i], airports[j]);
-                    matrix[i][j] = estimated + GROUND_TIME_MIN + AVG_LAYOVER_MIN;
-                    directFlights[i][j] = false;
-                    estimatedCount++;
-                }
-            }
-        }
+    if (!options.days) {
+        console.log('No FlightDate or Month column: skipping service frequency waits');
     }
 
+    console.log(`\nFound ${summary.directRoutes} direct routes with sufficient data`);
     console.log(`\nRoute breakdown:`);
-    console.log(`  Direct flights: ${directCount}`);
-    console.log(`  Connections: ${connectionCount}`);
-    console.log(`  Estimated (no data): ${estimatedCount}`);
-
-    return { matrix, directFlights };
+    console.log(`  Direct flights: ${summary.direct}`);
+    for (const [stops, count] of Object.entries(summary.connections)) {
+        console.log(`  ${stops}-stop connections: ${count}`);
+    }
+    if (options.estimateMissing !== false) {
+        console.log(`  Estimated (no data): ${summary.estimated}`);
+    } else {
+        console.log(`  Not served: ${summary.unreachable}`);
+    }
 }
 
 /**
  * Main execution
  */
-function main() {
-    const args = process.argv.slice(2);
+async function main() {
+    const argv = cliArgs;
+    const args = [];
+    const options = {
+        seasons: false,
+        dayTypes: false,
+        alliances: DEFAULT_ALLIANCES,
+        arrivalBuffer: ARRIVAL_BUFFER_MIN,
+        doorToDoorOverrides: {},
+        driveTimes: {},
+        t100: []
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--seasons') {
+            options.seasons = true;
+        } else if (argv[i] === '--day-types') {
+            options.dayTypes = true;
+        } else if (argv[i] === '--alliances') {
+            const alliancesPath = path.resolve(argv[++i]);
+            options.alliances = JSON.parse(fs.readFileSync(alliancesPath, 'utf8'));
+            console.log(`Using alliance groupings from ${alliancesPath}`);
+        } else if (argv[i] === '--drive-times') {
+            const driveTimesPath = path.resolve(argv[++i]);
+            options.driveTimes = JSON.parse(fs.readFileSync(driveTimesPath, 'utf8'));
+            console.log(`Using driving times from ${driveTimesPath}`);
+        } else if (argv[i] === '--arrival-buffer') {
+            options.arrivalBuffer = parseFloat(argv[++i]);
+        } else if (argv[i] === '--door-to-door') {
+            const overridesPath = path.resolve(argv[++i]);
+            options.doorToDoorOverrides = JSON.parse(fs.readFileSync(overridesPath, 'utf8'));
+            console.log(`Using door-to-door overrides from ${overridesPath}`);
+        } else if (argv[i] === '--t100') {
+            options.t100.push(argv[++i]);
+        } else if (!argv[i].startsWith('--')) {
+            args.push(argv[i]);
+        }
+    }
 
     if (args.length === 0) {
         console.log('BTS On-Time Performance Data Processor');
         console.log('');
-        console.log('Usage: node process-bts-data.js <path-to-csv-or-directory>');
+        console.log('Usage: node process-bts-data.js <csv-zip-or-directory> [more paths...] [options]');
+        console.log('');
+        console.log('Options:');
+        console.log('  --seasons     Also emit winter/spring/summer/fall matrices');
+        console.log('  --day-types   Also emit weekday and weekend matrices');
+        console.log('  --alliances <file.json>');
+        console.log('                Alliance groupings for the carrier networks, e.g.');
+        console.log('                { "star": { "label": "Star Alliance", "carriers": ["UA"] } }');
+        console.log('  --drive-times <file.json>');
+        console.log('                Driving minutes that replace the distance estimate, e.g.');
+        console.log('                { "SAN-LAX": 125, "BWI-DCA": 55 }');
+        console.log(`  --arrival-buffer <min>  Door-to-door time after landing (default ${ARRIVAL_BUFFER_MIN})`);
+        console.log('  --door-to-door <file.json>');
+        console.log('                Per-airport door-to-door minutes, e.g.');
+        console.log('                { "ATL": { "departure": 110, "arrival": 40 } }');
+        console.log('  --t100 <csv-zip-or-directory>');
+        console.log('                T-100 segment files: hub sizes by passengers, per-route seats');
+        console.log('  --config <file.json>    Pipeline settings over pipeline.config.json');
+        console.log(`  --min-flights <n>       Flights a route needs to count as direct (default ${config.routes.minFlightsForDirect})`);
+        console.log(`  --layover <min>         Average layover per connection (default ${config.connections.avgLayover})`);
+        console.log('  --min-connect <list>    Per-hub minimum connect times, e.g. ATL=40,ORD=50');
+        console.log(`  --airports <file.json>  Airports list (default ${repoPath(config.paths.airports)})`);
+        console.log(`  --out <file.json>       Output matrix (default ${repoPath(OUTPUT_PATH)})`);
         console.log('');
         console.log('Download data from:');
         console.log('  https://www.transtats.bts.gov/DL_SelectFields.aspx?gnoyr_VQ=FGJ');
@@ -303,52 +448,115 @@ function main() {
         console.log('  - Dest');
         console.log('  - ActualElapsedTime');
         console.log('  - Cancelled (optional but recommended)');
+        console.log('  - Month or FlightDate (optional, enables monthly matrices)');
+        console.log('  - Reporting_Airline (optional, enables per-carrier matrices)');
+        console.log('  - DepDelay, ArrDelay (optional, enables delay-aware effective times)');
         console.log('');
-        console.log('Place downloaded CSV files in: scripts/raw-data/');
+        console.log('Place downloaded CSV or ZIP files in: scripts/raw-data/');
         process.exit(1);
     }
 
-    const inputPath = path.resolve(args[0]);
-    const flightData = {};
-
-    // Check if input is a file or directory
-    const stats = fs.statSync(inputPath);
-
-    if (stats.isDirectory()) {
-        // Process all CSV files in directory
-        const files = fs.readdirSync(inputPath).filter(f => f.endsWith('.csv'));
-        console.log(`Found ${files.length} CSV files in ${inputPath}\n`);
-
-        for (const file of files) {
-            processCSVFile(path.join(inputPath, file), flightData);
-        }
-    } else if (stats.isFile()) {
-        processCSVFile(inputPath, flightData);
-    } else {
-        console.error('Invalid input path');
-        process.exit(1);
+    // Collect .csv and .zip files from every file or directory argument
+    const files = collectInputFiles(args);
+
+    let airports = JSON.parse(fs.readFileSync(config.paths.airports, 'utf8'));
+
+    // Seats and passengers, and hub sizes by passenger volume
+    let capacity = null;
+    if (options.t100.length > 0) {
+        console.log('Reading T-100 segment data...');
+        capacity = summarizeCapacity(
+            await readT100Files(collectInputFiles(options.t100), new Set(airports.map(a => a.code))),
+            airports
+        );
+        const resized = applyTrafficHubs(airports, capacity.airportTraffic);
+        const changed = resized.filter((a, i) => a.hub !== airports[i].hub).length;
+        console.log(`T-100 traffic for ${Object.keys(capacity.airportTraffic).length} airports ` +
+            `and ${Object.keys(capacity.routeCapacity).length} routes; ${changed} hub sizes changed\n`);
+        airports = resized;
     }
 
-    console.log(`\nTotal unique routes found: ${Object.keys(flightData).length}`);
-
-    // Build the matrix
-    const { matrix, directFlights } = buildMatrix(flightData);
+    const flightData = {};
+    const periodData = {};
+    await processFilesInParallel(files, airports.map(a => a.code), flightData, periodData, options);
+
+    console.log(`\nTotal unique routes found: ${Object.keys(flightData.all || {}).length}`);
+
+    // Build the full-period matrix
+    const matrixOptions = { config, days: countDays(periodData.all) };
+    const result = buildMatrix(flightData.all || {}, airports, matrixOptions);
+    logRouteBreakdown(result, matrixOptions);
+    const driveMatrix = buildDriveMatrix(airports, options.driveTimes);
+    console.log(`  Faster by car: ${applyDriving(result, driveMatrix)}`);
+    const { matrix, directFlights, legs } = result;
+    const doorToDoor = buildDoorToDoor(airports, {
+        arrivalBuffer: options.arrivalBuffer,
+        overrides: options.doorToDoorOverrides
+    });
 
     // Create output
-    const output = {
-        generated: new Date().toISOString(),
-        description: "Travel time matrix from BTS On-Time Performance data (minutes)",
-        source: "Bureau of Transportation Statistics - On-Time Performance",
-        airportCount: airports.length,
-        airports: airports.map(a => a.code),
-        matrix: matrix,
-        directFlights: directFlights
-    };
+    const output = createOutput(
+        result,
+        airports,
+        'Travel time matrix from BTS On-Time Performance data (minutes)',
+        doorToDoor,
+        config
+    );
+    if (capacity) {
+        output.airportTraffic = capacity.airportTraffic;
+        output.routeCapacity = capacity.routeCapacity;
+    }
 
     // Write to file
-    const outputPath = path.join(__dirname, '../../data/matrix.json');
-    fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
-    console.log(`\nMatrix saved to: ${outputPath}`);
+    fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+    fs.writeFileSync(OUTPUT_PATH, JSON.stringify(output, null, 2));
+    console.log(`\nMatrix saved to: ${OUTPUT_PATH}`);
+    const binaryBytes = writeMatrixBinary(BINARY_OUTPUT_PATH, output);
+    console.log(`Binary matrix saved to: ${BINARY_OUTPUT_PATH} (${(binaryBytes / 1024).toFixed(0)} KB)`);
+
+    // Build one matrix per time slice
+    const sliceIds = Object.keys(flightData).filter(id => id !== 'all').sort();
+    if (sliceIds.length > 0) {
+        fs.mkdirSync(SLICES_DIR, { recursive: true });
+        const index = { generated: output.generated, slices: [] };
+
+        for (const sliceId of sliceIds) {
+            const slice = describeSlice(sliceId, options.alliances);
+            console.log(`\n=== Slice: ${slice.label} ===`);
+
+            // Carrier networks leave pairs they cannot connect empty
+            const isNetwork = slice.type === 'carrier' || slice.type === 'alliance';
+            const sliceOptions = {
+                config,
+                estimateMissing: !isNetwork,
+                days: countDays(periodData[sliceId])
+            };
+            const result = buildMatrix(flightData[sliceId], airports, sliceOptions);
+            logRouteBreakdown(result, sliceOptions);
+            if (isNetwork && Object.keys(result.routeStats).length === 0) {
+                console.log('Skipping: no routes with sufficient data');
+                continue;
+            }
+            if (!isNetwork) console.log(`  Faster by car: ${applyDriving(result, driveMatrix)}`);
+
+            const sliceOutput = createOutput(
+                result,
+                airports,
+                `Travel time matrix for ${slice.label} from BTS On-Time Performance data (minutes)`,
+                doorToDoor,
+                config
+            );
+            sliceOutput.slice = slice;
+
+            const fileName = `${sliceId}.bin`;
+            writeMatrixBinary(path.join(SLICES_DIR, fileName), sliceOutput);
+            // Relative to index.json, so the folder works wherever it is served from
+            index.slices.push({ ...slice, file: fileName });
+        }
+
+        fs.writeFileSync(path.join(SLICES_DIR, 'index.json'), JSON.stringify(index, null, 2));
+        console.log(`\nWrote ${index.slices.length} slice matrices to: ${SLICES_DIR}`);
+    }
 
     // Print sample routes
     console.log('\nSample travel times:');
@@ -357,7 +565,8 @@ function main() {
         ['JFK', 'SFO'],
         ['ORD', 'MIA'],
         ['DFW', 'SEA'],
-        ['DEN', 'BOS']
+        ['DEN', 'BOS'],
+        ['SAN', 'LAX']
     ];
 
     for (const [from, to] of sampleRoutes) {
@@ -366,11 +575,28 @@ function main() {
         if (fromIdx >= 0 && toIdx >= 0) {
             const time = matrix[fromIdx][toIdx];
             const isDirect = directFlights[fromIdx][toIdx];
+            const hubs = result.itineraries[`${from}-${to}`];
+            const stops = legs[fromIdx][toIdx] === null
+                ? 'estimated'
+                : `${legs[fromIdx][toIdx] - 1}-stop${hubs ? ` via ${hubs.join(', ')}` : ''}`;
             const hours = Math.floor(time / 60);
             const mins = time % 60;
-            console.log(`  ${from} → ${to}: ${hours}h ${mins}m ${isDirect ? '(direct)' : '(connection)'}`);
+            if (result.driving[fromIdx][toIdx]) {
+                console.log(`  ${from} → ${to}: ${hours}h ${mins}m (drive)`);
+                continue;
+            }
+            const doorTime = doorToDoorTime(time, from, to, doorToDoor);
+            console.log(`  ${from} → ${to}: ${hours}h ${mins}m ${isDirect ? '(direct)' : `(connection, ${stops})`}, ` +
+                `${Math.floor(doorTime / 60)}h ${doorTime % 60}m door to door`);
         }
     }
 }
 
-main();
+if (!isMainThread) {
+    runWorker();
+} else if (require.main === module) {
+    main().catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
+}
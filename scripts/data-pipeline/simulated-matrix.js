@@ -0,0 +1,420 @@
+/**
+ * Simulated Travel Time Matrix
+ *
+ * The model behind generate-matrix.js, as pure functions: given the airports
+ * list, build a plausible travel time matrix from geographic distance, hub
+ * connectivity (large hubs have more direct flights) and connection penalties.
+ *
+ * Direct routes are drawn at random; pass `options.seed` for a reproducible
+ * network, or `options.random` (a function returning numbers in [0, 1)) to
+ * control the draws yourself.
+ *
+ * The network shape is selectable with `options.topology`:
+ * - realistic: direct routes by hub size (the default)
+ * - hub-and-spoke: every airport flies to its nearest large hub, and to other
+ *   large hubs with the direct route probability; large hubs are all linked
+ * - point-to-point: any pair may be linked, with the direct route probability
+ *   falling off with distance and no preference for hubs
+ * - mega-hub: every route goes through one hub (options.megaHub, default the
+ *   busiest large hub)
+ * - full: every pair has a direct flight, a baseline with no connections
+ *
+ * Except in the realistic model, connections are the fastest itineraries over
+ * the drawn routes (up to config.routes.maxStops stops).
+ *
+ * Example:
+ *   const { buildSimulatedMatrix } = require('./simulated-matrix');
+ *   const output = buildSimulatedMatrix(airports, { topology: 'hub-and-spoke', seed: 7 });
+ */
+
+const { loadPipelineConfig, layoverAt } = require('./pipeline-config');
+const { computeShortestPaths } = require('./matrix-builder');
+
+// Constants
+const EARTH_RADIUS_MILES = 3959;
+const AVG_FLIGHT_SPEED_MPH = 500;
+const SHORT_HOP_MILES = 200; // Pairs this close always have direct flights
+
+// Network shapes and the direct route probability each uses by default
+const TOPOLOGIES = {
+    'realistic': 0.95,      // Scales the hub-size table (0.95 = as listed)
+    'hub-and-spoke': 0.3,   // Chance of each extra spoke-to-hub route
+    'point-to-point': 0.4,  // Chance of a route between two nearby airports
+    'mega-hub': null,
+    'full': null
+};
+
+// Hub connectivity - probability of direct flight based on hub sizes
+const DIRECT_FLIGHT_PROBABILITY = {
+    'large-large': 0.95,
+    'large-medium': 0.85,
+    'large-small': 0.60,
+    'medium-medium': 0.50,
+    'medium-small': 0.30,
+    'small-small': 0.15
+};
+
+/**
+ * Calculate distance between two points using Haversine formula
+ */
+function haversineDistance(lat1, lon1, lat2, lon2) {
+    const toRad = (deg) => deg * Math.PI / 180;
+
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+
+    const a = Math.sin(dLat / 2) ** 2 +
+              Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+              Math.sin(dLon / 2) ** 2;
+
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+    return EARTH_RADIUS_MILES * c;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - Any integer
+ * @returns {Function} Returns numbers in [0, 1), the same sequence for the same seed
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Calculate direct flight time in minutes
+ * @param {number} cruiseSpeed - Average speed in mph
+ */
+function calculateFlightTime(distanceMiles, cruiseSpeed = AVG_FLIGHT_SPEED_MPH) {
+    // Flight time = distance / speed + 30 min for takeoff/landing
+    const airTime = (distanceMiles / cruiseSpeed) * 60 + 30;
+    return Math.round(airTime);
+}
+
+/**
+ * Determine if there's likely a direct flight between two airports
+ * @param {Function} random - Returns numbers in [0, 1)
+ * @param {number} scale - Multiplies the hub-size probabilities
+ */
+function hasDirectFlight(airport1, airport2, distance, random = Math.random, scale = 1) {
+    // Same airport
+    if (airport1.code === airport2.code) return true;
+
+    // Very short distances always have direct flights
+    if (distance < SHORT_HOP_MILES) return true;
+
+    // Very long distances (except to/from major hubs) less likely
+    if (distance > 2500 && airport1.hub !== 'large' && airport2.hub !== 'large') {
+        return random() < 0.2;
+    }
+
+    // Hawaii/Alaska special cases - only direct to large hubs
+    const remoteStates = ['HI', 'AK', 'PR'];
+    const isRemote1 = remoteStates.includes(airport1.state);
+    const isRemote2 = remoteStates.includes(airport2.state);
+
+    if (isRemote1 !== isRemote2) {
+        // One is remote, one is not
+        const mainlandAirport = isRemote1 ? airport2 : airport1;
+        if (mainlandAirport.hub !== 'large') {
+            return random() < 0.1; // Very few direct flights to small mainland airports
+        }
+    }
+
+    // Use hub-based probability
+    const hubKey = [airport1.hub, airport2.hub].sort().join('-');
+    const probability = (DIRECT_FLIGHT_PROBABILITY[hubKey] || 0.3) * scale;
+
+    // Adjust by distance (longer = less likely)
+    const distanceFactor = Math.max(0.5, 1 - (distance / 5000));
+
+    return random() < (probability * distanceFactor);
+}
+
+/**
+ * Find the best connecting hub between two airports
+ * @param {Object} connections - Connection settings (config.simulated)
+ * @param {number} cruiseSpeed - Average speed in mph
+ */
+function findBestConnection(origin, dest, airports, distanceMatrix, connections, cruiseSpeed) {
+    let bestTime = Infinity;
+    let bestHub = null;
+
+    // Major connecting hubs
+    const majorHubs = airports.filter(a => a.hub === 'large' && a.code !== origin.code && a.code !== dest.code);
+
+    for (const hub of majorHubs) {
+        const originIdx = airports.findIndex(a => a.code === origin.code);
+        const hubIdx = airports.findIndex(a => a.code === hub.code);
+        const destIdx = airports.findIndex(a => a.code === dest.code);
+
+        const leg1Distance = distanceMatrix[originIdx][hubIdx];
+        const leg2Distance = distanceMatrix[hubIdx][destIdx];
+
+        // Skip if either leg is too long (would need another connection)
+        if (leg1Distance > 2000 || leg2Distance > 2000) continue;
+
+        const leg1Time = calculateFlightTime(leg1Distance, cruiseSpeed);
+        const leg2Time = calculateFlightTime(leg2Distance, cruiseSpeed);
+        const totalTime = leg1Time + leg2Time + layoverAt(connections, hub.code);
+
+        if (totalTime < bestTime) {
+            bestTime = totalTime;
+            bestHub = hub;
+        }
+    }
+
+    return { time: bestTime, hub: bestHub };
+}
+
+/**
+ * Build the distance matrix (geographic distances)
+ */
+function buildDistanceMatrix(airports) {
+    const n = airports.length;
+    const matrix = [];
+
+    for (let i = 0; i < n; i++) {
+        matrix[i] = [];
+        for (let j = 0; j < n; j++) {
+            if (i === j) {
+                matrix[i][j] = 0;
+            } else {
+                matrix[i][j] = haversineDistance(
+                    airports[i].lat, airports[i].lon,
+                    airports[j].lat, airports[j].lon
+                );
+            }
+        }
+    }
+
+    return matrix;
+}
+
+/**
+ * Build the travel time matrix
+ * @param {Object} options - { connections: connection settings (config.simulated), random,
+ *   cruiseSpeed, directScale: multiplies the hub-size probabilities (default 1) }
+ * @returns {Object} { matrix, directFlights, itineraries }
+ */
+function buildTravelTimeMatrix(airports, distanceMatrix, options) {
+    const { connections, random = Math.random, cruiseSpeed, directScale = 1 } = options;
+    const n = airports.length;
+    const matrix = [];
+    const directFlights = []; // Track which routes have direct flights
+    const itineraries = {}; // Connecting hub per connection route
+
+    // First pass: determine direct flights and their times
+    for (let i = 0; i < n; i++) {
+        matrix[i] = [];
+        directFlights[i] = [];
+
+        for (let j = 0; j < n; j++) {
+            if (i === j) {
+                matrix[i][j] = 0;
+                directFlights[i][j] = true;
+            } else {
+                const distance = distanceMatrix[i][j];
+                const isDirect = hasDirectFlight(airports[i], airports[j], distance, random, directScale);
+                directFlights[i][j] = isDirect;
+
+                if (isDirect) {
+                    // Direct flight: air time + ground time
+                    matrix[i][j] = calculateFlightTime(distance, cruiseSpeed) + connections.groundTime;
+                } else {
+                    matrix[i][j] = null; // Will fill in second pass
+                }
+            }
+        }
+    }
+
+    // Second pass: fill in connection times
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            if (matrix[i][j] === null) {
+                const connection = findBestConnection(airports[i], airports[j], airports, distanceMatrix, connections, cruiseSpeed);
+
+                if (connection.time < Infinity) {
+                    matrix[i][j] = Math.round(connection.time + connections.groundTime);
+                    itineraries[`${airports[i].code}-${airports[j].code}`] = [connection.hub.code];
+                } else {
+                    matrix[i][j] = estimateTwoStopTime(distanceMatrix[i][j], connections, cruiseSpeed);
+                }
+            }
+        }
+    }
+
+    return { matrix, directFlights, itineraries };
+}
+
+/**
+ * Estimate a trip with no reasonable connection as two stops
+ */
+function estimateTwoStopTime(distance, connections, cruiseSpeed) {
+    const directTime = calculateFlightTime(distance, cruiseSpeed);
+    return Math.round(directTime * 1.8 + connections.groundTime + connections.avgLayover * 2);
+}
+
+/**
+ * Draw the direct routes of a network shape (every topology but realistic)
+ * Routes are symmetric: a pair is linked both ways or not at all.
+ * @param {Object} options - { topology, random, directProbability, megaHub: hub code }
+ * @returns {boolean[][]} NxN, true where there is a direct flight
+ */
+function drawDirectRoutes(airports, distanceMatrix, options) {
+    const { topology, random, directProbability, megaHub } = options;
+    const n = airports.length;
+    const isHub = airports.map(a => a.hub === 'large');
+    const hubIndices = airports.map((_, i) => i).filter(i => isHub[i]);
+    const megaHubIndex = airports.findIndex(a => a.code === megaHub);
+
+    // Each airport's nearest large hub (the spoke it always has)
+    const nearestHub = airports.map((_, i) => hubIndices.reduce((best, h) =>
+        best < 0 || distanceMatrix[i][h] < distanceMatrix[i][best] ? h : best, -1));
+
+    const linked = (i, j) => {
+        const distance = distanceMatrix[i][j];
+        switch (topology) {
+            case 'full':
+                return true;
+            case 'mega-hub':
+                return i === megaHubIndex || j === megaHubIndex;
+            case 'hub-and-spoke':
+                if (isHub[i] && isHub[j]) return true;
+                if (isHub[i] === isHub[j]) return false;
+                if (nearestHub[i] === j || nearestHub[j] === i) return true;
+                return random() < directProbability;
+            case 'point-to-point':
+                if (distance < SHORT_HOP_MILES) return true;
+                return random() < directProbability * Math.max(0, 1 - distance / 3000);
+            default:
+                throw new Error(`Unknown topology "${topology}"`);
+        }
+    };
+
+    const direct = airports.map((_, i) => airports.map((_, j) => i === j));
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            direct[i][j] = direct[j][i] = linked(i, j);
+        }
+    }
+    return direct;
+}
+
+/**
+ * Build the travel time matrix of a drawn network
+ * Connections are the fastest itineraries over the direct routes; pairs the
+ * network can't connect within maxStops get the two-stop estimate.
+ * @param {Object} options - { connections, maxStops, cruiseSpeed, topology,
+ *   random, directProbability, megaHub }
+ * @returns {Object} { matrix, directFlights, itineraries }
+ */
+function buildNetworkMatrix(airports, distanceMatrix, options) {
+    const { connections, maxStops, cruiseSpeed } = options;
+    const directFlights = drawDirectRoutes(airports, distanceMatrix, options);
+
+    const directTimes = {};
+    airports.forEach((from, i) => airports.forEach((to, j) => {
+        if (i !== j && directFlights[i][j]) {
+            directTimes[`${from.code}-${to.code}`] = calculateFlightTime(distanceMatrix[i][j], cruiseSpeed);
+        }
+    }));
+
+    const layovers = airports.map(a => layoverAt(connections, a.code));
+    const { times, hubs } = computeShortestPaths(airports, directTimes, maxStops, layovers);
+
+    const itineraries = {};
+    const matrix = times.map((row, i) => row.map((time, j) => {
+        if (i === j) return 0;
+        if (time === null) return estimateTwoStopTime(distanceMatrix[i][j], connections, cruiseSpeed);
+        if (hubs[i][j].length > 0) {
+            itineraries[`${airports[i].code}-${airports[j].code}`] = hubs[i][j].map(h => airports[h].code);
+        }
+        return Math.round(time + connections.groundTime);
+    }));
+
+    return { matrix, directFlights, itineraries };
+}
+
+/**
+ * Build a simulated matrix for a list of airports
+ * @param {Object[]} airports - Airports list (as in airports.json)
+ * @param {Object} options - { config: pipeline config (default pipeline.config.json),
+ *   topology (see TOPOLOGIES, default 'realistic'), seed, random (overrides seed),
+ *   cruiseSpeed (mph), directProbability (default per topology), megaHub: hub code }
+ * @returns {Object} Matrix in the matrix.json shape, with the settings in `generator`
+ */
+function buildSimulatedMatrix(airports, options = {}) {
+    const config = options.config || loadPipelineConfig([]).config;
+    const connections = config.simulated;
+    const topology = options.topology || 'realistic';
+    if (!(topology in TOPOLOGIES)) {
+        throw new Error(`Unknown topology "${topology}" (expected ${Object.keys(TOPOLOGIES).join(', ')})`);
+    }
+
+    const generator = {
+        topology,
+        seed: options.random ? null : (options.seed ?? null),
+        cruiseSpeed: options.cruiseSpeed || AVG_FLIGHT_SPEED_MPH,
+        directProbability: options.directProbability ?? TOPOLOGIES[topology]
+    };
+    const random = options.random || (generator.seed !== null ? createRandom(generator.seed) : Math.random);
+
+    if (topology === 'mega-hub') {
+        const hub = options.megaHub || (airports.find(a => a.hub === 'large') || airports[0]).code;
+        if (!airports.some(a => a.code === hub)) throw new Error(`Mega hub ${hub} is not in the airports list`);
+        generator.megaHub = hub;
+    }
+
+    const distanceMatrix = buildDistanceMatrix(airports);
+    const { matrix, directFlights, itineraries } = topology === 'realistic'
+        ? buildTravelTimeMatrix(airports, distanceMatrix, {
+            connections,
+            random,
+            cruiseSpeed: generator.cruiseSpeed,
+            directScale: generator.directProbability / TOPOLOGIES.realistic
+        })
+        : buildNetworkMatrix(airports, distanceMatrix, {
+            ...generator,
+            connections,
+            maxStops: config.routes.maxStops,
+            random
+        });
+
+    return {
+        generated: new Date().toISOString(),
+        description: topology === 'realistic'
+            ? 'Simulated travel time matrix in minutes (can be replaced with BTS data)'
+            : `Simulated ${topology} network travel time matrix in minutes`,
+        generator,
+        airportCount: airports.length,
+        airports: airports.map(a => a.code),
+        layoverMin: connections.avgLayover,
+        hubLayoverMin: Object.fromEntries(Object.keys(connections.minConnectTimes)
+            .map(code => [code, layoverAt(connections, code)])),
+        matrix: matrix,
+        directFlights: directFlights,
+        itineraries: itineraries
+    };
+}
+
+module.exports = {
+    TOPOLOGIES,
+    createRandom,
+    haversineDistance,
+    calculateFlightTime,
+    hasDirectFlight,
+    findBestConnection,
+    buildDistanceMatrix,
+    buildTravelTimeMatrix,
+    drawDirectRoutes,
+    buildNetworkMatrix,
+    buildSimulatedMatrix
+};
@@ -0,0 +1,216 @@
+/**
+ * State and County Boundaries
+ *
+ * Finds the state (and county) containing a lat/lon by testing it against the
+ * polygons of a us-atlas TopoJSON file (the same dataset the map draws). Use
+ * counties-10m.json for states and counties, or states-10m.json for states only.
+ *
+ * Coastal and island airports can sit just outside the simplified 1:10m
+ * outlines, so points outside every polygon are assigned to the nearest
+ * state within MAX_SNAP_DISTANCE_KM.
+ */
+
+// Points farther than this from every state outline are left unassigned
+const MAX_SNAP_DISTANCE_KM = 30;
+const KM_PER_DEGREE = 111.32;
+
+// State FIPS code -> postal abbreviation
+const STATE_FIPS = {
+    '01': 'AL', '02': 'AK', '04': 'AZ', '05': 'AR', '06': 'CA', '08': 'CO',
+    '09': 'CT', '10': 'DE', '11': 'DC', '12': 'FL', '13': 'GA', '15': 'HI',
+    '16': 'ID', '17': 'IL', '18': 'IN', '19': 'IA', '20': 'KS', '21': 'KY',
+    '22': 'LA', '23': 'ME', '24': 'MD', '25': 'MA', '26': 'MI', '27': 'MN',
+    '28': 'MS', '29': 'MO', '30': 'MT', '31': 'NE', '32': 'NV', '33': 'NH',
+    '34': 'NJ', '35': 'NM', '36': 'NY', '37': 'NC', '38': 'ND', '39': 'OH',
+    '40': 'OK', '41': 'OR', '42': 'PA', '44': 'RI', '45': 'SC', '46': 'SD',
+    '47': 'TN', '48': 'TX', '49': 'UT', '50': 'VT', '51': 'VA', '53': 'WA',
+    '54': 'WV', '55': 'WI', '56': 'WY', '60': 'AS', '66': 'GU', '69': 'MP',
+    '72': 'PR', '78': 'VI'
+};
+
+/**
+ * Decode the arcs of a TopoJSON topology into [lon, lat] points
+ */
+function decodeArcs(topology) {
+    const transform = topology.transform;
+
+    return topology.arcs.map(arc => {
+        if (!transform) return arc;
+
+        // Quantized arcs are delta-encoded
+        let x = 0;
+        let y = 0;
+        return arc.map(([dx, dy]) => {
+            x += dx;
+            y += dy;
+            return [
+                x * transform.scale[0] + transform.translate[0],
+                y * transform.scale[1] + transform.translate[1]
+            ];
+        });
+    });
+}
+
+/**
+ * Convert a TopoJSON Polygon/MultiPolygon geometry into a list of rings
+ * Holes are kept as rings too; the even-odd test treats them correctly.
+ */
+function geometryRings(geometry, arcs) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.arcs]
+        : geometry.type === 'MultiPolygon' ? geometry.arcs
+            : [];
+
+    const rings = [];
+    for (const polygon of polygons) {
+        for (const ringArcs of polygon) {
+            const ring = [];
+            for (const index of ringArcs) {
+                // Negative indices (~i) mean arc i reversed
+                const arc = index >= 0 ? arcs[index] : arcs[~index].slice().reverse();
+                ring.push(...(ring.length > 0 ? arc.slice(1) : arc));
+            }
+            rings.push(ring);
+        }
+    }
+    return rings;
+}
+
+/**
+ * Build a lookup region (rings plus bounding box) for each geometry
+ */
+function buildRegions(object, arcs, describe) {
+    return object.geometries
+        .filter(g => g.type === 'Polygon' || g.type === 'MultiPolygon')
+        .map(geometry => {
+            const rings = geometryRings(geometry, arcs);
+            const points = rings.flat();
+            return {
+                ...describe(geometry),
+                rings,
+                bbox: [
+                    Math.min(...points.map(p => p[0])),
+                    Math.min(...points.map(p => p[1])),
+                    Math.max(...points.map(p => p[0])),
+                    Math.max(...points.map(p => p[1]))
+                ]
+            };
+        });
+}
+
+/**
+ * Even-odd point-in-polygon test
+ */
+function containsPoint(region, lon, lat) {
+    const [minLon, minLat, maxLon, maxLat] = region.bbox;
+    if (lon < minLon || lon > maxLon || lat < minLat || lat > maxLat) return false;
+
+    let inside = false;
+    for (const ring of region.rings) {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+    }
+    return inside;
+}
+
+/**
+ * Approximate distance in km from a point to a region's outline
+ */
+function distanceToRegion(region, lon, lat) {
+    // Scale longitude so degrees are roughly equal in both directions
+    const kx = Math.cos(lat * Math.PI / 180);
+    let best = Infinity;
+
+    for (const ring of region.rings) {
+        for (let i = 0; i < ring.length - 1; i++) {
+            const ax = (ring[i][0] - lon) * kx;
+            const ay = ring[i][1] - lat;
+            const bx = (ring[i + 1][0] - lon) * kx;
+            const by = ring[i + 1][1] - lat;
+
+            // Closest point on the segment to the origin
+            const dx = bx - ax;
+            const dy = by - ay;
+            const lengthSq = dx * dx + dy * dy;
+            const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq)) : 0;
+            best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy));
+        }
+    }
+
+    return best * KM_PER_DEGREE;
+}
+
+/**
+ * Create a locator from a us-atlas TopoJSON topology
+ * @param {Object} topology - Parsed counties-10m.json or states-10m.json
+ * @returns {Object} { hasCounties, locate(lat, lon) }
+ */
+function createBoundaryLocator(topology) {
+    if (topology.type !== 'Topology' || !topology.objects.states) {
+        throw new Error('Boundary file must be a us-atlas TopoJSON file with a "states" object');
+    }
+
+    const arcs = decodeArcs(topology);
+    const states = buildRegions(topology.objects.states, arcs, g => ({
+        state: STATE_FIPS[g.id] || null,
+        stateFips: g.id,
+        name: g.properties && g.properties.name
+    }));
+    const counties = topology.objects.counties
+        ? buildRegions(topology.objects.counties, arcs, g => ({
+            fips: g.id,
+            name: g.properties && g.properties.name
+        }))
+        : [];
+
+    return {
+        hasCounties: counties.length > 0,
+
+        /**
+         * Find the state and county containing a point
+         * @returns {Object|null} { state, stateFips, county, fips, snappedKm }, or null
+         *   if the point is not in or near any state. snappedKm is set when the
+         *   point was outside every outline and assigned to the nearest state.
+         */
+        locate(lat, lon) {
+            let state = states.find(s => containsPoint(s, lon, lat));
+            let snappedKm = null;
+
+            if (!state) {
+                const margin = MAX_SNAP_DISTANCE_KM / KM_PER_DEGREE * 2;
+                let best = Infinity;
+                for (const candidate of states) {
+                    const [minLon, minLat, maxLon, maxLat] = candidate.bbox;
+                    if (lon < minLon - margin || lon > maxLon + margin ||
+                        lat < minLat - margin || lat > maxLat + margin) continue;
+
+                    const distance = distanceToRegion(candidate, lon, lat);
+                    if (distance < best) {
+                        best = distance;
+                        state = candidate;
+                    }
+                }
+                if (best > MAX_SNAP_DISTANCE_KM) return null;
+                snappedKm = Math.round(best);
+            }
+
+            // Counties are only searched within the state (FIPS prefix)
+            const county = counties.find(c =>
+                c.fips.startsWith(state.stateFips) && containsPoint(c, lon, lat));
+
+            return {
+                state: state.state,
+                stateFips: state.stateFips,
+                county: county ? county.name : null,
+                fips: county ? county.fips : null,
+                snappedKm
+            };
+        }
+    };
+}
+
+module.exports = { createBoundaryLocator, STATE_FIPS };
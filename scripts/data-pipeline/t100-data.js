@@ -0,0 +1,163 @@
+/**
+ * T-100 Segment Data
+ *
+ * Seat and passenger counts from BTS T-100 segment files, as pure functions.
+ * The on-time data counts flights, so a 50-seat regional jet and an A321 weigh
+ * the same; T-100 adds how many seats each route offers and how many
+ * passengers fly it. Each row covers one carrier, route and aircraft type for
+ * a month.
+ *
+ * Data source: https://www.transtats.bts.gov/DL_SelectFields.aspx?gnoyr_VQ=FIM
+ * (T-100 Domestic Segment, U.S. Carriers)
+ *
+ * Airports are classified like the FAA hub categories, by their share of all
+ * passenger boardings in the data: large hubs board 1% or more, medium hubs
+ * 0.25% or more (the rest are small).
+ *
+ * Example:
+ *   const capacity = createCapacity();
+ *   for (const segment of segments) recordSegment(capacity, segment, airportCodes);
+ *   const { airportTraffic, routeCapacity } = summarizeCapacity(capacity, airports);
+ */
+
+// Share of all boardings an airport needs for each hub size
+const HUB_SHARES = {
+    large: 0.01,
+    medium: 0.0025
+};
+
+// T-100 service class of scheduled passenger flights
+const SCHEDULED_PASSENGER_CLASS = 'F';
+
+/**
+ * Create an empty capacity aggregate
+ * @returns {Object} { routes: key -> totals, airports: code -> boarding totals,
+ *   totalPassengers, months: Set of "YYYY-MM" }
+ */
+function createCapacity() {
+    return { routes: {}, airports: {}, totalPassengers: 0, months: new Set() };
+}
+
+/**
+ * Add a segment's departures, seats and passengers to a totals object
+ */
+function addTotals(totals, segment) {
+    totals.departures += segment.departures || 0;
+    totals.seats += segment.seats;
+    totals.passengers += segment.passengers || 0;
+}
+
+/**
+ * Record one T-100 row
+ * Boardings count for the origin whenever it is one of ours; the route only
+ * when both ends are.
+ * @param {Object} capacity - From createCapacity (updated in place)
+ * @param {Object} segment - { origin, dest, departures, seats, passengers,
+ *   serviceClass, year, month }
+ * @param {Set<string>} airportCodes - Airports to keep
+ * @returns {string} 'processed', or 'skipped' for cargo, charter and empty rows
+ */
+function recordSegment(capacity, segment, airportCodes) {
+    if (segment.serviceClass && segment.serviceClass !== SCHEDULED_PASSENGER_CLASS) return 'skipped';
+    if (!(segment.seats > 0)) return 'skipped';
+
+    capacity.totalPassengers += segment.passengers || 0;
+    if (segment.year && segment.month) {
+        capacity.months.add(`${segment.year}-${String(segment.month).padStart(2, '0')}`);
+    }
+
+    if (airportCodes.has(segment.origin)) {
+        capacity.airports[segment.origin] = capacity.airports[segment.origin] ||
+            { departures: 0, seats: 0, passengers: 0 };
+        addTotals(capacity.airports[segment.origin], segment);
+    }
+
+    if (!airportCodes.has(segment.origin) || !airportCodes.has(segment.dest)) return 'skipped';
+
+    const key = `${segment.origin}-${segment.dest}`;
+    capacity.routes[key] = capacity.routes[key] || { departures: 0, seats: 0, passengers: 0 };
+    addTotals(capacity.routes[key], segment);
+    return 'processed';
+}
+
+/**
+ * Count the days in a set of "YYYY-MM" months
+ */
+function countMonthDays(months) {
+    let days = 0;
+    for (const month of months) {
+        const [year, m] = month.split('-').map(Number);
+        days += new Date(Date.UTC(year, m, 0)).getUTCDate();
+    }
+    return days;
+}
+
+/**
+ * Get the hub size for a share of all passenger boardings
+ * @param {number} share - 0 to 1
+ * @returns {string} 'large', 'medium' or 'small'
+ */
+function getHubSizeByPassengers(share) {
+    if (share >= HUB_SHARES.large) return 'large';
+    if (share >= HUB_SHARES.medium) return 'medium';
+    return 'small';
+}
+
+/**
+ * Summarize the capacity aggregate for the matrix output
+ * @param {Object} capacity - From createCapacity / recordSegment
+ * @param {Object[]} airports - Airports list (matrix order)
+ * @returns {Object} { airportTraffic: code -> { passengers, seats, departures, hub },
+ *   routeCapacity: route key -> { seats, passengers, departures, avgSeats,
+ *   loadFactor, seatsPerDay }, days: days the data covers (null = unknown) }
+ */
+function summarizeCapacity(capacity, airports) {
+    const days = countMonthDays(capacity.months) || null;
+    const round1 = (x) => Math.round(x * 10) / 10;
+
+    const airportTraffic = {};
+    for (const airport of airports) {
+        const totals = capacity.airports[airport.code];
+        if (!totals) continue;
+        airportTraffic[airport.code] = {
+            ...totals,
+            hub: getHubSizeByPassengers(totals.passengers / capacity.totalPassengers)
+        };
+    }
+
+    const routeCapacity = {};
+    for (const [key, totals] of Object.entries(capacity.routes)) {
+        routeCapacity[key] = {
+            ...totals,
+            avgSeats: totals.departures > 0 ? Math.round(totals.seats / totals.departures) : null,
+            loadFactor: Math.round(totals.passengers / totals.seats * 100) / 100,
+            seatsPerDay: days ? round1(totals.seats / days) : null
+        };
+    }
+
+    return { airportTraffic, routeCapacity, days };
+}
+
+/**
+ * Give airports the hub size of their passenger traffic
+ * Airports missing from the T-100 data keep their flight-count hub size.
+ * @param {Object[]} airports - Airports list
+ * @param {Object} airportTraffic - From summarizeCapacity
+ * @returns {Object[]} Copies of the airports
+ */
+function applyTrafficHubs(airports, airportTraffic) {
+    return airports.map(airport => {
+        const traffic = airportTraffic[airport.code];
+        return traffic ? { ...airport, hub: traffic.hub } : airport;
+    });
+}
+
+module.exports = {
+    HUB_SHARES,
+    createCapacity,
+    recordSegment,
+    countMonthDays,
+    getHubSizeByPassengers,
+    summarizeCapacity,
+    applyTrafficHubs
+};
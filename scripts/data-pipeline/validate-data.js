@@ -0,0 +1,486 @@
+/**
+ * Dataset Validation and QA Report
+ *
+ * Checks that data/matrix.json and data/airports.json agree with each other
+ * and with the assumptions the front end makes (airport order, square
+ * matrices, zero diagonal, boolean directFlights), then writes a Markdown
+ * and HTML report flagging suspicious routes:
+ * - Connections faster than their own legs
+ * - Large differences between A→B and B→A
+ * - Routes that fell back to a distance estimate
+ * - Airports without any direct routes
+ *
+ * The matrix can be JSON or the binary format. When checking a JSON matrix
+ * that has a binary copy next to it (data/matrix.bin), the two must match.
+ *
+ * Exits with code 1 when a structural check fails, so it can gate CI. The
+ * checks are also exported (runChecks, checkBinaryCopy, findSuspiciousRoutes)
+ * for running them in-process.
+ *
+ * Usage:
+ *   node validate-data.js [--matrix <file>] [--airports <file>] [--out <dir>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readMatrixFile } = require('./matrix-format');
+
+// Defaults
+const MATRIX_PATH = path.join(__dirname, '../../data/matrix.json');
+const AIRPORTS_PATH = path.join(__dirname, '../../data/airports.json');
+const REPORT_DIR = path.join(__dirname, '../../reports');
+
+// Thresholds for suspicious routes
+const ASYMMETRY_MIN = 60;        // A→B and B→A differ by at least this many minutes...
+const ASYMMETRY_RATIO = 1.5;     // ...and the slower direction is this much slower
+const MAX_LISTED = 50;           // Rows per report section
+
+/**
+ * Parse command line flags
+ */
+function parseArgs(argv) {
+    const options = { matrix: MATRIX_PATH, airports: AIRPORTS_PATH, out: REPORT_DIR };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--matrix') options.matrix = path.resolve(argv[++i]);
+        else if (argv[i] === '--airports') options.airports = path.resolve(argv[++i]);
+        else if (argv[i] === '--out') options.out = path.resolve(argv[++i]);
+    }
+
+    return options;
+}
+
+/**
+ * Check that a value is an n×n array
+ * @returns {string|null} Problem description, or null if square
+ */
+function checkSquare(name, rows, n) {
+    if (!Array.isArray(rows)) return `${name} is missing`;
+    if (rows.length !== n) return `${name} has ${rows.length} rows, expected ${n}`;
+
+    const bad = rows.findIndex(row => !Array.isArray(row) || row.length !== n);
+    if (bad >= 0) {
+        const length = Array.isArray(rows[bad]) ? rows[bad].length : 'no';
+        return `${name} row ${bad} has ${length} columns, expected ${n}`;
+    }
+    return null;
+}
+
+/**
+ * Run the structural checks
+ * @param {Object} matrixData - Parsed matrix.json
+ * @param {Object[]} airports - Parsed airports.json
+ * @returns {Object[]} Checks {name, passed, details[]}
+ */
+function runChecks(matrixData, airports) {
+    const checks = [];
+    const add = (name, details) => checks.push({ name, passed: details.length === 0, details });
+
+    const codes = matrixData.airports || [];
+    const airportCodes = airports.map(a => a.code);
+    const n = codes.length;
+
+    // Airport count
+    const countDetails = [];
+    if (matrixData.airportCount !== n) {
+        countDetails.push(`airportCount is ${matrixData.airportCount}, but the matrix lists ${n} airports`);
+    }
+    if (airports.length !== n) {
+        countDetails.push(`airports.json has ${airports.length} airports, the matrix has ${n}`);
+    }
+    add('airportCount matches both files', countDetails);
+
+    // Codes present in both files
+    const inMatrix = new Set(codes);
+    const inAirports = new Set(airportCodes);
+    const codeDetails = [];
+    const onlyMatrix = codes.filter(c => !inAirports.has(c));
+    const onlyAirports = airportCodes.filter(c => !inMatrix.has(c));
+    if (onlyMatrix.length > 0) codeDetails.push(`Only in matrix.json: ${onlyMatrix.join(', ')}`);
+    if (onlyAirports.length > 0) codeDetails.push(`Only in airports.json: ${onlyAirports.join(', ')}`);
+    const duplicates = codes.filter((c, i) => codes.indexOf(c) !== i);
+    if (duplicates.length > 0) codeDetails.push(`Duplicate codes in matrix.json: ${duplicates.join(', ')}`);
+    add('Airport codes exist in both files', codeDetails);
+
+    // Same order
+    const orderDetails = [];
+    for (let i = 0; i < Math.min(n, airportCodes.length); i++) {
+        if (codes[i] !== airportCodes[i]) {
+            orderDetails.push(`Position ${i}: matrix.json has ${codes[i]}, airports.json has ${airportCodes[i]}`);
+            if (orderDetails.length >= 10) break;
+        }
+    }
+    add('Airport order matches', orderDetails);
+
+    // Square matrices
+    const squareDetails = [];
+    for (const name of ['matrix', 'directFlights', 'effectiveMatrix', 'legs', 'driving', 'driveMatrix']) {
+        if (name !== 'matrix' && name !== 'directFlights' && matrixData[name] === undefined) continue;
+        const problem = checkSquare(name, matrixData[name], n);
+        if (problem) squareDetails.push(problem);
+    }
+    add('Matrices are square', squareDetails);
+
+    // Everything below needs well-formed matrices
+    if (squareDetails.length > 0) return checks;
+
+    const { matrix, directFlights } = matrixData;
+
+    // Diagonal of zeros
+    const diagonalDetails = [];
+    for (let i = 0; i < n; i++) {
+        if (matrix[i][i] !== 0) diagonalDetails.push(`${codes[i]} → ${codes[i]} is ${matrix[i][i]}`);
+    }
+    add('Diagonal is zero', diagonalDetails);
+
+    // Travel times are non-negative numbers (null only for unreachable pairs)
+    const valueDetails = [];
+    for (let i = 0; i < n && valueDetails.length < 10; i++) {
+        for (let j = 0; j < n && valueDetails.length < 10; j++) {
+            const value = matrix[i][j];
+            if (value !== null && (typeof value !== 'number' || !isFinite(value) || value < 0)) {
+                valueDetails.push(`${codes[i]} → ${codes[j]} is ${JSON.stringify(value)}`);
+            }
+        }
+    }
+    add('Travel times are valid', valueDetails);
+
+    // Boolean directFlights
+    const boolDetails = [];
+    for (let i = 0; i < n && boolDetails.length < 10; i++) {
+        for (let j = 0; j < n && boolDetails.length < 10; j++) {
+            if (typeof directFlights[i][j] !== 'boolean') {
+                boolDetails.push(`${codes[i]} → ${codes[j]} is ${JSON.stringify(directFlights[i][j])}`);
+            }
+        }
+    }
+    add('directFlights are booleans', boolDetails);
+
+    return checks;
+}
+
+/**
+ * Check that a binary copy of the matrix matches the JSON
+ * @param {Object} matrixData - Parsed JSON matrix
+ * @param {Object} binaryData - Decoded binary matrix
+ * @returns {Object} Check {name, passed, details[]}
+ */
+function checkBinaryCopy(matrixData, binaryData) {
+    const details = [];
+
+    if (binaryData.generated !== matrixData.generated) {
+        details.push(`Binary was generated ${binaryData.generated}, JSON ${matrixData.generated} (run npm run data:pack)`);
+    }
+    if (JSON.stringify(binaryData.airports) !== JSON.stringify(matrixData.airports)) {
+        details.push('Airport lists differ');
+    } else {
+        // Binary minutes are rounded, so compare rounded values
+        const round = (v) => v === null ? null : Math.round(v);
+        let differences = 0;
+        for (const field of ['matrix', 'effectiveMatrix', 'directFlights']) {
+            const a = matrixData[field];
+            const b = binaryData[field];
+            if (!a && !b) continue;
+            if (!a || !b) {
+                details.push(`${field} is only in the ${a ? 'JSON' : 'binary'} file`);
+                continue;
+            }
+            a.forEach((row, i) => row.forEach((value, j) => {
+                const expected = typeof value === 'boolean' ? value : round(value);
+                if (b[i][j] !== expected) differences++;
+            }));
+        }
+        if (differences > 0) details.push(`${differences} cells differ`);
+    }
+
+    return { name: 'Binary matrix matches JSON', passed: details.length === 0, details };
+}
+
+/**
+ * Find suspicious routes for the QA report
+ * @param {Object} matrixData - Parsed matrix.json (structurally valid)
+ * @returns {Object} { fasterThanLegs, asymmetric, estimated, noDirect, legsRecorded }
+ */
+function findSuspiciousRoutes(matrixData) {
+    const { airports: codes, matrix, directFlights, legs, itineraries, driving } = matrixData;
+    const n = codes.length;
+    const indexByCode = new Map(codes.map((c, i) => [c, i]));
+
+    const fasterThanLegs = [];
+    const asymmetric = [];
+    const estimated = [];
+    const noDirect = [];
+
+    // Fastest direct flight out of / into each airport
+    const firstLeg = new Array(n).fill(Infinity);
+    const lastLeg = new Array(n).fill(Infinity);
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            if (i === j || !directFlights[i][j] || matrix[i][j] === null) continue;
+            firstLeg[i] = Math.min(firstLeg[i], matrix[i][j]);
+            lastLeg[j] = Math.min(lastLeg[j], matrix[i][j]);
+        }
+    }
+
+    for (let i = 0; i < n; i++) {
+        let hasDirect = false;
+
+        for (let j = 0; j < n; j++) {
+            if (i === j) continue;
+            if (directFlights[i][j]) hasDirect = true;
+
+            const time = matrix[i][j];
+            // Cells won by driving aren't flight times
+            if (time === null || (driving && driving[i][j])) continue;
+
+            // Connections can't be faster than flying their legs
+            if (!directFlights[i][j]) {
+                const hubs = itineraries && itineraries[`${codes[i]}-${codes[j]}`];
+                const stops = hubs ? [i, ...hubs.map(h => indexByCode.get(h)), j] : null;
+
+                if (stops && stops.every(s => s !== undefined)) {
+                    let legTotal = 0;
+                    for (let s = 0; s < stops.length - 1; s++) {
+                        legTotal += matrix[stops[s]][stops[s + 1]] || 0;
+                    }
+                    if (time < legTotal) {
+                        fasterThanLegs.push({ from: codes[i], to: codes[j], time, legTotal, via: hubs.join(', ') });
+                    }
+                } else if (!hubs) {
+                    // Without an itinerary, any connection still needs a first leg out of
+                    // the origin and a last leg into the destination
+                    const bound = Math.max(firstLeg[i], lastLeg[j]);
+                    if (bound < Infinity && time < bound) {
+                        fasterThanLegs.push({ from: codes[i], to: codes[j], time, legTotal: bound, via: '(any hub)' });
+                    }
+                }
+            }
+
+            // Distance estimates
+            if (legs && legs[i][j] === null) {
+                estimated.push({ from: codes[i], to: codes[j], time });
+            }
+
+            // Asymmetry (each pair once)
+            const back = matrix[j][i];
+            if (j > i && back !== null) {
+                const slow = Math.max(time, back);
+                const fast = Math.min(time, back);
+                if (slow - fast >= ASYMMETRY_MIN && slow >= fast * ASYMMETRY_RATIO) {
+                    asymmetric.push({ from: codes[i], to: codes[j], there: time, back, difference: slow - fast });
+                }
+            }
+        }
+
+        if (!hasDirect) noDirect.push(codes[i]);
+    }
+
+    asymmetric.sort((a, b) => b.difference - a.difference);
+
+    return { fasterThanLegs, asymmetric, estimated, noDirect, legsRecorded: !!legs };
+}
+
+/**
+ * Format minutes as "5h 03m"
+ */
+function formatTime(minutes) {
+    return `${Math.floor(minutes / 60)}h ${String(Math.round(minutes % 60)).padStart(2, '0')}m`;
+}
+
+/**
+ * Build the report as a list of sections
+ * Each section has a title, a summary line and optional table rows, so the
+ * same content can be rendered as Markdown or HTML.
+ */
+function buildReportSections(checks, suspicious) {
+    const sections = [];
+
+    sections.push({
+        title: 'Structural checks',
+        summary: `${checks.filter(c => c.passed).length} of ${checks.length} checks passed.`,
+        columns: ['Check', 'Result', 'Details'],
+        rows: checks.map(c => [c.name, c.passed ? 'PASS' : 'FAIL', c.details.join('; ')])
+    });
+
+    if (!suspicious) return sections;
+
+    const limit = (rows) => rows.slice(0, MAX_LISTED);
+    const more = (rows) => rows.length > MAX_LISTED ? ` Showing the first ${MAX_LISTED}.` : '';
+
+    sections.push({
+        title: 'Connections faster than their legs',
+        summary: `${suspicious.fasterThanLegs.length} connecting routes are faster than the direct legs they use.${more(suspicious.fasterThanLegs)}`,
+        columns: ['Route', 'Via', 'Connection', 'Legs'],
+        rows: limit(suspicious.fasterThanLegs).map(r =>
+            [`${r.from} → ${r.to}`, r.via, formatTime(r.time), formatTime(r.legTotal)])
+    });
+
+    sections.push({
+        title: 'Asymmetric routes',
+        summary: `${suspicious.asymmetric.length} airport pairs differ by at least ${ASYMMETRY_MIN} minutes ` +
+            `and ${ASYMMETRY_RATIO}× between directions.${more(suspicious.asymmetric)}`,
+        columns: ['Pair', 'There', 'Back', 'Difference'],
+        rows: limit(suspicious.asymmetric).map(r =>
+            [`${r.from} ↔ ${r.to}`, formatTime(r.there), formatTime(r.back), formatTime(r.difference)])
+    });
+
+    sections.push({
+        title: 'Distance estimates',
+        summary: suspicious.legsRecorded
+            ? `${suspicious.estimated.length} routes fell back to a distance estimate.${more(suspicious.estimated)}`
+            : 'The matrix does not record legs, so estimated routes cannot be identified.',
+        columns: ['Route', 'Estimated time'],
+        rows: limit(suspicious.estimated).map(r => [`${r.from} → ${r.to}`, formatTime(r.time)])
+    });
+
+    sections.push({
+        title: 'Airports without direct routes',
+        summary: `${suspicious.noDirect.length} airports have no direct routes at all.`,
+        columns: ['Airport'],
+        rows: suspicious.noDirect.map(code => [code])
+    });
+
+    return sections;
+}
+
+/**
+ * Render report sections as Markdown
+ */
+function renderMarkdown(sections, meta) {
+    const escape = (text) => String(text).replace(/\|/g, '\\|');
+    let md = `# Dataset QA Report\n\n`;
+    md += `- Matrix: \`${meta.matrix}\` (generated ${meta.generated || 'unknown'})\n`;
+    md += `- Airports: \`${meta.airports}\`\n`;
+    md += `- Report generated: ${meta.now}\n`;
+
+    for (const section of sections) {
+        md += `\n## ${section.title}\n\n${section.summary}\n`;
+        if (section.rows.length === 0) continue;
+
+        md += `\n| ${section.columns.join(' | ')} |\n`;
+        md += `|${section.columns.map(() => '---').join('|')}|\n`;
+        for (const row of section.rows) {
+            md += `| ${row.map(escape).join(' | ')} |\n`;
+        }
+    }
+
+    return md;
+}
+
+/**
+ * Render report sections as a standalone HTML page
+ */
+function renderHTML(sections, meta) {
+    const escape = (text) => String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+
+    let body = `<h1>Dataset QA Report</h1>\n<ul>\n`;
+    body += `<li>Matrix: <code>${escape(meta.matrix)}</code> (generated ${escape(meta.generated || 'unknown')})</li>\n`;
+    body += `<li>Airports: <code>${escape(meta.airports)}</code></li>\n`;
+    body += `<li>Report generated: ${escape(meta.now)}</li>\n</ul>\n`;
+
+    for (const section of sections) {
+        body += `<h2>${escape(section.title)}</h2>\n<p>${escape(section.summary)}</p>\n`;
+        if (section.rows.length === 0) continue;
+
+        body += `<table>\n<tr>${section.columns.map(c => `<th>${escape(c)}</th>`).join('')}</tr>\n`;
+        for (const row of section.rows) {
+            const cells = row.map(cell => {
+                const cls = cell === 'PASS' ? ' class="pass"' : cell === 'FAIL' ? ' class="fail"' : '';
+                return `<td${cls}>${escape(cell)}</td>`;
+            });
+            body += `<tr>${cells.join('')}</tr>\n`;
+        }
+        body += `</table>\n`;
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Dataset QA Report</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 2rem; color: #333; }
+    h1 { color: #2c7be5; }
+    table { border-collapse: collapse; margin-bottom: 1rem; }
+    th, td { border: 1px solid #e0e0e0; padding: 0.3rem 0.75rem; text-align: left; font-size: 0.9rem; }
+    th { background: #f8f9fa; }
+    .pass { color: #2a9d8f; font-weight: 600; }
+    .fail { color: #e63946; font-weight: 600; }
+</style>
+</head>
+<body>
+${body}</body>
+</html>
+`;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    console.log('Validating dataset...');
+    console.log(`  Matrix:   ${options.matrix}`);
+    console.log(`  Airports: ${options.airports}`);
+
+    const matrixData = readMatrixFile(options.matrix);
+    const airports = JSON.parse(fs.readFileSync(options.airports, 'utf8'));
+
+    const checks = runChecks(matrixData, airports);
+
+    const binaryPath = options.matrix.replace(/\.json$/, '.bin');
+    if (binaryPath !== options.matrix && fs.existsSync(binaryPath)) {
+        checks.push(checkBinaryCopy(matrixData, readMatrixFile(binaryPath)));
+    }
+
+    console.log('\nStructural checks:');
+    for (const check of checks) {
+        console.log(`  ${check.passed ? 'PASS' : 'FAIL'}  ${check.name}`);
+        check.details.slice(0, 5).forEach(d => console.log(`          ${d}`));
+    }
+
+    // Route-level QA needs square matrices to index into
+    const square = checks.find(c => c.name === 'Matrices are square').passed;
+    const suspicious = square ? findSuspiciousRoutes(matrixData) : null;
+
+    if (suspicious) {
+        console.log('\nSuspicious routes:');
+        console.log(`  Connections faster than their legs: ${suspicious.fasterThanLegs.length}`);
+        console.log(`  Asymmetric pairs: ${suspicious.asymmetric.length}`);
+        console.log(`  Distance estimates: ${suspicious.legsRecorded ? suspicious.estimated.length : 'not recorded'}`);
+        console.log(`  Airports without direct routes: ${suspicious.noDirect.length}`);
+    }
+
+    // Write the reports
+    const sections = buildReportSections(checks, suspicious);
+    const meta = {
+        matrix: path.relative(process.cwd(), options.matrix),
+        airports: path.relative(process.cwd(), options.airports),
+        generated: matrixData.generated,
+        now: new Date().toISOString()
+    };
+
+    fs.mkdirSync(options.out, { recursive: true });
+    const mdPath = path.join(options.out, 'qa-report.md');
+    const htmlPath = path.join(options.out, 'qa-report.html');
+    fs.writeFileSync(mdPath, renderMarkdown(sections, meta));
+    fs.writeFileSync(htmlPath, renderHTML(sections, meta));
+    console.log(`\nReports written to:\n  ${mdPath}\n  ${htmlPath}`);
+
+    const failed = checks.filter(c => !c.passed);
+    if (failed.length > 0) {
+        console.log(`\n${failed.length} structural check(s) failed`);
+        process.exit(1);
+    }
+    console.log('\nAll structural checks passed');
+}
+
+module.exports = { runChecks, checkBinaryCopy, findSuspiciousRoutes };
+
+if (require.main === module) {
+    main();
+}
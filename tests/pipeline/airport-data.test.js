@@ -0,0 +1,58 @@
+// Unit tests for the airport data helpers (run with npm run test:pipeline)
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { countAirportFlights } = require('../../scripts/data-pipeline/airport-data');
+
+describe('countAirportFlights', () => {
+    let dir;
+
+    /**
+     * Write a CSV file into the temporary directory
+     */
+    function writeCSV(name, content) {
+        const filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    }
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'airport-data-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('counts departures and arrivals', async () => {
+        const filePath = writeCSV('upper.csv', 'ORIGIN,DEST\nORD,SFO\nSFO,ORD\nORD,LAX\n');
+        const counts = await countAirportFlights(filePath);
+
+        assert.deepEqual(Object.fromEntries(counts), { ORD: 3, SFO: 2, LAX: 1 });
+    });
+
+    test('matches headers in any case and handles quoted fields', async () => {
+        const filePath = writeCSV('quoted.csv',
+            '"Year","Origin","Note","Dest"\r\n' +
+            '2024,"ORD","delayed, then cancelled","SFO"\r\n' +
+            '2024,"SFO","two\nlines","ORD"\r\n');
+        const counts = await countAirportFlights(filePath);
+
+        assert.deepEqual(Object.fromEntries(counts), { ORD: 2, SFO: 2 });
+    });
+
+    test('adds to existing counts', async () => {
+        const filePath = writeCSV('more.csv', 'Origin,Dest\nORD,SFO\n');
+        const counts = await countAirportFlights(filePath, new Map([['ORD', 5]]));
+
+        assert.equal(counts.get('ORD'), 6);
+    });
+
+    test('rejects files without Origin and Dest columns', async () => {
+        const filePath = writeCSV('airports.csv', 'ident,name\nKORD,Chicago\n');
+
+        await assert.rejects(countAirportFlights(filePath), /missing the Origin and Dest columns/);
+    });
+});
@@ -0,0 +1,197 @@
+// Unit tests for the BTS file reader (run with npm run test:pipeline)
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { createCSVParser, streamRows } = require('../../scripts/data-pipeline/bts-reader');
+
+/**
+ * Build a zip archive in memory
+ * CRCs are left at zero; the reader doesn't check them.
+ * @param {Object[]} entries - { name, content, method: 0 (stored) or 8 (deflated) }
+ * @returns {Buffer}
+ */
+function buildZip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const { name, content, method } of entries) {
+        const nameBytes = Buffer.from(name);
+        const raw = Buffer.from(content);
+        const data = method === 8 ? zlib.deflateRawSync(raw) : raw;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        locals.push(local, nameBytes, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(raw.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, nameBytes);
+
+        offset += local.length + nameBytes.length + data.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(0x06054b50, 0);
+    eocd.writeUInt16LE(entries.length, 8);
+    eocd.writeUInt16LE(entries.length, 10);
+    eocd.writeUInt32LE(directory.length, 12);
+    eocd.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, eocd]);
+}
+
+describe('createCSVParser', () => {
+    /**
+     * Parse text written in the given pieces
+     */
+    function parseChunks(chunks) {
+        const rows = [];
+        const parser = createCSVParser(fields => rows.push(fields));
+        for (const chunk of chunks) parser.write(chunk);
+        parser.end();
+        return rows;
+    }
+
+    test('joins fields, quotes and line endings split across chunks', () => {
+        const text = 'Origin,Note\r\n"ORD","say ""hi"", then\nleave"\r\nSFO,plain\r\n';
+        const expected = [['Origin', 'Note'], ['ORD', 'say "hi", then\nleave'], ['SFO', 'plain']];
+
+        // Every split point, including between \r and \n and inside an escaped quote
+        for (let i = 1; i < text.length; i++) {
+            assert.deepEqual(parseChunks([text.slice(0, i), text.slice(i)]), expected, `split at ${i}`);
+        }
+        assert.deepEqual(parseChunks([...text]), expected);
+    });
+
+    test('emits a final row without a trailing newline', () => {
+        assert.deepEqual(parseChunks(['a,b\n1,', '2']), [['a', 'b'], ['1', '2']]);
+        assert.deepEqual(parseChunks(['a,b\n1,"2"']), [['a', 'b'], ['1', '2']]);
+    });
+
+    test('skips blank lines', () => {
+        assert.deepEqual(parseChunks(['a\n\n\r\nb\n']), [['a'], ['b']]);
+    });
+});
+
+describe('streamRows', () => {
+    let dir;
+
+    /**
+     * Write a file into the temporary directory
+     */
+    function writeFile(name, content) {
+        const filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    }
+
+    /**
+     * Collect the headers and rows streamed from a file
+     */
+    async function readAll(filePath) {
+        const headers = [];
+        const rows = [];
+        await streamRows(filePath, {
+            onHeader: fields => headers.push(fields),
+            onRow: fields => rows.push(fields)
+        });
+        return { headers, rows };
+    }
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bts-reader-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('reads rows that cross the file stream\'s chunks', async () => {
+        // Well past the 64 KB read size, with quoted and multi-byte fields
+        const lines = ['Origin,Dest,Note'];
+        for (let i = 0; i < 3000; i++) lines.push(`ORD,SFO,"row ${i}, café\nnext line"`);
+        const { headers, rows } = await readAll(writeFile('large.csv', lines.join('\r\n') + '\r\n'));
+
+        assert.deepEqual(headers, [['Origin', 'Dest', 'Note']]);
+        assert.equal(rows.length, 3000);
+        assert.ok(rows.every((row, i) => row[2] === `row ${i}, café\nnext line`));
+    });
+
+    test('reads a last row without a trailing newline', async () => {
+        const { rows } = await readAll(writeFile('no-newline.csv', 'Origin,Dest\nORD,SFO\nSFO,LAX'));
+
+        assert.deepEqual(rows, [['ORD', 'SFO'], ['SFO', 'LAX']]);
+    });
+
+    test('strips a byte order mark from the header', async () => {
+        const { headers } = await readAll(writeFile('bom.csv', '\uFEFFOrigin,Dest\nORD,SFO\n'));
+
+        assert.deepEqual(headers, [['Origin', 'Dest']]);
+    });
+
+    test('reads stored and deflated zip entries, skipping other files', async () => {
+        const filePath = writeFile('download.zip', buildZip([
+            { name: 'readme.html', content: '<p>Not data</p>', method: 0 },
+            { name: 'stored.csv', content: '\uFEFFOrigin,Dest\nORD,SFO\n', method: 0 },
+            { name: 'deflated.csv', content: 'Origin,Dest\r\nSFO,LAX\r\nLAX,ORD', method: 8 }
+        ]));
+        const progress = [];
+        const headers = [];
+        const rows = [];
+        await streamRows(filePath, {
+            onHeader: fields => headers.push(fields),
+            onRow: fields => rows.push(fields),
+            onProgress: (read, total) => progress.push([read, total])
+        });
+
+        assert.deepEqual(headers, [['Origin', 'Dest'], ['Origin', 'Dest']]);
+        assert.deepEqual(rows, [['ORD', 'SFO'], ['SFO', 'LAX'], ['LAX', 'ORD']]);
+        const [read, total] = progress[progress.length - 1];
+        assert.equal(read, total);
+    });
+
+    test('rejects a file that is not a zip archive', async () => {
+        const filePath = writeFile('corrupt.zip', 'Origin,Dest\nORD,SFO\n');
+
+        await assert.rejects(readAll(filePath), /Not a zip archive/);
+    });
+
+    test('rejects a zip entry with corrupt compressed data', async () => {
+        const zip = buildZip([{ name: 'data.csv', content: 'Origin,Dest\nORD,SFO\n'.repeat(20), method: 8 }]);
+        zip.fill(0xFF, 30 + 'data.csv'.length, 30 + 'data.csv'.length + 4);
+        const filePath = writeFile('bad-deflate.zip', zip);
+
+        await assert.rejects(readAll(filePath));
+    });
+
+    test('rejects a corrupt zip central directory', async () => {
+        const zip = buildZip([{ name: 'data.csv', content: 'Origin,Dest\nORD,SFO\n', method: 0 }]);
+        const directoryOffset = zip.readUInt32LE(zip.length - 6);
+        zip.writeUInt32LE(0, directoryOffset);
+        const filePath = writeFile('bad-directory.zip', zip);
+
+        await assert.rejects(readAll(filePath), /Corrupt zip central directory/);
+    });
+
+    test('rejects a missing file', async () => {
+        await assert.rejects(readAll(path.join(dir, 'missing.csv')), { code: 'ENOENT' });
+        await assert.rejects(readAll(path.join(dir, 'missing.zip')), { code: 'ENOENT' });
+    });
+});
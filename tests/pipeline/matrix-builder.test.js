@@ -0,0 +1,193 @@
+// Unit tests for the matrix builder (run with npm run test:pipeline)
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    createRouteAggregate,
+    addFlight,
+    computeShortestPaths,
+    greatCircleMiles,
+    buildDriveMatrix,
+    applyDriving,
+    buildMatrix
+} = require('../../scripts/data-pipeline/matrix-builder');
+
+const AIRPORTS = [
+    { code: 'AAA', lat: 40, lon: -100 },
+    { code: 'BBB', lat: 40, lon: -95 },
+    { code: 'CCC', lat: 40, lon: -90 }
+];
+
+const CONFIG = {
+    routes: { minFlightsForDirect: 2, maxStops: 1 },
+    connections: { groundTime: 10, minLayover: 30, avgLayover: 45, minConnectTimes: {} }
+};
+
+/**
+ * Route aggregate of flights with the given elapsed times
+ */
+function routeOf(times) {
+    const aggregate = createRouteAggregate();
+    for (const time of times) addFlight(aggregate, time);
+    return aggregate;
+}
+
+describe('computeShortestPaths', () => {
+    test('connects through a hub with a layover', () => {
+        const paths = computeShortestPaths(AIRPORTS, { 'AAA-BBB': 60, 'BBB-CCC': 70 }, 1, 30);
+
+        assert.equal(paths.times[0][2], 160);
+        assert.equal(paths.legs[0][2], 2);
+        assert.deepEqual(paths.hubs[0][2], [1]);
+        assert.equal(paths.times[0][0], 0);
+    });
+
+    test('leaves pairs that need more stops unreachable', () => {
+        const paths = computeShortestPaths(AIRPORTS, { 'AAA-BBB': 60, 'BBB-CCC': 70 }, 0, 30);
+
+        assert.equal(paths.times[0][1], 60);
+        assert.equal(paths.times[0][2], null);
+        assert.equal(paths.times[2][0], null);
+    });
+
+    test('uses per-airport layovers', () => {
+        const paths = computeShortestPaths(AIRPORTS, { 'AAA-BBB': 60, 'BBB-CCC': 70 }, 1, [0, 90, 0]);
+
+        assert.equal(paths.times[0][2], 220);
+    });
+
+    test('waits for the longer of the layover and the departure wait', () => {
+        const directTimes = { 'AAA-BBB': 60, 'BBB-CCC': 70 };
+        const paths = computeShortestPaths(AIRPORTS, directTimes, 1, 30, { 'AAA-BBB': 20, 'BBB-CCC': 50 });
+
+        assert.equal(paths.times[0][1], 80);
+        assert.equal(paths.times[0][2], 20 + 60 + 50 + 70);
+    });
+
+    test('prefers a faster connection over a slower direct flight', () => {
+        const directTimes = { 'AAA-BBB': 60, 'BBB-CCC': 60, 'AAA-CCC': 200 };
+        const paths = computeShortestPaths(AIRPORTS, directTimes, 1, 30);
+
+        assert.equal(paths.times[0][2], 150);
+        assert.deepEqual(paths.hubs[0][2], [1]);
+    });
+});
+
+describe('buildMatrix', () => {
+    const flightData = {
+        'AAA-BBB': routeOf([60, 60, 62]),
+        'BBB-CCC': routeOf([70, 70]),
+        'CCC-AAA': routeOf([100]) // Below minFlightsForDirect
+    };
+
+    test('adds ground time to direct flights', () => {
+        const result = buildMatrix(flightData, AIRPORTS, { config: CONFIG });
+
+        assert.equal(result.matrix[0][1], 61 + 10);
+        assert.equal(result.directFlights[0][1], true);
+        assert.equal(result.legs[0][1], 1);
+        assert.equal(result.routeStats['AAA-BBB'].count, 3);
+    });
+
+    test('records connecting itineraries', () => {
+        const result = buildMatrix(flightData, AIRPORTS, { config: CONFIG });
+
+        assert.equal(result.matrix[0][2], 61 + 45 + 70 + 10);
+        assert.equal(result.directFlights[0][2], false);
+        assert.equal(result.legs[0][2], 2);
+        assert.deepEqual(result.itineraries['AAA-CCC'], ['BBB']);
+        assert.equal(result.summary.directRoutes, 2);
+        assert.deepEqual(result.summary.connections, { 1: 1 });
+    });
+
+    test('estimates unreachable pairs from distance by default', () => {
+        const result = buildMatrix(flightData, AIRPORTS, { config: CONFIG });
+
+        assert.equal(result.legs[2][0], null);
+        assert.ok(result.matrix[2][0] > 10 + 45);
+        assert.equal(result.summary.unreachable, 0);
+        assert.equal(result.summary.estimated, 3);
+    });
+
+    test('leaves unreachable pairs null without estimates', () => {
+        const result = buildMatrix(flightData, AIRPORTS, { config: CONFIG, estimateMissing: false });
+
+        assert.equal(result.matrix[2][0], null);
+        assert.equal(result.effectiveMatrix[2][0], null);
+        assert.equal(result.summary.unreachable, 3);
+    });
+
+    test('adds the expected wait when the days covered are known', () => {
+        const withoutDays = buildMatrix(flightData, AIRPORTS, { config: CONFIG });
+        const withDays = buildMatrix(flightData, AIRPORTS, { config: CONFIG, days: 1 });
+
+        assert.equal(withDays.routeStats['AAA-BBB'].perDay, 3);
+        assert.ok(withDays.matrix[0][1] > withoutDays.matrix[0][1]);
+    });
+
+    test('lets a frequent connection beat a direct flight with a long wait', () => {
+        const shuttle = new Array(36).fill(60); // 18 a day over 2 days: 30 minute wait
+        const infrequent = {
+            'AAA-BBB': routeOf(shuttle),
+            'BBB-CCC': routeOf(shuttle),
+            'AAA-CCC': routeOf([150, 150]) // Once a day: capped 180 minute wait
+        };
+
+        const withoutDays = buildMatrix(infrequent, AIRPORTS, { config: CONFIG });
+        assert.equal(withoutDays.matrix[0][2], 150 + 10);
+        assert.equal(withoutDays.directFlights[0][2], true);
+        assert.equal(withoutDays.itineraries['AAA-CCC'], undefined);
+
+        const result = buildMatrix(infrequent, AIRPORTS, { config: CONFIG, days: 2 });
+        assert.equal(result.matrix[0][2], 30 + 60 + 45 + 60 + 10);
+        assert.equal(result.directFlights[0][2], false);
+        assert.equal(result.legs[0][2], 2);
+        assert.deepEqual(result.itineraries['AAA-CCC'], ['BBB']);
+        assert.equal(result.routeStats['AAA-CCC'].perDay, 1);
+        assert.deepEqual(result.summary.connections, { 1: 1 });
+    });
+});
+
+describe('buildDriveMatrix / applyDriving', () => {
+    const airports = [
+        { code: 'AAA', state: 'KS', lat: 40, lon: -100 },
+        { code: 'NNN', state: 'KS', lat: 40, lon: -99.6 }, // About 21 miles away
+        { code: 'CCC', state: 'IL', lat: 40, lon: -90 },
+        { code: 'HHH', state: 'HI', lat: 21.3, lon: -157.9 }
+    ];
+    const flightData = {
+        'AAA-NNN': routeOf([60, 60]),
+        'AAA-CCC': routeOf([120, 120])
+    };
+
+    test('drives at 55 mph over 1.3 road miles per mile, up to 8 hours', () => {
+        const drives = buildDriveMatrix(airports);
+
+        assert.equal(drives[0][1], Math.round(greatCircleMiles(airports[0], airports[1]) * 1.3 / 55 * 60));
+        assert.equal(drives[0][2], null); // About 530 miles: over 8 hours by car
+        assert.equal(drives[0][3], null); // No road to Hawaii
+        assert.equal(drives[1][1], 0);
+    });
+
+    test('takes the drive where it beats the flight', () => {
+        const result = buildMatrix(flightData, airports, { config: CONFIG });
+        const drives = buildDriveMatrix(airports);
+        const faster = applyDriving(result, drives);
+
+        assert.ok(drives[0][1] < 60 + 10);
+        assert.equal(result.driving[0][1], true);
+        assert.equal(result.matrix[0][1], drives[0][1]);
+        assert.equal(result.effectiveDriving[0][1], true);
+        assert.equal(result.driving[0][2], false);
+        assert.equal(result.matrix[0][2], 120 + 10);
+        assert.equal(result.driving[0][0], false);
+        assert.equal(faster, result.driving.flat().filter(Boolean).length);
+        assert.equal(result.driveMatrix, drives);
+    });
+
+    test('uses drive time overrides in both directions', () => {
+        const drives = buildDriveMatrix(airports, { 'AAA-HHH': 30 });
+
+        assert.equal(drives[0][3], 30);
+        assert.equal(drives[3][0], 30);
+    });
+});
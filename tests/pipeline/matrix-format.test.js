@@ -0,0 +1,54 @@
+// Unit tests for the binary matrix format (run with npm run test:pipeline)
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeMatrix, decodeMatrix, isBinaryMatrix } = require('../../scripts/data-pipeline/matrix-format');
+
+const MATRIX = {
+    generated: '2024-01-01T00:00:00.000Z',
+    description: 'Test matrix',
+    airports: ['AAA', 'BBB', 'CCC'],
+    matrix: [[0, 75, null], [80, 0, 300], [1000, 65534, 0]],
+    effectiveMatrix: [[0, 90, null], [95, 0, 320], [1100, 400, 0]],
+    directFlights: [[true, true, false], [true, true, true], [false, false, true]],
+    legs: [[0, 1, null], [1, 0, 1], [null, 3, 0]],
+    itineraries: { 'CCC-BBB': ['AAA', 'DDD'] },
+    routeStats: { 'AAA-BBB': { median: 74, count: 120 } }
+};
+
+describe('encodeMatrix / decodeMatrix', () => {
+    test('round-trips every field', () => {
+        const decoded = decodeMatrix(encodeMatrix(MATRIX));
+
+        assert.deepEqual(decoded, MATRIX);
+    });
+
+    test('rounds minutes to whole numbers', () => {
+        const matrix = { ...MATRIX, matrix: [[0, 75.4, 80.6], [1, 0, 2], [3, 4, 0]] };
+        const decoded = decodeMatrix(encodeMatrix(matrix));
+
+        assert.deepEqual(decoded.matrix[0], [0, 75, 81]);
+    });
+
+    test('aligns sections to 4 bytes', () => {
+        const buffer = encodeMatrix(MATRIX);
+        const headerLength = buffer.readUInt32LE(4);
+
+        assert.equal(headerLength % 4, 0);
+        assert.equal(buffer.length % 4, 0);
+    });
+
+    test('leaves out missing NxN fields', () => {
+        const { legs, ...withoutLegs } = MATRIX;
+        const decoded = decodeMatrix(encodeMatrix(withoutLegs));
+
+        assert.equal(decoded.legs, undefined);
+        assert.deepEqual(decoded.matrix, MATRIX.matrix);
+    });
+
+    test('rejects other files', () => {
+        const json = Buffer.from(JSON.stringify(MATRIX));
+
+        assert.equal(isBinaryMatrix(json), false);
+        assert.throws(() => decodeMatrix(json), /Not a binary matrix file/);
+    });
+});
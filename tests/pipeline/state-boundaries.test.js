@@ -0,0 +1,85 @@
+// Unit tests for the boundary locator (run with npm run test:pipeline)
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBoundaryLocator } = require('../../scripts/data-pipeline/state-boundaries');
+
+// Two square "states" side by side, Colorado (08) west of Kansas (20), with
+// one county in Kansas. Arc 0 is their shared border.
+const TOPOLOGY = {
+    type: 'Topology',
+    arcs: [
+        [[-102, 37], [-102, 41]],
+        [[-102, 41], [-109, 41], [-109, 37], [-102, 37]],
+        [[-102, 37], [-95, 37], [-95, 41], [-102, 41]],
+        [[-100, 38], [-99, 38], [-99, 39], [-100, 39], [-100, 38]]
+    ],
+    objects: {
+        states: {
+            type: 'GeometryCollection',
+            geometries: [
+                { type: 'Polygon', id: '08', arcs: [[0, 1]], properties: { name: 'Colorado' } },
+                { type: 'Polygon', id: '20', arcs: [[2, ~0]], properties: { name: 'Kansas' } }
+            ]
+        },
+        counties: {
+            type: 'GeometryCollection',
+            geometries: [
+                { type: 'Polygon', id: '20001', arcs: [[3]], properties: { name: 'Test' } }
+            ]
+        }
+    }
+};
+
+describe('createBoundaryLocator', () => {
+    const locator = createBoundaryLocator(TOPOLOGY);
+
+    test('finds the state and county containing a point', () => {
+        const location = locator.locate(38.5, -99.5);
+
+        assert.equal(locator.hasCounties, true);
+        assert.equal(location.state, 'KS');
+        assert.equal(location.county, 'Test');
+        assert.equal(location.fips, '20001');
+        assert.equal(location.snappedKm, null);
+    });
+
+    test('follows reversed arcs', () => {
+        assert.equal(locator.locate(39, -105).state, 'CO');
+        assert.equal(locator.locate(39, -101).state, 'KS');
+    });
+
+    test('leaves the county empty outside every county', () => {
+        const location = locator.locate(40, -96);
+
+        assert.equal(location.state, 'KS');
+        assert.equal(location.county, null);
+    });
+
+    test('snaps points just outside to the nearest state', () => {
+        const location = locator.locate(36.9, -96);
+
+        assert.equal(location.state, 'KS');
+        assert.ok(location.snappedKm > 5 && location.snappedKm < 15);
+    });
+
+    test('returns null far from every state', () => {
+        assert.equal(locator.locate(30, -96), null);
+    });
+
+    test('decodes quantized arcs', () => {
+        const quantized = {
+            ...TOPOLOGY,
+            transform: { scale: [0.5, 0.5], translate: [-110, 30] },
+            arcs: TOPOLOGY.arcs.map(arc => arc.map(([lon, lat], i) => {
+                const [prevLon, prevLat] = i > 0 ? arc[i - 1] : [-110, 30];
+                return [(lon - prevLon) * 2, (lat - prevLat) * 2];
+            }))
+        };
+
+        assert.equal(createBoundaryLocator(quantized).locate(38.5, -99.5).county, 'Test');
+    });
+
+    test('rejects files without states', () => {
+        assert.throws(() => createBoundaryLocator({ type: 'FeatureCollection', features: [] }));
+    });
+});
@@ -0,0 +1,66 @@
+// Unit tests for the T-100 capacity summary (run with npm run test:pipeline)
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCapacity, recordSegment, summarizeCapacity } = require('../../scripts/data-pipeline/t100-data');
+
+const AIRPORTS = [{ code: 'AAA' }, { code: 'BBB' }, { code: 'CCC' }];
+const CODES = new Set(AIRPORTS.map(a => a.code));
+
+/**
+ * Capacity aggregate of the given segments
+ */
+function capacityOf(segments) {
+    const capacity = createCapacity();
+    for (const segment of segments) recordSegment(capacity, segment, CODES);
+    return capacity;
+}
+
+describe('summarizeCapacity', () => {
+    const capacity = capacityOf([
+        { origin: 'AAA', dest: 'BBB', departures: 60, seats: 9000, passengers: 7200, serviceClass: 'F', year: '2024', month: 2 },
+        { origin: 'AAA', dest: 'BBB', departures: 30, seats: 4500, passengers: 3600, serviceClass: 'F', year: '2024', month: 3 },
+        { origin: 'BBB', dest: 'CCC', departures: 10, seats: 500, passengers: 400, serviceClass: 'F', year: '2024', month: 3 },
+        { origin: 'CCC', dest: 'ZZZ', departures: 4, seats: 200, passengers: 100, serviceClass: 'F', year: '2024', month: 3 },
+        { origin: 'XXX', dest: 'AAA', departures: 1, seats: 1000, passengers: 988700, serviceClass: 'F', year: '2024', month: 3 },
+        { origin: 'AAA', dest: 'CCC', departures: 5, seats: 0, passengers: 0, serviceClass: 'F', year: '2024', month: 3 },
+        { origin: 'AAA', dest: 'CCC', departures: 5, seats: 600, passengers: 0, serviceClass: 'G', year: '2024', month: 3 }
+    ]);
+    const summary = summarizeCapacity(capacity, AIRPORTS);
+
+    test('counts the days of every month seen', () => {
+        assert.equal(summary.days, 29 + 31);
+    });
+
+    test('totals routes between our airports', () => {
+        const route = summary.routeCapacity['AAA-BBB'];
+
+        assert.equal(route.seats, 13500);
+        assert.equal(route.passengers, 10800);
+        assert.equal(route.departures, 90);
+        assert.equal(route.avgSeats, 150);
+        assert.equal(route.loadFactor, 0.8);
+        assert.equal(route.seatsPerDay, 225);
+        assert.equal(summary.routeCapacity['CCC-ZZZ'], undefined);
+    });
+
+    test('skips cargo, charter and empty segments', () => {
+        assert.equal(summary.routeCapacity['AAA-CCC'], undefined);
+    });
+
+    test('sizes hubs by their share of all boardings', () => {
+        // 1,000,000 boardings in all
+        assert.equal(summary.airportTraffic.AAA.passengers, 10800);
+        assert.equal(summary.airportTraffic.AAA.hub, 'large');
+        assert.equal(summary.airportTraffic.BBB.hub, 'small');
+        assert.equal(summary.airportTraffic.CCC.hub, 'small');
+    });
+
+    test('leaves per-day figures out without month columns', () => {
+        const undated = summarizeCapacity(capacityOf([
+            { origin: 'AAA', dest: 'BBB', departures: 2, seats: 300, passengers: 200 }
+        ]), AIRPORTS);
+
+        assert.equal(undated.days, null);
+        assert.equal(undated.routeCapacity['AAA-BBB'].seatsPerDay, null);
+    });
+});
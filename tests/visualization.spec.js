@@ -1,6 +1,55 @@
 // @ts-check
 const { test, expect } = require('@playwright/test');
 
+/**
+ * Reload the page with extra fields merged into data/matrix.json
+ * The committed matrix has no route stats or itineraries, so tests of those
+ * add their own. The binary copy is blocked so the page loads the JSON.
+ * @param {Function} extend - Called with the parsed matrix to modify it
+ */
+async function loadWithMatrix(page, extend) {
+    await page.route('**/data/matrix.bin', route => route.fulfill({ status: 404 }));
+    await page.route('**/data/matrix.json', async route => {
+        const response = await route.fetch();
+        const matrix = await response.json();
+        extend(matrix);
+        await route.fulfill({ response, json: matrix });
+    });
+    await page.goto('/map.html');
+    await page.waitForSelector('.airport', { timeout: 10000 });
+}
+
+/**
+ * Reload the page with a slice index, every slice reusing data/matrix.json
+ * (slice files are relative to the index)
+ * The committed data has no slices, so the timeline and carrier controls
+ * only show up this way.
+ * @param {Object[]} slices - Slice index entries ({ id, type, label, ... })
+ */
+async function loadWithSlices(page, slices) {
+    await page.route('**/data/slices/index.json', route => route.fulfill({
+        json: { slices: slices.map(slice => ({ ...slice, file: '../matrix.json' })) }
+    }));
+    await page.goto('/map.html');
+    await page.waitForSelector('.airport', { timeout: 10000 });
+}
+
+/**
+ * Add a route field for every pair from an origin that passes a filter
+ * @param {Object} matrix - Parsed matrix.json
+ * @param {string} field - e.g. 'routeStats' or 'itineraries'
+ * @param {string} origin - Origin airport code
+ * @param {Function} include - (matrix, i, j) => whether to add the pair
+ * @param {*} value - Value for every added pair
+ */
+function addRoutesFrom(matrix, field, origin, include, value) {
+    const i = matrix.airports.indexOf(origin);
+    matrix[field] = matrix[field] || {};
+    matrix.airports.forEach((code, j) => {
+        if (j !== i && include(matrix, i, j)) matrix[field][`${origin}-${code}`] = value;
+    });
+}
+
 test.describe('Flight Time Map Visualization', () => {
     test.beforeEach(async ({ page }) => {
         await page.goto('/map.html');
@@ -136,6 +185,67 @@ test.describe('Flight Time Map Visualization', () => {
             const moved = initialBox.x !== finalBox.x || initialBox.y !== finalBox.y;
             expect(moved).toBe(true);
         });
+
+        test('Network Shape mode works without an origin', async ({ page }) => {
+            const airport = page.locator('.airport').first();
+            const initialBox = await airport.boundingBox();
+
+            await page.click('#btn-network-shape');
+            await expect(page.locator('#btn-network-shape')).toHaveClass(/active/);
+            await expect(page.locator('#btn-distance')).not.toHaveClass(/active/);
+
+            // Wait for animation
+            await page.waitForTimeout(2000);
+
+            const finalBox = await airport.boundingBox();
+            const moved = initialBox.x !== finalBox.x || initialBox.y !== finalBox.y;
+            expect(moved).toBe(true);
+        });
+    });
+
+    test.describe('Layout Toggle', () => {
+        test('Radial layout is active by default', async ({ page }) => {
+            await expect(page.locator('#btn-layout-radial')).toHaveClass(/active/);
+        });
+
+        test('switching to Stress layout moves airports in Flight Time mode', async ({ page }) => {
+            await page.selectOption('#origin-select', 'ORD');
+            await page.waitForSelector('.airport.origin');
+            await page.click('#btn-flight-time');
+            await page.waitForTimeout(2000);
+
+            const airport = page.locator('.airport.direct').first();
+            const initialBox = await airport.boundingBox();
+
+            await page.click('#btn-layout-stress');
+            await expect(page.locator('#btn-layout-stress')).toHaveClass(/active/);
+            await page.waitForTimeout(2000);
+
+            const finalBox = await airport.boundingBox();
+            const moved = initialBox.x !== finalBox.x || initialBox.y !== finalBox.y;
+            expect(moved).toBe(true);
+        });
+    });
+
+    test.describe('Layout Metrics', () => {
+        test('legend shows the fit of the geographic layout', async ({ page }) => {
+            const metrics = page.locator('#layout-metrics');
+            await expect(metrics).toContainText('Layout fit · Geographic');
+            await expect(metrics).toContainText('All pairs');
+        });
+
+        test('metrics follow the origin and layout', async ({ page }) => {
+            await page.selectOption('#origin-select', 'ORD');
+            await page.waitForSelector('.airport.origin');
+            await page.click('#btn-flight-time');
+
+            const metrics = page.locator('#layout-metrics');
+            await expect(metrics).toContainText('Layout fit · Radial');
+            await expect(metrics).toContainText('From ORD');
+
+            const stress = await page.evaluate(() => window.mapRenderer.getLayoutMetrics().fromOrigin.stress);
+            expect(stress).toBeGreaterThanOrEqual(0);
+        });
     });
 
     test.describe('Visual Style Toggle', () => {
@@ -173,6 +283,125 @@ test.describe('Flight Time Map Visualization', () => {
         });
     });
 
+    test.describe('Metric Toggle', () => {
+        // The committed matrix has no effective times, so these add 45 minutes
+        // of delays to every trip
+        const addEffectiveTimes = matrix => {
+            matrix.effectiveMatrix = matrix.matrix.map((row, i) =>
+                row.map((time, j) => (i === j || time === null ? time : time + 45)));
+        };
+
+        test('is hidden without effective times', async ({ page }) => {
+            await expect(page.locator('#metric-control')).toBeHidden();
+        });
+
+        test('Effective switches the tooltip to effective times', async ({ page }) => {
+            await loadWithMatrix(page, addEffectiveTimes);
+            await expect(page.locator('#metric-control')).toBeVisible();
+            await expect(page.locator('#btn-scheduled')).toHaveClass(/active/);
+
+            await page.selectOption('#origin-select', 'LAX');
+            await page.waitForSelector('.airport.origin');
+
+            const airport = page.locator('.airport.direct').first();
+            const travelTime = page.locator('#tooltip .travel-time');
+            await airport.hover({ force: true });
+            const scheduledText = await travelTime.textContent();
+            await expect(page.locator('#tooltip')).not.toContainText('for delays and disruptions');
+
+            await page.click('#btn-effective');
+            await expect(page.locator('#btn-effective')).toHaveClass(/active/);
+            expect(page.url()).toContain('metric=effective');
+
+            await airport.hover({ force: true });
+            await expect(page.locator('#tooltip')).toContainText('+45m over the');
+            expect(await travelTime.textContent()).not.toBe(scheduledText);
+            expect(await page.evaluate(() =>
+                DataLoader.getTravelTime('LAX', 'SFO') - DataLoader.getTravelTime('LAX', 'SFO', 'scheduled'))).toBe(45);
+        });
+
+        test('metric URL parameter starts on effective times', async ({ page }) => {
+            await loadWithMatrix(page, addEffectiveTimes);
+            await page.goto('/map.html?origin=LAX&metric=effective');
+            await page.waitForSelector('.airport.origin');
+
+            await expect(page.locator('#btn-effective')).toHaveClass(/active/);
+            await expect(page.locator('#btn-scheduled')).not.toHaveClass(/active/);
+            expect(await page.evaluate(() => DataLoader.metric)).toBe('effective');
+
+            await page.locator('.airport.direct').first().hover({ force: true });
+            await expect(page.locator('#tooltip')).toContainText('+45m over the');
+        });
+    });
+
+    test.describe('Door-to-door Toggle', () => {
+        test('Gate-to-gate is active by default', async ({ page }) => {
+            const gateBtn = page.locator('#btn-gate-to-gate');
+            await expect(gateBtn).toHaveClass(/active/);
+        });
+
+        test('door-to-door adds airport time to the tooltip', async ({ page }) => {
+            await page.selectOption('#origin-select', 'LAX');
+            await page.waitForSelector('.airport.origin');
+
+            await page.click('#btn-door-to-door');
+            await expect(page.locator('#btn-door-to-door')).toHaveClass(/active/);
+
+            const directAirport = page.locator('.airport.direct').first();
+            await directAirport.hover({ force: true });
+
+            const text = await page.locator('#tooltip').textContent();
+            expect(text).toMatch(/door to door: \d+m through LAX/);
+        });
+    });
+
+    test.describe('Direction Toggle', () => {
+        test('From is active by default', async ({ page }) => {
+            const fromBtn = page.locator('#btn-direction-from');
+            await expect(fromBtn).toHaveClass(/active/);
+        });
+
+        test('To shows travel times to the origin', async ({ page }) => {
+            await page.selectOption('#origin-select', 'LAX');
+            await page.waitForSelector('.airport.origin');
+
+            await page.click('#btn-direction-to');
+            await expect(page.locator('#btn-direction-to')).toHaveClass(/active/);
+            await expect(page.locator('#btn-direction-from')).not.toHaveClass(/active/);
+            expect(page.url()).toContain('direction=to');
+
+            const directAirport = page.locator('.airport.direct').first();
+            await directAirport.hover({ force: true });
+
+            const text = await page.locator('#tooltip').textContent();
+            expect(text).toMatch(/To LAX: \d+h \d+m/);
+        });
+    });
+
+    test.describe('Driving', () => {
+        test('airports faster by car get the drive marker and tooltip', async ({ page }) => {
+            // The committed matrix has no driving flags; LAX-SNA is a connection in it
+            await loadWithMatrix(page, matrix => {
+                const lax = matrix.airports.indexOf('LAX');
+                const sna = matrix.airports.indexOf('SNA');
+                matrix.driving = matrix.airports.map((_, i) => matrix.airports.map((_, j) => i === lax && j === sna));
+                matrix.matrix[lax][sna] = 55;
+            });
+
+            await page.selectOption('#origin-select', 'LAX');
+            await page.waitForSelector('.airport.origin');
+
+            const drive = page.locator('.airport.drive');
+            await expect(drive).toHaveCount(1);
+            await expect(drive).toHaveCSS('stroke-dasharray', /2(px)?,? 1\.5(px)?/);
+
+            await drive.hover({ force: true });
+            const tooltip = page.locator('#tooltip');
+            await expect(tooltip).toContainText('0h 55m (drive)');
+            await expect(tooltip).toContainText('Driving beats any flight');
+        });
+    });
+
     test.describe('Airport Filter', () => {
         test('changing filter updates airport count', async ({ page }) => {
             // Default is 150
@@ -196,6 +425,212 @@ test.describe('Flight Time Map Visualization', () => {
         });
     });
 
+    test.describe('Insets', () => {
+        // The committed airports leave out Alaska, Hawaii and Puerto Rico, so
+        // these are added next to ORD, reached only through LAX
+        const INSET_AIRPORTS = [
+            { code: 'HNL', name: 'Daniel K. Inouye International Airport', city: 'Honolulu', state: 'HI', lat: 21.3187, lon: -157.9225, hub: 'large', fromLAX: 340 },
+            { code: 'ANC', name: 'Ted Stevens Anchorage International Airport', city: 'Anchorage', state: 'AK', lat: 61.1743, lon: -149.9963, hub: 'medium', fromLAX: 330 }
+        ];
+
+        async function loadWithInsets(page) {
+            await page.route('**/data/airports.json', async route => {
+                const response = await route.fetch();
+                const airports = await response.json();
+                airports.splice(1, 0, ...INSET_AIRPORTS.map(({ fromLAX, ...airport }) => airport));
+                await route.fulfill({ response, json: airports });
+            });
+            await loadWithMatrix(page, matrix => {
+                const lax = matrix.airports.indexOf('LAX');
+                for (const { code, fromLAX } of INSET_AIRPORTS) {
+                    const times = matrix.matrix.map((row, k) => (k === lax ? fromLAX : row[lax] + fromLAX + 60));
+                    matrix.matrix.forEach((row, k) => row.push(times[k]));
+                    matrix.directFlights.forEach((row, k) => row.push(k === lax));
+                    matrix.matrix.push([...times, 0]);
+                    matrix.directFlights.push([...matrix.directFlights[lax].map((_, k) => k === lax), false]);
+                    matrix.airports.push(code);
+                }
+            });
+        }
+
+        test('inset airports move by travel time in Flight Time mode', async ({ page }) => {
+            await loadWithInsets(page);
+            await page.locator('#insets-toggle').check({ force: true });
+            await expect(page.locator('.inset-panel')).toHaveCount(3);
+
+            await page.selectOption('#origin-select', 'LAX');
+            await page.waitForSelector('.airport.origin');
+            await page.click('#btn-flight-time');
+            await page.waitForTimeout(2000);
+
+            const insets = await page.evaluate(() => {
+                const renderer = window.mapRenderer;
+                const origin = renderer.geoPositions.find(p => p.code === 'LAX');
+                return ['HNL', 'ANC'].map(code => {
+                    const p = renderer.geoPositions.find(a => a.code === code);
+                    const dot = d3.selectAll('.airport').filter(d => d.code === code);
+                    return {
+                        drawn: dot.size() === 1 && Number(dot.attr('cx')) === p.x && Number(dot.attr('cy')) === p.y,
+                        moved: p.x !== p.geoX || p.y !== p.geoY,
+                        perMinute: Math.hypot(p.x - origin.geoX, p.y - origin.geoY) / DataLoader.getTravelTime('LAX', code)
+                    };
+                });
+            });
+
+            for (const inset of insets) {
+                expect(inset.drawn).toBe(true);
+                expect(inset.moved).toBe(true);
+            }
+            // Both sit at their travel time on the same scale
+            expect(insets[0].perMinute).toBeCloseTo(insets[1].perMinute, 5);
+
+            // Map Distortion carries the panels along
+            const transform = await page.locator('.inset-panel[data-state="HI"]').getAttribute('transform');
+            expect(transform).not.toBe('translate(0,0)');
+        });
+    });
+
+    test.describe('Passenger Data', () => {
+        // The committed matrix has no T-100 data
+        const addTraffic = matrix => {
+            matrix.airportTraffic = {
+                ATL: { passengers: 50000000, seats: 60000000, departures: 400000, hub: 'large' },
+                LAX: { passengers: 5000000, seats: 6000000, departures: 50000, hub: 'large' },
+                SFO: { passengers: 500000, seats: 600000, departures: 5000, hub: 'medium' }
+            };
+            addRoutesFrom(matrix, 'routeStats', 'LAX', (m, i, j) => m.directFlights[i][j],
+                { median: 80, p10: 72, p90: 95, stdDev: 6.5, count: 4812, perDay: 14 });
+            addRoutesFrom(matrix, 'routeCapacity', 'LAX', (m, i, j) => m.directFlights[i][j],
+                { seats: 95000, passengers: 80750, departures: 500, avgSeats: 190, loadFactor: 0.85, seatsPerDay: 1043.8 });
+        };
+
+        test('airport dots are sized by passengers', async ({ page }) => {
+            await loadWithMatrix(page, addTraffic);
+            await expect(page.locator('.legend-note')).toHaveText('Dot size = passengers boarded');
+
+            const radius = await page.evaluate(() => Object.fromEntries(['ATL', 'LAX', 'SFO'].map(code =>
+                [code, Number(d3.selectAll('.airport').filter(d => d.code === code).attr('r'))])));
+
+            // Area proportional to passengers, up to the largest airport
+            expect(radius.ATL).toBeCloseTo(12, 5);
+            expect(radius.LAX).toBeCloseTo(2.5 + 9.5 * Math.sqrt(0.1), 5);
+            expect(radius.SFO).toBeCloseTo(2.5 + 9.5 * Math.sqrt(0.01), 5);
+        });
+
+        test('tooltip shows route capacity for direct flights', async ({ page }) => {
+            await loadWithMatrix(page, addTraffic);
+
+            await page.selectOption('#origin-select', 'LAX');
+            await page.waitForSelector('.airport.origin');
+
+            await page.locator('.airport.direct').first().hover({ force: true });
+            await expect(page.locator('#tooltip')).toContainText('190 seats/flight, 1,044 seats/day, 85% full');
+        });
+    });
+
+    test.describe('Binary Matrix', () => {
+        test('travel times from matrix.bin match matrix.json', async ({ page }) => {
+            expect(await page.evaluate(() => Boolean(DataLoader.cache.matrix.packed))).toBe(true);
+
+            const mismatches = await page.evaluate(async () => {
+                const json = await d3.json('data/matrix.json');
+                const found = [];
+                json.airports.forEach((from, i) => json.airports.forEach((to, j) => {
+                    if (DataLoader.getTravelTime(from, to) !== json.matrix[i][j] ||
+                        DataLoader.hasDirectFlight(from, to) !== json.directFlights[i][j]) {
+                        found.push(`${from}-${to}`);
+                    }
+                }));
+                return found;
+            });
+            expect(mismatches).toEqual([]);
+        });
+
+        test('falls back to matrix.json without the binary copy', async ({ page }) => {
+            await loadWithMatrix(page, () => {});
+
+            expect(await page.locator('.airport').count()).toBe(150);
+            expect(await page.evaluate(() => Boolean(DataLoader.cache.matrix.packed))).toBe(false);
+            expect(await page.evaluate(() => DataLoader.getTravelTime('LAX', 'SFO'))).toBeGreaterThan(0);
+        });
+    });
+
+    test.describe('Timeline', () => {
+        const MONTHS = [
+            { id: 'month-01', type: 'month', month: 1, label: 'January' },
+            { id: 'month-02', type: 'month', month: 2, label: 'February' }
+        ];
+
+        test('is hidden without monthly matrices', async ({ page }) => {
+            await expect(page.locator('#timeline-control')).toBeHidden();
+        });
+
+        test('moving the slider switches to that month', async ({ page }) => {
+            await loadWithSlices(page, MONTHS);
+
+            const label = page.locator('#timeline-label');
+            await expect(page.locator('#timeline-control')).toBeVisible();
+            await expect(label).toHaveText('All months');
+
+            await page.locator('#timeline-slider').fill('2');
+            await expect(label).toHaveText('February');
+            expect(await page.evaluate(() => DataLoader.activeSlice)).toBe('month-02');
+
+            await page.locator('#timeline-slider').fill('0');
+            await expect(label).toHaveText('All months');
+            expect(await page.evaluate(() => DataLoader.activeSlice)).toBeNull();
+        });
+
+        test('play steps through the months until paused', async ({ page }) => {
+            await loadWithSlices(page, MONTHS);
+            await page.selectOption('#origin-select', 'ORD');
+            await page.waitForSelector('.airport.origin');
+
+            const playBtn = page.locator('#btn-timeline-play');
+            const label = page.locator('#timeline-label');
+            await playBtn.click();
+            await expect(playBtn).toHaveClass(/active/);
+            await expect(label).toHaveText('January');
+            await expect(label).toHaveText('February', { timeout: 10000 });
+
+            await playBtn.click();
+            await expect(playBtn).not.toHaveClass(/active/);
+            await expect(page.locator('#timeline-slider')).toHaveValue('2');
+        });
+    });
+
+    test.describe('Carrier Select', () => {
+        const NETWORKS = [
+            { id: 'carrier-WN', type: 'carrier', carrier: 'WN', label: 'Southwest Airlines' },
+            { id: 'alliance-oneworld', type: 'alliance', carriers: ['AA', 'AS'], label: 'oneworld' }
+        ];
+
+        test('is hidden without carrier matrices', async ({ page }) => {
+            await expect(page.locator('#carrier-control')).toBeHidden();
+        });
+
+        test('lists alliances and airlines', async ({ page }) => {
+            await loadWithSlices(page, NETWORKS);
+
+            await expect(page.locator('#carrier-control')).toBeVisible();
+            await expect(page.locator('#carrier-select option'))
+                .toHaveText(['All carriers', 'oneworld', 'Southwest Airlines only']);
+        });
+
+        test('selecting an airline switches to its network for the full period', async ({ page }) => {
+            await loadWithSlices(page, [...NETWORKS, { id: 'month-01', type: 'month', month: 1, label: 'January' }]);
+            await page.locator('#timeline-slider').fill('1');
+            await expect(page.locator('#timeline-label')).toHaveText('January');
+
+            await page.selectOption('#carrier-select', 'carrier-WN');
+            await expect.poll(() => page.evaluate(() => DataLoader.activeSlice)).toBe('carrier-WN');
+            await expect(page.locator('#timeline-label')).toHaveText('All months');
+
+            await page.selectOption('#carrier-select', '');
+            await expect.poll(() => page.evaluate(() => DataLoader.activeSlice)).toBeNull();
+        });
+    });
+
     test.describe('Tooltips', () => {
         test('tooltip appears on airport hover', async ({ page }) => {
             // Use a large hub that's easier to hover
@@ -239,6 +674,34 @@ test.describe('Flight Time Map Visualization', () => {
             expect(text).toMatch(/\d+h \d+m/);
         });
 
+        test('tooltip shows route stats for direct flights', async ({ page }) => {
+            await loadWithMatrix(page, matrix => addRoutesFrom(matrix, 'routeStats', 'LAX',
+                (m, i, j) => m.directFlights[i][j],
+                { median: 80, p10: 72, p90: 95, stdDev: 6.5, count: 4812, perDay: 14 }));
+
+            await page.selectOption('#origin-select', 'LAX');
+            await page.waitForSelector('.airport.origin');
+
+            await page.locator('.airport.direct').first().hover({ force: true });
+
+            const tooltip = page.locator('#tooltip');
+            await expect(tooltip).toContainText('typically 1h 20m (1h 12m – 1h 35m)');
+            await expect(tooltip).toContainText('14 flights/day (4,812 flights)');
+        });
+
+        test('tooltip and line follow the itinerary of a connection', async ({ page }) => {
+            await loadWithMatrix(page, matrix => addRoutesFrom(matrix, 'itineraries', 'LAX',
+                (m, i, j) => !m.directFlights[i][j], ['DEN']));
+
+            await page.selectOption('#origin-select', 'LAX');
+            await page.waitForSelector('.airport.origin');
+
+            await page.locator('.airport.connection').first().hover({ force: true });
+
+            await expect(page.locator('#tooltip .itinerary-leg').first()).toContainText('LAX → DEN');
+            await expect(page.locator('.hover-hub-label')).toHaveText(['DEN']);
+        });
+
         test('tooltip hides when mouse leaves airport', async ({ page }) => {
             await page.selectOption('#origin-select', 'JFK');
             await page.waitForSelector('.airport.origin');